@@ -28,6 +28,16 @@ function getDeviceId() {
     return deviceId;
 }
 
+// check-purchases and secure-notes answer 409 when this device would take a paid account
+// past its device limit (netlify/functions/lib/devices.js). Offers the My devices page,
+// where an old device can be removed.
+function handleDeviceLimit(data) {
+    const message = (data && data.error) || 'Your account is already in use on the maximum number of devices.';
+    if (confirm(message + '\n\nOpen My devices now?')) {
+        window.location.href = (data && data.manageUrl) || '/my-devices';
+    }
+}
+
 function maskCredential(credential) {
     if (!credential) return '***';
     
@@ -71,6 +81,117 @@ function trackSubjectLogin(user, subject) {
     });
 }
 
+// =================================================================
+// REFERRALS
+// =================================================================
+// Sends the code saved from a ?ref= link (see script.js) once the
+// visitor is signed in. The server decides whether it counts (new
+// accounts only, no self-referral, no reused device), so the code is
+// dropped after any answer — only a network failure keeps it for the
+// next page load.
+async function submitPendingReferral(user) {
+    const code = localStorage.getItem('pendingReferralCode');
+    if (!user || !code) return;
+
+    try {
+        const idToken = await user.getIdToken();
+        const response = await fetch('/.netlify/functions/referral', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${idToken}` },
+            body: JSON.stringify({ code: code, deviceId: getDeviceId() })
+        });
+        await response.json(); // a non-JSON error page counts as a network failure
+        localStorage.removeItem('pendingReferralCode');
+    } catch (error) {
+        console.warn('Referral submission failed, will retry:', error.message);
+    }
+}
+
+// =================================================================
+// READING PROGRESS
+// =================================================================
+// Pass this as the viewer's onPageChange for notes the user owns.
+// The latest page is sent to reading-progress a couple of seconds
+// after the reader stops scrolling (or right away when the tab is
+// hidden), so the note reopens at the same page on any device.
+// The ID token is fetched ahead of time on every save: a page being
+// closed only runs synchronous code, so the keepalive request has to
+// start without waiting on getIdToken().
+const pendingReadingProgress = {};
+let readingProgressTimer = null;
+let readingProgressToken = null;
+
+function saveReadingProgress(noteId, page, totalPages) {
+    pendingReadingProgress[noteId] = { page: page, totalPages: totalPages };
+    clearTimeout(readingProgressTimer);
+    readingProgressTimer = setTimeout(flushReadingProgress, 2000);
+    // Cached by the SDK and only refreshed near expiry, so this is cheap
+    if (auth.currentUser) {
+        auth.currentUser.getIdToken()
+            .then(idToken => { readingProgressToken = idToken; })
+            .catch(error => console.warn('Reading progress token unavailable:', error.message));
+    }
+}
+
+function flushReadingProgress() {
+    clearTimeout(readingProgressTimer);
+    const noteIds = Object.keys(pendingReadingProgress);
+    if (!auth.currentUser || !readingProgressToken || noteIds.length === 0) return;
+
+    noteIds.forEach(noteId => {
+        const position = pendingReadingProgress[noteId];
+        delete pendingReadingProgress[noteId];
+        fetch('/.netlify/functions/reading-progress', {
+            method: 'POST',
+            keepalive: true, // still delivered if the tab is being closed
+            headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${readingProgressToken}` },
+            body: JSON.stringify({ noteId: noteId, page: position.page, totalPages: position.totalPages })
+        }).catch(error => console.warn('Reading progress not saved:', error.message));
+    });
+}
+
+auth.onAuthStateChanged(user => {
+    if (!user) readingProgressToken = null;
+});
+
+document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') flushReadingProgress();
+});
+
+// =================================================================
+// ANNOTATIONS
+// =================================================================
+// Pass createAnnotationStore(noteId) as the viewer's `annotations`
+// option for notes the user owns. Each call goes straight to the
+// annotations function and rejects with the server's message, so the
+// viewer can undo what it already drew.
+function createAnnotationStore(noteId) {
+    async function call(method, payload) {
+        const user = auth.currentUser;
+        if (!user) throw new Error('Please sign in to save annotations.');
+        const idToken = await user.getIdToken();
+        const response = method === 'GET'
+            ? await fetch(`/.netlify/functions/annotations?noteId=${encodeURIComponent(noteId)}`, {
+                headers: { 'Authorization': `Bearer ${idToken}` }
+            })
+            : await fetch('/.netlify/functions/annotations', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${idToken}` },
+                body: JSON.stringify({ noteId: noteId, ...payload })
+            });
+        const data = await response.json();
+        if (!data.success) throw new Error(data.error || 'Annotation sync failed');
+        return data;
+    }
+
+    return {
+        load: () => call('GET'),
+        save: (annotation) => call('POST', { action: 'save', annotation: annotation }),
+        remove: (id) => call('POST', { action: 'delete', id: id }),
+        setBookmark: (page, bookmarked) => call('POST', { action: bookmarked ? 'bookmark' : 'unbookmark', page: page })
+    };
+}
+
 // Sign out function
 function handleSignOut() {
     auth.signOut().then(() => {
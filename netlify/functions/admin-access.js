@@ -0,0 +1,122 @@
+const admin = require('firebase-admin');
+const { hasNote } = require('./lib/catalog');
+const { isBundleId } = require('./lib/bundles');
+const { isAdmin, grantAccess, revokeAccess } = require('./lib/grants');
+const { notify } = require('./lib/telegram');
+const { escapeHtml } = require('./lib/fulfilment');
+
+// Initialize Firebase Admin
+if (!admin.apps.length) {
+  if (process.env.FIREBASE_PROJECT_ID && process.env.FIREBASE_CLIENT_EMAIL && process.env.FIREBASE_PRIVATE_KEY) {
+    admin.initializeApp({
+      credential: admin.credential.cert({
+        projectId: process.env.FIREBASE_PROJECT_ID,
+        clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+        privateKey: process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n')
+      }),
+      projectId: process.env.FIREBASE_PROJECT_ID
+    });
+  } else {
+    admin.initializeApp({ projectId: 'sayheyshubh-7051c' });
+  }
+}
+const db = admin.firestore();
+
+// Authentication helper
+async function verifyFirebaseToken(authHeader) {
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    throw new Error('Missing or invalid authorization header');
+  }
+  const idToken = authHeader.substring(7);
+  try {
+    return await admin.auth().verifyIdToken(idToken);
+  } catch (error) {
+    console.error('Token verification failed:', error);
+    throw new Error('Invalid authentication token');
+  }
+}
+
+function toIdList(value) {
+  if (!Array.isArray(value)) return [];
+  return Array.from(new Set(value.filter(id => typeof id === 'string')));
+}
+
+// Admin-only manual grants and revokes (see lib/grants.js). The caller's token must carry
+// the `admin` custom claim — set it with `npm run set-admin -- --email=<address>`.
+// POST { action: 'grant' | 'revoke', userId | email, noteIds: [], bundleIds: [], reason }
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS'
+  };
+
+  if (event.httpMethod === 'OPTIONS') return { statusCode: 200, headers, body: '' };
+  if (event.httpMethod !== 'POST') return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+
+  try {
+    const decodedToken = await verifyFirebaseToken(event.headers.authorization);
+    if (!isAdmin(decodedToken)) {
+      return { statusCode: 403, headers, body: JSON.stringify({ success: false, error: 'Admins only' }) };
+    }
+
+    const body = JSON.parse(event.body || '{}');
+    const { action, userId, email, reason } = body;
+    const noteIds = toIdList(body.noteIds);
+    const bundleIds = toIdList(body.bundleIds);
+
+    if (action !== 'grant' && action !== 'revoke') {
+      return { statusCode: 400, headers, body: JSON.stringify({ success: false, error: 'action must be "grant" or "revoke"' }) };
+    }
+    if (typeof reason !== 'string' || !reason.trim()) {
+      return { statusCode: 400, headers, body: JSON.stringify({ success: false, error: 'A reason is required' }) };
+    }
+    if (noteIds.length === 0 && bundleIds.length === 0) {
+      return { statusCode: 400, headers, body: JSON.stringify({ success: false, error: 'Pass noteIds and/or bundleIds' }) };
+    }
+    const unknown = [...noteIds.filter(id => !hasNote(id)), ...bundleIds.filter(id => !isBundleId(id))];
+    if (unknown.length > 0) {
+      return { statusCode: 400, headers, body: JSON.stringify({ success: false, error: `Unknown note or bundle IDs: ${unknown.join(', ')}` }) };
+    }
+    if (!userId && !email) {
+      return { statusCode: 400, headers, body: JSON.stringify({ success: false, error: 'Pass userId or email' }) };
+    }
+
+    let userRecord;
+    try {
+      userRecord = userId ? await admin.auth().getUser(userId) : await admin.auth().getUserByEmail(email);
+    } catch (error) {
+      if (error.code !== 'auth/user-not-found') throw error;
+      return { statusCode: 404, headers, body: JSON.stringify({ success: false, error: 'No account with that ID or email' }) };
+    }
+
+    const change = { userId: userRecord.uid, noteIds, bundleIds, reason: reason.trim().slice(0, 500), actor: decodedToken };
+    const result = action === 'grant' ? await grantAccess(db, admin, change) : await revokeAccess(db, admin, change);
+    console.log('Manual access change:', action, userRecord.uid, decodedToken.uid, JSON.stringify(result));
+
+    try {
+      await notify(
+        `🛠️ <b>Access ${action === 'grant' ? 'granted' : 'revoked'} manually</b>\n` +
+        `User: ${escapeHtml(userRecord.email || 'no email')} (<code>${userRecord.uid}</code>)\n` +
+        `Items: ${[...noteIds, ...bundleIds].join(', ')}\n` +
+        `Reason: ${escapeHtml(change.reason)}\n` +
+        `By: ${escapeHtml(decodedToken.email || decodedToken.uid)}`
+      );
+    } catch (error) {
+      console.error('Manual access notification failed:', error);
+    }
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ success: true, action, userId: userRecord.uid, ...result })
+    };
+  } catch (error) {
+    console.error('Admin access error:', error);
+    return {
+      statusCode: error.message && error.message.includes('authentication') ? 401 : 500,
+      headers,
+      body: JSON.stringify({ success: false, error: error.message || 'Failed to change access' })
+    };
+  }
+};
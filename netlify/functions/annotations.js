@@ -0,0 +1,99 @@
+const admin = require('firebase-admin');
+const { hasNote } = require('./lib/catalog');
+const { userOwnsNote } = require('./lib/bundles');
+const { getAnnotations, saveAnnotation, deleteAnnotation, setBookmark } = require('./lib/annotations');
+
+// Initialize Firebase Admin
+if (!admin.apps.length) {
+  if (process.env.FIREBASE_PROJECT_ID && process.env.FIREBASE_CLIENT_EMAIL && process.env.FIREBASE_PRIVATE_KEY) {
+    admin.initializeApp({
+      credential: admin.credential.cert({
+        projectId: process.env.FIREBASE_PROJECT_ID,
+        clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+        privateKey: process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n')
+      }),
+      projectId: process.env.FIREBASE_PROJECT_ID
+    });
+  } else {
+    admin.initializeApp({ projectId: 'sayheyshubh-7051c' });
+  }
+}
+const db = admin.firestore();
+
+// Authentication helper
+async function verifyFirebaseToken(authHeader) {
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    throw new Error('Missing or invalid authorization header');
+  }
+  const idToken = authHeader.substring(7);
+  try {
+    return await admin.auth().verifyIdToken(idToken);
+  } catch (error) {
+    console.error('Token verification failed:', error);
+    throw new Error('Invalid authentication token');
+  }
+}
+
+// Annotations on owned notes (see lib/annotations.js), for the in-app viewer.
+// GET  ?noteId=  -> { version, annotations, bookmarks } for the note's current version
+// POST { noteId, action: 'save', annotation } | { noteId, action: 'delete', id }
+//      | { noteId, action: 'bookmark' | 'unbookmark', page }
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+  };
+
+  if (event.httpMethod === 'OPTIONS') return { statusCode: 200, headers, body: '' };
+  if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+
+  try {
+    const decodedToken = await verifyFirebaseToken(event.headers.authorization);
+    const userId = decodedToken.uid;
+    const body = event.httpMethod === 'POST' ? JSON.parse(event.body || '{}') : {};
+    const noteId = event.httpMethod === 'POST' ? body.noteId : (event.queryStringParameters || {}).noteId;
+
+    if (!hasNote(noteId)) {
+      return { statusCode: 400, headers, body: JSON.stringify({ success: false, error: 'Unknown note' }) };
+    }
+
+    // Only owners can annotate, same check as secure-notes (bundle passes included)
+    if (!(await userOwnsNote(db, admin, userId, noteId))) {
+      return { statusCode: 403, headers, body: JSON.stringify({ success: false, error: 'Note not purchased' }) };
+    }
+
+    if (event.httpMethod === 'GET') {
+      const result = await getAnnotations(db, userId, noteId);
+      return {
+        statusCode: 200,
+        headers: { ...headers, 'Cache-Control': 'private, no-store' },
+        body: JSON.stringify({ success: true, ...result })
+      };
+    }
+
+    if (body.action === 'save') {
+      const annotation = await saveAnnotation(db, admin, userId, noteId, body.annotation);
+      return { statusCode: 200, headers, body: JSON.stringify({ success: true, annotation }) };
+    }
+    if (body.action === 'delete') {
+      await deleteAnnotation(db, admin, userId, noteId, body.id);
+      return { statusCode: 200, headers, body: JSON.stringify({ success: true }) };
+    }
+    if (body.action === 'bookmark' || body.action === 'unbookmark') {
+      await setBookmark(db, admin, userId, noteId, body.page, body.action === 'bookmark');
+      return { statusCode: 200, headers, body: JSON.stringify({ success: true }) };
+    }
+    return { statusCode: 400, headers, body: JSON.stringify({ success: false, error: 'Unknown action' }) };
+  } catch (error) {
+    if (error.code === 'INVALID_ANNOTATION') {
+      return { statusCode: 400, headers, body: JSON.stringify({ success: false, error: error.message }) };
+    }
+    console.error('Annotations error:', error);
+    return {
+      statusCode: error.message && error.message.includes('authentication') ? 401 : 500,
+      headers,
+      body: JSON.stringify({ success: false, error: error.message || 'Failed to sync annotations' })
+    };
+  }
+};
@@ -0,0 +1,114 @@
+const admin = require('firebase-admin');
+const { isPurchasable } = require('./lib/catalog');
+const { checkPrice } = require('./lib/pricing');
+const { validateCoupon } = require('./lib/coupons');
+const { getBundle, cartSubject } = require('./lib/bundles');
+
+// Initialize Firebase Admin
+if (!admin.apps.length) {
+  if (process.env.FIREBASE_PROJECT_ID && process.env.FIREBASE_CLIENT_EMAIL && process.env.FIREBASE_PRIVATE_KEY) {
+    admin.initializeApp({
+      credential: admin.credential.cert({
+        projectId: process.env.FIREBASE_PROJECT_ID,
+        clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+        privateKey: process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n')
+      }),
+      projectId: process.env.FIREBASE_PROJECT_ID
+    });
+  } else {
+    admin.initializeApp({ projectId: 'sayheyshubh-7051c' });
+  }
+}
+const db = admin.firestore();
+
+// Authentication helper
+async function verifyFirebaseToken(authHeader) {
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    throw new Error('Missing or invalid authorization header');
+  }
+  const idToken = authHeader.substring(7);
+  try {
+    return await admin.auth().verifyIdToken(idToken);
+  } catch (error) {
+    console.error('Token verification failed:', error);
+    throw new Error('Invalid authentication token');
+  }
+}
+
+// Previews a coupon against the current cart so the cart review can show the discount
+// before checkout. Nothing is reserved here — create-order re-validates the code and
+// reserves it for the order (lib/coupons.js).
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS'
+  };
+
+  if (event.httpMethod === 'OPTIONS') return { statusCode: 200, headers, body: '' };
+  if (event.httpMethod !== 'POST') return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+
+  try {
+    const decodedToken = await verifyFirebaseToken(event.headers.authorization);
+    const { couponCode, items } = JSON.parse(event.body);
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return { statusCode: 400, headers, body: JSON.stringify({ success: false, error: 'Cart is empty' }) };
+    }
+
+    const pricesById = new Map();
+    const bundledNoteIds = new Set();
+    for (const raw of items) {
+      if (raw && raw.bundleId) {
+        const bundle = getBundle(raw.bundleId);
+        if (!bundle) return { statusCode: 400, headers, body: JSON.stringify({ success: false, error: 'Invalid item in cart' }) };
+        bundle.noteIds.forEach(noteId => bundledNoteIds.add(noteId));
+        pricesById.set(bundle.bundleId, bundle.price);
+        continue;
+      }
+      if (!raw || !isPurchasable(raw.noteId)) {
+        return { statusCode: 400, headers, body: JSON.stringify({ success: false, error: 'Invalid item in cart' }) };
+      }
+      const priceCheck = checkPrice(raw.noteId, raw.price, raw.noteTitle);
+      if (!priceCheck.ok) return { statusCode: 400, headers, body: JSON.stringify({ success: false, error: priceCheck.error }) };
+      pricesById.set(raw.noteId, priceCheck.price);
+    }
+
+    // Same rule as create-order: units already inside a bundle in this cart aren't charged
+    bundledNoteIds.forEach(noteId => pricesById.delete(noteId));
+
+    const subject = cartSubject(items);
+    if (!subject) {
+      return { statusCode: 200, headers, body: JSON.stringify({ success: false, error: 'Notes from different subjects need separate orders' }) };
+    }
+
+    const notesTotalPaise = Array.from(pricesById.values()).reduce((sum, price) => sum + price * 100, 0);
+    const result = await validateCoupon(db, {
+      code: couponCode,
+      userId: decodedToken.uid,
+      subject: subject,
+      itemCount: pricesById.size,
+      notesTotalPaise: notesTotalPaise
+    });
+
+    if (!result.ok) return { statusCode: 200, headers, body: JSON.stringify({ success: false, error: result.error }) };
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        success: true,
+        couponCode: result.code,
+        discountAmount: result.discountPaise,
+        notesTotal: notesTotalPaise
+      })
+    };
+  } catch (error) {
+    console.error('Coupon check error:', error);
+    return {
+      statusCode: error.message && error.message.includes('authentication') ? 401 : 500,
+      headers,
+      body: JSON.stringify({ success: false, error: error.message || 'Failed to check coupon' })
+    };
+  }
+};
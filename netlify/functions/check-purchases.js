@@ -1,4 +1,9 @@
 const admin = require('firebase-admin');
+const { syncBundleGrants } = require('./lib/bundles');
+const { claimGiftsForUser } = require('./lib/fulfilment');
+const { findUpdatedNotes } = require('./lib/versions');
+const { getProgressPercents } = require('./lib/progress');
+const { requireDeviceId, registerDevice, deviceErrorResponse } = require('./lib/devices');
 
 // Initialize Firebase Admin
 if (!admin.apps.length) {
@@ -36,7 +41,7 @@ exports.handler = async (event, context) => {
   // CORS headers
   const headers = {
     'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Device-Id',
     'Access-Control-Allow-Methods': 'GET, OPTIONS'
   };
 
@@ -46,6 +51,16 @@ exports.handler = async (event, context) => {
   try {
     const decodedToken = await verifyFirebaseToken(event.headers.authorization);
     const authenticatedUserId = decodedToken.uid;
+    const deviceId = event.headers['x-device-id'];
+    requireDeviceId(deviceId);
+
+    // Gifts bought for this email are claimed on the first check after sign-in
+    let claimedGifts = [];
+    try {
+      claimedGifts = await claimGiftsForUser(db, admin, decodedToken);
+    } catch (error) {
+      console.error('Gift claim failed:', authenticatedUserId, error);
+    }
 
     // Get user's unlocked notes from transactions (single source of truth)
     const transactionsSnapshot = await db.collection('transactions')
@@ -64,15 +79,45 @@ exports.handler = async (event, context) => {
       }
     });
 
+    // Units uploaded after the user bought a bundle/semester pass get granted here
+    const bundleGrants = await syncBundleGrants(db, admin, authenticatedUserId, ownedIds);
+    ownedIds.push(...bundleGrants);
+
+    // Paid accounts are limited to DEVICE_LIMIT devices (lib/devices.js)
+    if (ownedIds.length > 0) {
+      await registerDevice(db, admin, authenticatedUserId, deviceId, event.headers['user-agent']);
+    }
+
+    // Owned notes revised since the user last opened them ("Updated" badge on the pages)
+    let updatedNotes = [];
+    try {
+      updatedNotes = await findUpdatedNotes(db, authenticatedUserId, ownedIds);
+    } catch (error) {
+      console.error('Updated-notes lookup failed:', authenticatedUserId, error);
+    }
+
+    // How far the user has read each owned note (progress bars on the unit cards)
+    let readingProgress = {};
+    try {
+      readingProgress = await getProgressPercents(db, authenticatedUserId, ownedIds);
+    } catch (error) {
+      console.error('Reading progress lookup failed:', authenticatedUserId, error);
+    }
+
     return {
       statusCode: 200,
       headers,
       body: JSON.stringify({
         success: true,
-        purchasedNotes: ownedIds 
+        purchasedNotes: ownedIds,
+        claimedGifts: claimedGifts,
+        updatedNotes: updatedNotes,
+        readingProgress: readingProgress
       })
     };
   } catch (error) {
+    const deviceResponse = deviceErrorResponse(error, headers);
+    if (deviceResponse) return deviceResponse;
     console.error('Error checking purchases:', error);
     return {
       statusCode: error.message && error.message.includes('authentication') ? 401 : 500,
@@ -1,11 +1,12 @@
-const zoologyNotes = require('./data/notes-data.json');
-const microbiologyNotes = require('./data/microbiology-notes-data.json');
-
-// Combine both datasets into one master list
-const notesData = { ...zoologyNotes, ...microbiologyNotes };
-
 const admin = require('firebase-admin');
 const Razorpay = require('razorpay');
+const { getNote, getNoteLocation, isPurchasable } = require('./lib/catalog');
+const { checkPrice } = require('./lib/pricing');
+const { validateCoupon, reserveCoupon, releaseCoupon, MIN_PAYABLE_PAISE } = require('./lib/coupons');
+const { getBundle, cartSubject } = require('./lib/bundles');
+const { computeGrossPaise } = require('./lib/fees'); // Razorpay fee + GST gross-up
+const { normalizeGiftEmail } = require('./lib/gifts');
+const { getWalletBalance, debitForOrder, returnOrderCredit } = require('./lib/wallet');
 
 // Initialize Firebase Admin with secure environment variables
 if (!admin.apps.length) {
@@ -33,8 +34,7 @@ const razorpay = new Razorpay({
 });
 
 // --- Cart constraints ---
-const MIN_PRICE_RUPEES = 10;   // per-unit floor
-const MAX_PRICE_RUPEES = 100;  // per-unit ceiling
+// Per-unit floor/ceiling/sale prices live in data/price-catalog.json (see lib/pricing.js).
 const MAX_ITEMS_PER_ORDER = 20; // sanity cap so one order can't balloon indefinitely
 
 // --- Tip constraints ---
@@ -42,24 +42,6 @@ const MIN_TIP_RUPEES = 5;
 const MAX_TIP_RUPEES = 500;
 const MAX_TIP_MESSAGE_LENGTH = 300;
 
-// --- Payment gateway fee pass-through ---
-// Razorpay deducts a transaction fee, then GST on top of that fee, before settling
-// to the bank. To make sure the creator actually nets the price shown on the site
-// (e.g. a ₹20 unit settles as ₹20, not ₹19.52), we gross up what the buyer pays by
-// exactly enough to cover that deduction. Rates below are based on this account's
-// observed UPI settlement (2% fee + 18% GST on the fee ≈ 2.36% effective) — if
-// Razorpay's pricing for this account changes, update RZP_FEE_RATE here.
-const RZP_FEE_RATE = 0.02;
-const GST_ON_FEE_RATE = 0.18;
-const EFFECTIVE_DEDUCTION_RATE = RZP_FEE_RATE * (1 + GST_ON_FEE_RATE); // ≈ 0.0236
-
-// Given what the creator should net (in paise), returns what the buyer must pay
-// (in paise) so that after Razorpay's cut, the creator still nets that amount.
-// Always rounds up, so the creator is never shorted by a paisa of rounding.
-function computeGrossPaise(netPaise) {
-  return Math.ceil(netPaise / (1 - EFFECTIVE_DEDUCTION_RATE));
-}
-
 // Authentication helper
 async function verifyFirebaseToken(authHeader) {
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -106,8 +88,7 @@ exports.handler = async (event, context) => {
     const decodedToken = await verifyFirebaseToken(event.headers.authorization);
     const authenticatedUserId = decodedToken.uid;
 
-    let { items, subject, tip } = JSON.parse(event.body);
-    subject = subject || 'unknown';
+    const { items, tip, couponCode, giftRecipientEmail, useWallet } = JSON.parse(event.body);
 
     // --- Validate the cart shape ---
     if (!Array.isArray(items) || items.length === 0) {
@@ -141,12 +122,50 @@ exports.handler = async (event, context) => {
       tipMessage = String(tip.message || '').trim().substring(0, MAX_TIP_MESSAGE_LENGTH);
     }
 
-    // De-duplicate by noteId (last price wins if sent twice)
+    // --- Validate the optional gift recipient (unlocked for them on sign-in, not for the buyer) ---
+    let giftEmail = null;
+    if (giftRecipientEmail && String(giftRecipientEmail).trim()) {
+      giftEmail = normalizeGiftEmail(giftRecipientEmail);
+      if (!giftEmail) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ success: false, error: 'Please enter a valid email address for the gift' })
+        };
+      }
+      if (decodedToken.email && giftEmail === decodedToken.email.toLowerCase()) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ success: false, error: "That's your own email — uncheck the gift option to buy for yourself" })
+        };
+      }
+    }
+
+    // De-duplicate by noteId / bundleId (last price wins if sent twice)
     const dedupedById = new Map();
+    const bundledNoteIds = new Set();
     for (const raw of items) {
+      // Bundles are one line item at their fixed price; verify-payment expands them
+      if (raw && raw.bundleId) {
+        const bundle = getBundle(raw.bundleId);
+        if (!bundle) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ success: false, error: `Unknown bundle: ${raw.bundleId}` })
+          };
+        }
+        bundle.noteIds.forEach(noteId => bundledNoteIds.add(noteId));
+        dedupedById.set(bundle.bundleId, {
+          bundleId: bundle.bundleId,
+          noteTitle: bundle.title,
+          price: bundle.price
+        });
+        continue;
+      }
+
       const noteId = raw && raw.noteId;
-      const priceRupees = raw && Number(raw.price);
-      const noteTitle = (raw && raw.noteTitle) || 'BSc Notes';
 
       if (!noteId || typeof noteId !== 'string') {
         return {
@@ -156,23 +175,36 @@ exports.handler = async (event, context) => {
         };
       }
 
-      if (!Number.isFinite(priceRupees) || priceRupees < MIN_PRICE_RUPEES || priceRupees > MAX_PRICE_RUPEES) {
+      // Resolve the secure ID to the real note location — never trust a client-sent URL
+      const note = getNote(noteId);
+      if (!note) {
         return {
           statusCode: 400,
           headers,
-          body: JSON.stringify({ success: false, error: `Price for ${noteTitle} must be between ₹${MIN_PRICE_RUPEES} and ₹${MAX_PRICE_RUPEES}` })
+          body: JSON.stringify({ success: false, error: `Unknown note: ${noteId}` })
         };
       }
+      if (!isPurchasable(noteId)) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ success: false, error: `${note.title} isn't available yet` })
+        };
+      }
+      const realUrl = getNoteLocation(noteId);
+      // The catalog title, not whatever the page sent, goes on the order and the receipt
+      const noteTitle = note.title;
 
-      // Resolve the secure ID to the real note URL — never trust a client-sent URL
-      const realUrl = notesData[noteId];
-      if (!realUrl) {
+      // The price range (and any running sale) comes from the server-side catalog
+      const priceCheck = checkPrice(noteId, raw.price, noteTitle);
+      if (!priceCheck.ok) {
         return {
           statusCode: 400,
           headers,
-          body: JSON.stringify({ success: false, error: `Unknown note: ${noteId}` })
+          body: JSON.stringify({ success: false, error: priceCheck.error })
         };
       }
+      const priceRupees = priceCheck.price;
 
       dedupedById.set(noteId, {
         noteId,
@@ -182,10 +214,55 @@ exports.handler = async (event, context) => {
       });
     }
 
-    const resolvedItems = Array.from(dedupedById.values());
+    // A unit that's also inside a bundle in the same cart would be paid for twice
+    const resolvedItems = Array.from(dedupedById.values())
+      .filter(it => it.bundleId || !bundledNoteIds.has(it.noteId));
     const notesTotalPaise = resolvedItems.reduce((sum, it) => sum + it.price * 100, 0);
+    const db = admin.firestore();
+
+    // The order's subject (and what subject-limited coupons are checked against) comes from
+    // the catalog, not from the page
+    const subject = cartSubject(resolvedItems);
+    if (!subject) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ success: false, error: 'Notes from different subjects need separate orders' })
+      };
+    }
+
+    // --- Validate the optional coupon (reserved below once the order is stored) ---
+    let appliedCouponCode = null;
+    let discountPaise = 0;
+    if (couponCode && String(couponCode).trim()) {
+      const couponCheck = await validateCoupon(db, {
+        code: couponCode,
+        userId: authenticatedUserId,
+        subject: subject,
+        itemCount: resolvedItems.length,
+        notesTotalPaise: notesTotalPaise
+      });
+      if (!couponCheck.ok) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ success: false, error: couponCheck.error })
+        };
+      }
+      appliedCouponCode = couponCheck.code;
+      discountPaise = couponCheck.discountPaise;
+    }
+
+    // --- Optional wallet credit (referrals), applied after the coupon; like a coupon it
+    // can't take the notes total below ₹1. Debited below once the order is stored.
+    let walletPaise = 0;
+    if (useWallet) {
+      const balance = await getWalletBalance(db, authenticatedUserId);
+      walletPaise = Math.max(0, Math.min(balance, notesTotalPaise - discountPaise - MIN_PAYABLE_PAISE));
+    }
+
     const tipAmountPaise = Math.round(tipAmountRupees * 100);
-    const netTargetPaise = notesTotalPaise + tipAmountPaise;
+    const netTargetPaise = notesTotalPaise - discountPaise - walletPaise + tipAmountPaise;
     const grossAmountPaise = computeGrossPaise(netTargetPaise);
     const platformFeePaise = grossAmountPaise - netTargetPaise;
 
@@ -203,6 +280,9 @@ exports.handler = async (event, context) => {
         units: unitNamesJoined.length <= 250 ? unitNamesJoined : unitNamesJoined.substring(0, 247) + '...',
         itemCount: String(resolvedItems.length),
         hasTip: String(tipAmountPaise > 0),
+        coupon: appliedCouponCode || '',
+        giftFor: giftEmail || '',
+        wallet: String(walletPaise),
         timestamp: new Date().toISOString()
       }
     };
@@ -210,17 +290,20 @@ exports.handler = async (event, context) => {
     const order = await razorpay.orders.create(options);
 
     // Store full order + cart + tip details in Firebase for verify-payment / webhook processing
-    const db = admin.firestore();
     await db.collection('orders').doc(order.id).set({
       orderId: order.id,
       userId: authenticatedUserId,
       userName: decodedToken.name || '',
       userEmail: decodedToken.email || '',
-      items: resolvedItems, // [{ noteId, noteUrl, noteTitle, price }] — price is the note price, not what was charged
+      items: resolvedItems, // [{ noteId, noteUrl, noteTitle, price }] or [{ bundleId, noteTitle, price }] — price is the list price, not what was charged
       subject: subject,
-      notesTotal: notesTotalPaise,
+      notesTotal: notesTotalPaise, // before any coupon discount
+      couponCode: appliedCouponCode,
+      discountAmount: discountPaise,
       tipAmount: tipAmountPaise,
       tipMessage: tipMessage,
+      giftRecipientEmail: giftEmail,
+      walletAmount: walletPaise,
       platformFee: platformFeePaise,
       amount: grossAmountPaise,
       currency: 'INR',
@@ -228,6 +311,59 @@ exports.handler = async (event, context) => {
       createdAt: admin.firestore.FieldValue.serverTimestamp()
     });
 
+    // Only now is anything taken: the stored order (with its walletAmount and couponCode) is
+    // what reconcile-orders uses to give an abandoned checkout's credit and coupon back.
+    // The coupon reservation re-checks the cap and the one-use-per-user rule in a
+    // transaction. If the wallet or the coupon can't be taken, or anything throws on the
+    // way, whatever was taken is given back and the order is cancelled.
+    const heldOrder = { orderId: order.id, userId: authenticatedUserId, walletAmount: walletPaise, couponCode: appliedCouponCode };
+    const cancelOrder = async () => {
+      await returnOrderCredit(db, admin, heldOrder, 'release');
+      await releaseCoupon(db, admin, heldOrder);
+      await db.collection('orders').doc(order.id).update({
+        status: 'cancelled',
+        cancelledAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    };
+
+    let conflict = null;
+    try {
+      if (walletPaise > 0) {
+        await debitForOrder(db, admin, authenticatedUserId, order.id, walletPaise);
+      }
+      if (appliedCouponCode) {
+        const reservation = await reserveCoupon(db, admin, {
+          code: appliedCouponCode,
+          orderId: order.id,
+          userId: authenticatedUserId,
+          subject: subject,
+          itemCount: resolvedItems.length,
+          notesTotalPaise: notesTotalPaise
+        });
+        if (!reservation.ok || reservation.discountPaise !== discountPaise) {
+          conflict = reservation.error || 'This coupon changed — please apply it again';
+        }
+      }
+    } catch (error) {
+      if (error.code !== 'INSUFFICIENT_BALANCE') {
+        // If giving things back fails too, the order is still 'created' and the next
+        // reconcile-orders run returns them
+        await cancelOrder().catch(cancelError => console.error('Order cancel failed:', order.id, cancelError));
+        throw error;
+      }
+      // Spent in another tab since we read it
+      conflict = 'Your wallet balance changed — please try again';
+    }
+
+    if (conflict) {
+      await cancelOrder();
+      return {
+        statusCode: 409,
+        headers,
+        body: JSON.stringify({ success: false, error: conflict })
+      };
+    }
+
     return {
       statusCode: 200,
       headers,
@@ -236,8 +372,12 @@ exports.handler = async (event, context) => {
         orderId: order.id,
         amount: order.amount,
         notesTotal: notesTotalPaise,
+        couponCode: appliedCouponCode,
+        discountAmount: discountPaise,
         tipAmount: tipAmountPaise,
         platformFee: platformFeePaise,
+        giftRecipientEmail: giftEmail,
+        walletAmount: walletPaise,
         currency: order.currency,
         key: process.env.RAZORPAY_KEY_ID,
         itemCount: resolvedItems.length
@@ -0,0 +1,78 @@
+const admin = require('firebase-admin');
+const { listDevices, removeDevice, isValidDeviceId, deviceErrorResponse } = require('./lib/devices');
+
+// Initialize Firebase Admin
+if (!admin.apps.length) {
+  if (process.env.FIREBASE_PROJECT_ID && process.env.FIREBASE_CLIENT_EMAIL && process.env.FIREBASE_PRIVATE_KEY) {
+    admin.initializeApp({
+      credential: admin.credential.cert({
+        projectId: process.env.FIREBASE_PROJECT_ID,
+        clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+        privateKey: process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n')
+      }),
+      projectId: process.env.FIREBASE_PROJECT_ID
+    });
+  } else {
+    admin.initializeApp({ projectId: 'sayheyshubh-7051c' });
+  }
+}
+const db = admin.firestore();
+
+// Authentication helper
+async function verifyFirebaseToken(authHeader) {
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    throw new Error('Missing or invalid authorization header');
+  }
+  const idToken = authHeader.substring(7);
+  try {
+    return await admin.auth().verifyIdToken(idToken);
+  } catch (error) {
+    console.error('Token verification failed:', error);
+    throw new Error('Invalid authentication token');
+  }
+}
+
+// Backs the My devices page (see lib/devices.js).
+// GET  -> the account's registered devices (the caller's own is marked `current`), the
+//         device limit and when the next removal is allowed. Send X-Device-Id.
+// POST { deviceId } -> removes a device, at most once per cooldown period.
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Device-Id',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+  };
+
+  if (event.httpMethod === 'OPTIONS') return { statusCode: 200, headers, body: '' };
+  if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+
+  try {
+    const decodedToken = await verifyFirebaseToken(event.headers.authorization);
+    const userId = decodedToken.uid;
+
+    if (event.httpMethod === 'POST') {
+      const { deviceId } = JSON.parse(event.body || '{}');
+      if (!isValidDeviceId(deviceId)) {
+        return { statusCode: 400, headers, body: JSON.stringify({ success: false, error: 'Invalid device' }) };
+      }
+      const removed = await removeDevice(db, admin, userId, deviceId);
+      if (!removed) return { statusCode: 404, headers, body: JSON.stringify({ success: false, error: 'That device isn\'t registered to your account' }) };
+    }
+
+    const result = await listDevices(db, userId, event.headers['x-device-id']);
+    return {
+      statusCode: 200,
+      headers: { ...headers, 'Cache-Control': 'private, no-store' },
+      body: JSON.stringify({ success: true, ...result })
+    };
+  } catch (error) {
+    const deviceResponse = deviceErrorResponse(error, headers);
+    if (deviceResponse) return deviceResponse;
+    console.error('Devices error:', error);
+    return {
+      statusCode: error.message && error.message.includes('authentication') ? 401 : 500,
+      headers,
+      body: JSON.stringify({ success: false, error: error.message || 'Failed to load devices' })
+    };
+  }
+};
@@ -0,0 +1,73 @@
+const { listNotes, getPaper, listSubjects, getPreviewKey, getNoteVersion } = require('./lib/catalog');
+const { resolvePrice } = require('./lib/pricing');
+
+// Public, read-only view of the notes catalog. The semester pages render their unit
+// lists from this, so adding a unit to data/catalog.json is all it takes to show it.
+// Storage keys and Drive links never leave the server.
+//
+// Optional filters, combinable:
+//   ?subject=zoology   ?semester=1   ?paper=dsc-1,dsc-2
+// Notes come back grouped by paper, in catalog order.
+function publicNote(note, now) {
+  const live = note.status !== 'coming_soon';
+  const hasPreview = getPreviewKey(note.id) !== null;
+  return {
+    id: note.id,
+    unit: note.unit,
+    throughUnit: note.throughUnit || null,
+    title: note.title,
+    topics: note.topics || null,
+    links: note.links || [],
+    info: note.info || null,
+    availability: live ? 'live' : 'coming_soon',
+    price: live ? resolvePrice(note.id, now) : null,
+    freePreview: hasPreview,
+    previewPages: hasPreview ? note.previewPages : 0,
+    pageCount: note.pageCount,
+    ...getNoteVersion(note.id) // version, updatedAt, changelog
+  };
+}
+
+exports.handler = async (event, context) => {
+  // CORS headers
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS'
+  };
+
+  if (event.httpMethod === 'OPTIONS') return { statusCode: 200, headers, body: '' };
+  if (event.httpMethod !== 'GET') return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+
+  const params = event.queryStringParameters || {};
+  const semester = params.semester ? Number(params.semester) : null;
+  if (params.semester && !(Number.isInteger(semester) && semester > 0)) {
+    return { statusCode: 400, headers, body: JSON.stringify({ success: false, error: 'Invalid semester' }) };
+  }
+  const paperCodes = (params.paper || '')
+    .split(',')
+    .map(code => code.trim().toLowerCase())
+    .filter(Boolean);
+
+  const notes = listNotes({ subject: params.subject, semester })
+    .filter(note => paperCodes.length === 0 || paperCodes.includes(note.paper));
+
+  const now = new Date();
+  const papers = [];
+  const papersByCode = new Map();
+  notes.forEach(note => {
+    if (!papersByCode.has(note.paper)) {
+      const paper = { ...getPaper(note.paper), notes: [] };
+      papersByCode.set(note.paper, paper);
+      papers.push(paper);
+    }
+    papersByCode.get(note.paper).notes.push(publicNote(note, now));
+  });
+
+  return {
+    statusCode: 200,
+    // Prices are included and sales run on a timer — same short cache as get-prices
+    headers: { ...headers, 'Cache-Control': 'public, max-age=60' },
+    body: JSON.stringify({ success: true, subjects: listSubjects(), papers })
+  };
+};
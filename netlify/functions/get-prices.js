@@ -0,0 +1,41 @@
+const { hasNote, listNotes } = require('./lib/catalog');
+const { resolvePrice } = require('./lib/pricing');
+const { listBundles } = require('./lib/bundles');
+
+// Public, read-only view of the price catalog so the semester pages render the
+// same chips, suggested price and sale state that create-order will enforce.
+// Bundles are always returned in full (with their current note IDs) so pages can
+// place the offers next to the units they cover.
+// Optional ?ids=unit-1-dsc-1,unit-2-dsc-1 limits the response to those notes.
+exports.handler = async (event, context) => {
+  // CORS headers
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS'
+  };
+
+  if (event.httpMethod === 'OPTIONS') return { statusCode: 200, headers, body: '' };
+  if (event.httpMethod !== 'GET') return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+
+  const requestedIds = ((event.queryStringParameters && event.queryStringParameters.ids) || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean);
+  const noteIds = requestedIds.length > 0
+    ? requestedIds.filter(hasNote)
+    : listNotes().map(note => note.id);
+
+  const now = new Date();
+  const prices = {};
+  noteIds.forEach(noteId => {
+    prices[noteId] = resolvePrice(noteId, now);
+  });
+
+  return {
+    statusCode: 200,
+    // Short cache: sales start and end on a timer, so this can't be cached for long
+    headers: { ...headers, 'Cache-Control': 'public, max-age=60' },
+    body: JSON.stringify({ success: true, prices, bundles: listBundles() })
+  };
+};
@@ -0,0 +1,120 @@
+const admin = require('firebase-admin');
+const { issueInvoice, buildReceipt, renderReceiptHtml, renderReceiptPdf } = require('./lib/invoices');
+
+// Initialize Firebase Admin
+if (!admin.apps.length) {
+  if (process.env.FIREBASE_PROJECT_ID && process.env.FIREBASE_CLIENT_EMAIL && process.env.FIREBASE_PRIVATE_KEY) {
+    admin.initializeApp({
+      credential: admin.credential.cert({
+        projectId: process.env.FIREBASE_PROJECT_ID,
+        clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+        privateKey: process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n')
+      }),
+      projectId: process.env.FIREBASE_PROJECT_ID
+    });
+  } else {
+    admin.initializeApp({ projectId: 'sayheyshubh-7051c' });
+  }
+}
+const db = admin.firestore();
+
+// Authentication helper
+async function verifyFirebaseToken(authHeader) {
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    throw new Error('Missing or invalid authorization header');
+  }
+  const idToken = authHeader.substring(7);
+  try {
+    return await admin.auth().verifyIdToken(idToken);
+  } catch (error) {
+    console.error('Token verification failed:', error);
+    throw new Error('Invalid authentication token');
+  }
+}
+
+const PAID_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+
+// Orders fulfilled before the 'paid' status existed are still 'created' — their
+// transactions are the proof of payment.
+async function findPaymentId(orderId, orderData) {
+  if (orderData.paymentId) return orderData.paymentId;
+  const snapshot = await db.collection('transactions')
+    .where('orderId', '==', orderId)
+    .where('userId', '==', orderData.userId)
+    .limit(1)
+    .get();
+  return snapshot.empty ? null : snapshot.docs[0].data().paymentId;
+}
+
+// Receipt for one of the signed-in user's orders: GET ?orderId=order_xxx&format=html|pdf.
+// Rendered from the stored order every time; the invoice number is issued on first use
+// if fulfilment didn't get to it.
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS'
+  };
+
+  if (event.httpMethod === 'OPTIONS') return { statusCode: 200, headers, body: '' };
+  if (event.httpMethod !== 'GET') return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+
+  try {
+    const decodedToken = await verifyFirebaseToken(event.headers.authorization);
+    const params = event.queryStringParameters || {};
+    const orderId = params.orderId;
+    const format = params.format === 'pdf' ? 'pdf' : 'html';
+
+    if (!orderId) {
+      return { statusCode: 400, headers, body: JSON.stringify({ success: false, error: 'Missing orderId' }) };
+    }
+
+    const orderDoc = await db.collection('orders').doc(orderId).get();
+    if (!orderDoc.exists || orderDoc.data().userId !== decodedToken.uid) {
+      return { statusCode: 404, headers, body: JSON.stringify({ success: false, error: 'Order not found' }) };
+    }
+
+    const orderData = { orderId, ...orderDoc.data() };
+    const paymentId = await findPaymentId(orderId, orderData);
+    if (!PAID_STATUSES.includes(orderData.status) && !paymentId) {
+      return { statusCode: 409, headers, body: JSON.stringify({ success: false, error: 'This order has not been paid' }) };
+    }
+    orderData.paymentId = paymentId;
+
+    const invoice = await issueInvoice(db, admin, orderData);
+    const receipt = buildReceipt(orderData, invoice);
+    const fileName = `receipt-${invoice.invoiceNumber.replace(/\//g, '-')}`;
+
+    if (format === 'pdf') {
+      return {
+        statusCode: 200,
+        headers: {
+          ...headers,
+          'Content-Type': 'application/pdf',
+          'Content-Disposition': `attachment; filename="${fileName}.pdf"`,
+          'Cache-Control': 'private, no-store'
+        },
+        body: (await renderReceiptPdf(receipt)).toString('base64'),
+        isBase64Encoded: true
+      };
+    }
+
+    return {
+      statusCode: 200,
+      headers: {
+        ...headers,
+        'Content-Type': 'text/html; charset=utf-8',
+        'Content-Disposition': `inline; filename="${fileName}.html"`,
+        'Cache-Control': 'private, no-store'
+      },
+      body: renderReceiptHtml(receipt)
+    };
+  } catch (error) {
+    console.error('Invoice error:', error);
+    return {
+      statusCode: error.message && error.message.includes('authentication') ? 401 : 500,
+      headers,
+      body: JSON.stringify({ success: false, error: error.message || 'Failed to generate receipt' })
+    };
+  }
+};
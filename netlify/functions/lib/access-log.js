@@ -0,0 +1,143 @@
+// Who opened which note, and when. secure-notes writes one `accessLog` entry per successful
+// request (full note or free preview):
+//
+//   userId (null for signed-out previews), noteId, kind ('full' | 'preview'), ipHash,
+//   userAgent, deviceId (the X-Device-Id header the pages send, see getDeviceId() in
+//   firebase-config.js), createdAt
+//
+// IPs are only ever stored hashed (salted with ACCESS_LOG_SALT) — enough to count distinct
+// addresses, not to recover them.
+//
+// After each full-note open the user's recent entries are checked for the patterns a shared
+// or scraped account leaves behind, and a Telegram alert goes out when one trips. Each rule
+// alerts at most once per user per window: the alert is claimed with create() on
+// `accessAlerts/{userId}_{rule}_{windowStart}` before sending.
+
+const crypto = require('crypto');
+const { notify } = require('./telegram');
+const { isValidDeviceId } = require('./devices');
+const { escapeHtml } = require('./fulfilment');
+
+const LOCATION_WINDOW_MINUTES = 60;
+const MAX_IPS_PER_WINDOW = 4;
+const MAX_DEVICES_PER_WINDOW = 3;
+const BURST_WINDOW_MINUTES = 10;
+const MAX_NOTES_PER_BURST = 15;
+
+function hashIp(ip) {
+  if (!ip) return null;
+  const salt = process.env.ACCESS_LOG_SALT || 'sayheyshubh';
+  return crypto.createHash('sha256').update(`${salt}:${ip}`).digest('hex').slice(0, 16);
+}
+
+// The caller's IP, user agent and device ID from a Netlify function event
+function describeClient(event) {
+  const headers = event.headers || {};
+  const ip = headers['x-nf-client-connection-ip'] || (headers['x-forwarded-for'] || '').split(',')[0].trim() || null;
+  const deviceId = headers['x-device-id'];
+  return {
+    ipHash: hashIp(ip),
+    userAgent: (headers['user-agent'] || '').slice(0, 300),
+    deviceId: isValidDeviceId(deviceId) ? deviceId : null
+  };
+}
+
+async function recordAccess(db, admin, { userId, noteId, kind, client }) {
+  await db.collection('accessLog').add({
+    userId: userId || null,
+    noteId,
+    kind,
+    ipHash: client.ipHash,
+    userAgent: client.userAgent,
+    deviceId: client.deviceId,
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+}
+
+async function recentAccess(db, userId, since) {
+  const snapshot = await db.collection('accessLog')
+    .where('userId', '==', userId)
+    .where('createdAt', '>=', since)
+    .get();
+  return snapshot.docs.map(doc => doc.data());
+}
+
+function distinct(entries, field) {
+  return new Set(entries.map(entry => entry[field]).filter(Boolean));
+}
+
+// Returns the rules the user's recent full-note opens trip, as
+// [{ rule, windowMinutes, message }]. Pure, so it can be checked against any list of entries.
+function findSuspiciousPatterns(entries, now = new Date()) {
+  const full = entries.filter(entry => entry.kind === 'full');
+  const within = (minutes) => full.filter(entry => {
+    const at = entry.createdAt && typeof entry.createdAt.toDate === 'function' ? entry.createdAt.toDate() : new Date(entry.createdAt);
+    return now - at <= minutes * 60 * 1000;
+  });
+  const flags = [];
+
+  const recent = within(LOCATION_WINDOW_MINUTES);
+  const ips = distinct(recent, 'ipHash').size;
+  const devices = distinct(recent, 'deviceId').size;
+  if (ips > MAX_IPS_PER_WINDOW) {
+    flags.push({ rule: 'many_ips', windowMinutes: LOCATION_WINDOW_MINUTES, message: `${ips} different IPs in ${LOCATION_WINDOW_MINUTES} min` });
+  }
+  if (devices > MAX_DEVICES_PER_WINDOW) {
+    flags.push({ rule: 'many_devices', windowMinutes: LOCATION_WINDOW_MINUTES, message: `${devices} different devices in ${LOCATION_WINDOW_MINUTES} min` });
+  }
+
+  const notes = distinct(within(BURST_WINDOW_MINUTES), 'noteId').size;
+  if (notes > MAX_NOTES_PER_BURST) {
+    flags.push({ rule: 'bulk_access', windowMinutes: BURST_WINDOW_MINUTES, message: `${notes} different units opened in ${BURST_WINDOW_MINUTES} min` });
+  }
+  return flags;
+}
+
+// Checks the user's recent opens and alerts on anything new. Returns the flags found.
+async function checkForLeaks(db, admin, user, now = new Date()) {
+  const since = new Date(now.getTime() - LOCATION_WINDOW_MINUTES * 60 * 1000);
+  const flags = findSuspiciousPatterns(await recentAccess(db, user.uid, since), now);
+
+  for (const flag of flags) {
+    const windowMs = flag.windowMinutes * 60 * 1000;
+    const windowStart = Math.floor(now.getTime() / windowMs) * windowMs;
+    try {
+      await db.collection('accessAlerts').doc(`${user.uid}_${flag.rule}_${windowStart}`).create({
+        userId: user.uid,
+        rule: flag.rule,
+        message: flag.message,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    } catch (error) {
+      if (error.code === 6) continue; // ALREADY_EXISTS — already alerted for this window
+      throw error;
+    }
+    await notify(
+      `🚨 <b>Possible notes sharing</b>\n` +
+      `User: ${escapeHtml(user.email || 'no email')} (<code>${escapeHtml(user.uid)}</code>)\n` +
+      `${flag.message}\n` +
+      `History: <code>npm run access-history -- --user=${escapeHtml(user.uid)}</code>`
+    );
+  }
+  return flags;
+}
+
+// Newest first, for scripts/access-history.js
+async function getAccessHistory(db, userId, { limit = 100 } = {}) {
+  const snapshot = await db.collection('accessLog').where('userId', '==', userId).get();
+  return snapshot.docs
+    .map(doc => ({ id: doc.id, ...doc.data() }))
+    .sort((a, b) => (b.createdAt ? b.createdAt.toMillis() : 0) - (a.createdAt ? a.createdAt.toMillis() : 0))
+    .slice(0, limit)
+    .map(entry => ({
+      id: entry.id,
+      noteId: entry.noteId,
+      kind: entry.kind,
+      ipHash: entry.ipHash,
+      deviceId: entry.deviceId,
+      userAgent: entry.userAgent,
+      createdAt: entry.createdAt ? entry.createdAt.toDate().toISOString() : null
+    }));
+}
+
+module.exports = { hashIp, describeClient, recordAccess, findSuspiciousPatterns, checkForLeaks, getAccessHistory };
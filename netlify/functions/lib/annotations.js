@@ -0,0 +1,158 @@
+// Students' own marks on the notes they bought: highlights, pen strokes, text notes and
+// page bookmarks. The viewer draws them as an overlay above the page canvases; they are
+// never written into the PDF. One document per user per note version:
+//
+//   annotations/{uid}_{noteId}_v{version} = { userId, noteId, version,
+//     items: { [id]: annotation }, bookmarks: [page], updatedAt }
+//
+//   highlight  { id, type, page, rect: [x, y, w, h], color }
+//   ink        { id, type, page, points: [[x, y], ...], color, width }
+//   note       { id, type, page, x, y, text }
+//
+// Positions are fractions of the page (0-1), so marks land in the same place at any zoom
+// or screen size, and each item gets `createdAt` (ms) when first saved. Besides the item
+// count, the items are capped at MAX_ITEMS_BYTES as Firestore counts them, so long pen
+// strokes and text notes can't push the document past its 1 MiB limit. A revised note
+// (lib/catalog.js `version`) starts with an empty document because its pages may have
+// moved; the previous version's document is kept.
+
+const { getNoteVersion } = require('./catalog');
+
+const TYPES = ['highlight', 'ink', 'note'];
+const COLORS = ['yellow', 'green', 'blue', 'pink'];
+const ID_PATTERN = /^a_[a-z0-9]{6,24}$/;
+const MAX_ITEMS = 500;
+const MAX_POINTS = 2000;
+const MAX_TEXT = 1000;
+const MAX_PAGE = 2000;
+const MAX_ITEMS_BYTES = 800 * 1024; // leaves room for the bookmarks and other fields
+
+function annotationError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_ANNOTATION';
+  return error;
+}
+
+function isValidPage(page) {
+  return Number.isInteger(page) && page >= 1 && page <= MAX_PAGE;
+}
+
+// A 0-1 fraction rounded to 4 places, or null
+function fraction(value) {
+  return typeof value === 'number' && isFinite(value) && value >= 0 && value <= 1
+    ? Math.round(value * 10000) / 10000
+    : null;
+}
+
+// Returns just the fields for the annotation's type, or throws INVALID_ANNOTATION
+function cleanAnnotation(input) {
+  if (!input || !ID_PATTERN.test(input.id) || !TYPES.includes(input.type) || !isValidPage(input.page)) {
+    throw annotationError('Invalid annotation');
+  }
+  const base = { id: input.id, type: input.type, page: input.page };
+  const color = COLORS.includes(input.color) ? input.color : COLORS[0];
+
+  if (input.type === 'highlight') {
+    const rect = Array.isArray(input.rect) ? input.rect.map(fraction) : [];
+    if (rect.length !== 4 || rect.includes(null)) throw annotationError('Invalid highlight');
+    return { ...base, rect, color };
+  }
+  if (input.type === 'ink') {
+    const points = Array.isArray(input.points) ? input.points.slice(0, MAX_POINTS).map(point => (
+      Array.isArray(point) ? [fraction(point[0]), fraction(point[1])] : [null, null]
+    )) : [];
+    if (points.length < 2 || points.some(point => point.includes(null))) throw annotationError('Invalid pen stroke');
+    // Firestore can't store nested arrays, so points are kept flat: [x1, y1, x2, y2, ...]
+    const width = Number.isFinite(input.width) ? Math.min(Math.max(input.width, 1), 12) : 2;
+    return { ...base, points: [].concat(...points), color, width };
+  }
+  const text = typeof input.text === 'string' ? input.text.trim().slice(0, MAX_TEXT) : '';
+  const x = fraction(input.x);
+  const y = fraction(input.y);
+  if (!text || x === null || y === null) throw annotationError('Invalid note');
+  return { ...base, x, y, text };
+}
+
+// Bytes Firestore counts for a stored value: strings (and map keys) are their UTF-8 length
+// plus one, numbers eight
+function storedSize(value) {
+  if (typeof value === 'string') return Buffer.byteLength(value) + 1;
+  if (typeof value === 'number') return 8;
+  if (value === null || typeof value === 'boolean') return 1;
+  if (Array.isArray(value)) return value.reduce((sum, item) => sum + storedSize(item), 0);
+  return Object.keys(value).reduce((sum, key) => sum + storedSize(key) + storedSize(value[key]), 0);
+}
+
+function annotationsRef(db, userId, noteId) {
+  const version = getNoteVersion(noteId).version;
+  return { ref: db.collection('annotations').doc(`${userId}_${noteId}_v${version}`), version };
+}
+
+function unflatten(item) {
+  if (item.type !== 'ink') return item;
+  const points = [];
+  for (let i = 0; i + 1 < item.points.length; i += 2) points.push([item.points[i], item.points[i + 1]]);
+  return { ...item, points };
+}
+
+// { version, annotations (by page, oldest first), bookmarks (ascending) }
+async function getAnnotations(db, userId, noteId) {
+  const { ref, version } = annotationsRef(db, userId, noteId);
+  const doc = await ref.get();
+  const data = doc.exists ? doc.data() : {};
+  const annotations = Object.values(data.items || {})
+    .map(unflatten)
+    .sort((a, b) => (a.page - b.page) || ((a.createdAt || 0) - (b.createdAt || 0)));
+  return { version, annotations, bookmarks: (data.bookmarks || []).slice().sort((a, b) => a - b) };
+}
+
+// Creates or replaces one annotation. Returns it as stored.
+async function saveAnnotation(db, admin, userId, noteId, input) {
+  const annotation = cleanAnnotation(input);
+  const { ref, version } = annotationsRef(db, userId, noteId);
+
+  return db.runTransaction(async (tx) => {
+    const doc = await tx.get(ref);
+    const items = (doc.exists && doc.data().items) || {};
+    if (!items[annotation.id] && Object.keys(items).length >= MAX_ITEMS) {
+      throw annotationError(`You can keep up to ${MAX_ITEMS} annotations on one note. Delete some to add more.`);
+    }
+    const stored = { ...annotation, createdAt: items[annotation.id] ? items[annotation.id].createdAt : Date.now() };
+    if (storedSize({ ...items, [annotation.id]: stored }) > MAX_ITEMS_BYTES) {
+      throw annotationError('This note has no room for more annotations. Delete some (long pen strokes take the most space) to add more.');
+    }
+    tx.set(ref, {
+      userId,
+      noteId,
+      version,
+      items: { [annotation.id]: stored },
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+    return unflatten(stored);
+  });
+}
+
+async function deleteAnnotation(db, admin, userId, noteId, id) {
+  if (!ID_PATTERN.test(id)) throw annotationError('Invalid annotation');
+  const { ref } = annotationsRef(db, userId, noteId);
+  await ref.update({
+    [`items.${id}`]: admin.firestore.FieldValue.delete(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  }).catch(error => {
+    if (error.code !== 5) throw error; // NOT_FOUND — nothing saved for this note yet
+  });
+}
+
+async function setBookmark(db, admin, userId, noteId, page, bookmarked) {
+  if (!isValidPage(page)) throw annotationError('Invalid page');
+  const { ref, version } = annotationsRef(db, userId, noteId);
+  await ref.set({
+    userId,
+    noteId,
+    version,
+    bookmarks: bookmarked ? admin.firestore.FieldValue.arrayUnion(page) : admin.firestore.FieldValue.arrayRemove(page),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  }, { merge: true });
+}
+
+module.exports = { COLORS, getAnnotations, saveAnnotation, deleteAnnotation, setBookmark };
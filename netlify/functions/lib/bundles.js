@@ -0,0 +1,187 @@
+// Bundle products: "all of DSC-2" (paper-level) or "all of Semester 1" (semester-level),
+// defined in data/bundles.json over paper codes rather than fixed note IDs. Membership is
+// worked out from the notes catalog every time, so a unit uploaded after someone bought
+// the bundle is automatically part of it.
+//
+// Buying a bundle writes one `bundlePasses/{paymentId}_{bundleId}` document plus the usual
+// per-note `transactions`. check-purchases and secure-notes call syncBundleGrants /
+// grantFromBundlePass to fill in transactions for units added to the bundle later, so
+// `transactions` stays the single source of truth for access. A unit whose transaction
+// under a pass has been refunded or revoked is not granted again from that pass.
+//
+// Passes granted by an admin (lib/grants.js) carry `source: 'manual'`, the reason and the
+// admin's UID, and pass them on to every transaction they create.
+
+const bundlesData = require('../data/bundles.json');
+const { getNote, listNotes, paperCodeOf, getNoteLocation } = require('./catalog');
+
+function isBundleId(id) {
+  return typeof id === 'string' && Object.prototype.hasOwnProperty.call(bundlesData, id);
+}
+
+// Returns the bundle with its *current* list of note IDs, or null if unknown.
+function getBundle(bundleId) {
+  if (!isBundleId(bundleId)) return null;
+  const bundle = bundlesData[bundleId];
+  // Coming-soon units join the bundle once they are uploaded, not before
+  const noteIds = listNotes()
+    .filter(note => bundle.papers.includes(note.paper) && note.status !== 'coming_soon')
+    .map(note => note.id);
+  return {
+    bundleId,
+    title: bundle.title,
+    subject: bundle.subject,
+    scope: bundle.scope,
+    papers: bundle.papers,
+    price: bundle.price,
+    noteIds
+  };
+}
+
+// The one subject every unit and bundle in a cart belongs to, from the catalog. Null if
+// the cart mixes subjects or holds an unknown item — coupons are limited by subject, so
+// this is what they're checked against rather than anything the page sends.
+function cartSubject(items) {
+  const subjects = new Set(items.map(item => {
+    const entry = item && item.bundleId ? getBundle(item.bundleId) : getNote(item && item.noteId);
+    return entry ? entry.subject : null;
+  }));
+  return subjects.size === 1 && !subjects.has(null) ? Array.from(subjects)[0] : null;
+}
+
+function listBundles() {
+  return Object.keys(bundlesData).map(getBundle);
+}
+
+function bundleIdsCoveringNote(noteId) {
+  const paperCode = paperCodeOf(noteId);
+  return Object.keys(bundlesData).filter(bundleId => bundlesData[bundleId].papers.includes(paperCode));
+}
+
+// Creates the per-note transactions a bundle pass entitles its owner to. Uses create()
+// with the same `${paymentId}_${noteId}` doc IDs as single-unit purchases, so running
+// it twice (webhook + frontend, or a later sync) never duplicates anything.
+async function grantBundleNotes(db, admin, pass, noteIds) {
+  const granted = [];
+  for (const noteId of noteIds) {
+    try {
+      await db.collection('transactions').doc(`${pass.paymentId}_${noteId}`).create({
+        userId: pass.userId,
+        paymentId: pass.paymentId,
+        orderId: pass.orderId,
+        noteUrl: getNoteLocation(noteId),
+        noteId: noteId,
+        noteTitle: pass.bundleTitle,
+        bundleId: pass.bundleId,
+        price: 0, // paid for as part of the bundle line item
+        subject: pass.subject || 'unknown',
+        timestamp: admin.firestore.FieldValue.serverTimestamp(),
+        status: 'completed',
+        verified: true,
+        ...(pass.source === 'manual' && { source: 'manual', reason: pass.reason, grantedBy: pass.grantedBy })
+      });
+      granted.push(noteId);
+    } catch (error) {
+      if (error.code !== 6) throw error; // ALREADY_EXISTS
+      // Already granted by an earlier run — still counts, unless it has since been refunded
+      const existing = await db.collection('transactions').doc(`${pass.paymentId}_${noteId}`).get();
+      if (existing.exists && existing.data().status === 'completed') granted.push(noteId);
+    }
+  }
+  return granted;
+}
+
+// Records a bundle purchase and grants every unit currently in it. Returns the note IDs.
+// `manual` ({ source, reason, grantedBy }) is only set for admin grants.
+async function fulfilBundle(db, admin, { userId, paymentId, orderId, bundleId, subject, manual }) {
+  const bundle = getBundle(bundleId);
+  if (!bundle) throw new Error(`Unknown bundle: ${bundleId}`);
+
+  const pass = { userId, paymentId, orderId, bundleId, bundleTitle: bundle.title, subject: subject || bundle.subject, ...manual };
+  try {
+    await db.collection('bundlePasses').doc(`${paymentId}_${bundleId}`).create({
+      ...pass,
+      status: 'active',
+      timestamp: admin.firestore.FieldValue.serverTimestamp()
+    });
+  } catch (error) {
+    if (error.code !== 6) throw error; // ALREADY_EXISTS
+  }
+  return grantBundleNotes(db, admin, pass, bundle.noteIds);
+}
+
+async function getActivePasses(db, userId) {
+  const snapshot = await db.collection('bundlePasses')
+    .where('userId', '==', userId)
+    .where('status', '==', 'active')
+    .get();
+  return snapshot.docs.map(doc => doc.data());
+}
+
+// Grants any bundle units the user doesn't own yet (i.e. units uploaded since they
+// bought the bundle). `ownedIds` is what check-purchases already found in transactions.
+async function syncBundleGrants(db, admin, userId, ownedIds) {
+  const passes = await getActivePasses(db, userId);
+  if (passes.length === 0) return [];
+
+  const owned = new Set(ownedIds);
+  const newlyGranted = [];
+  for (const pass of passes) {
+    const bundle = getBundle(pass.bundleId);
+    if (!bundle) continue;
+    const missing = bundle.noteIds.filter(noteId => !owned.has(noteId));
+    if (missing.length === 0) continue;
+    const granted = await grantBundleNotes(db, admin, pass, missing);
+    granted.forEach(noteId => { owned.add(noteId); newlyGranted.push(noteId); });
+  }
+
+  if (newlyGranted.length > 0) {
+    const unlockedSlugs = {};
+    newlyGranted.forEach(noteId => { unlockedSlugs[noteId] = true; });
+    await db.collection('users').doc(userId).set({ unlockedNotes: unlockedSlugs }, { merge: true });
+  }
+  return newlyGranted;
+}
+
+// Single-note version of syncBundleGrants for secure-notes: if one of the user's bundle
+// passes covers this note (and hasn't had it refunded or revoked), grant it now and
+// return true.
+async function grantFromBundlePass(db, admin, userId, noteId) {
+  const coveringIds = bundleIdsCoveringNote(noteId);
+  if (coveringIds.length === 0) return false;
+
+  const passes = (await getActivePasses(db, userId)).filter(pass => coveringIds.includes(pass.bundleId));
+  for (const pass of passes) {
+    const granted = await grantBundleNotes(db, admin, pass, [noteId]);
+    if (granted.length === 0) continue;
+    await db.collection('users').doc(userId).set({ unlockedNotes: { [noteId]: true } }, { merge: true });
+    return true;
+  }
+  return false;
+}
+
+// The ownership check for anything only buyers get (secure-notes, annotations): a
+// completed, verified transaction for the note, or a bundle pass that covers it.
+async function userOwnsNote(db, admin, userId, noteId) {
+  const txSnapshot = await db.collection('transactions')
+    .where('userId', '==', userId)
+    .where('noteId', '==', noteId)
+    .where('status', '==', 'completed')
+    .where('verified', '==', true)
+    .limit(1)
+    .get();
+  // No unit purchase — but a bundle pass bought before this unit was added still counts
+  return !txSnapshot.empty || grantFromBundlePass(db, admin, userId, noteId);
+}
+
+module.exports = {
+  isBundleId,
+  getBundle,
+  cartSubject,
+  listBundles,
+  bundleIdsCoveringNote,
+  fulfilBundle,
+  syncBundleGrants,
+  grantFromBundlePass,
+  userOwnsNote
+};
@@ -0,0 +1,159 @@
+// The notes catalog. data/catalog.json is the one place a unit is described: which
+// subject, semester and paper it belongs to, its title, where the PDF lives and whether it
+// can be sold yet. Every function that needs to know about notes goes through this module
+// instead of reading the JSON itself.
+//
+// `subjects` lists every subject the site covers (botany and life science have no paid
+// units yet), `papers` holds each paper's subject, semester and title, and `notes` is one
+// entry per syllabus unit:
+//
+//   title, topics, links, info  — the unit card on the semester pages (see get-catalog)
+//   status       'available'   — uploaded to B2, `storageKey` is the object key
+//                'drive_only'  — still only a Google Drive link (`driveUrl`), not servable
+//                                by secure-notes until it is migrated
+//                'coming_soon' — listed in the syllabus, nothing uploaded yet; can't be bought
+//   pageCount    number of PDF pages, or null until someone counts them
+//   previewPages free sample pages for non-buyers; the sample is its own PDF holding just
+//                those pages, uploaded next to the full one under `previews/` (same key)
+//   priceBand    key into `bands` in data/price-catalog.json (see lib/pricing.js)
+//   version      bumped whenever the PDF is revised, with `updatedAt` (ISO date) and a
+//                `changelog` line for buyers; missing means version 1. Upload a revision
+//                under a new key and point `storageKey` at it rather than overwriting.
+
+const catalogData = require('../data/catalog.json');
+
+/**
+ * @typedef {'zoology'|'botany'|'microbiology'|'lifescience'} Subject
+ * @typedef {'available'|'drive_only'|'coming_soon'} NoteStatus
+ *
+ * @typedef {Object} NoteLink
+ * @property {'video'|'questions'|'intro'} kind
+ * @property {string} href
+ *
+ * @typedef {Object} Note
+ * @property {string} id            e.g. 'unit-1-dsc-1', 'unit1-2-microb-dsc102'
+ * @property {Subject} subject
+ * @property {number} semester
+ * @property {string} paper         paper code, e.g. 'dsc-1', 'microb-dsc102'
+ * @property {number} unit
+ * @property {number} [throughUnit] last unit covered, for combined units like 'Unit 1 & 2'
+ * @property {string} title
+ * @property {string|null} topics  "Topics covered" text for the unit card
+ * @property {NoteLink[]} links     extra buttons on the unit card
+ * @property {string} [info]        an extra note shown under the topics
+ * @property {string|null} storageKey
+ * @property {string|null} driveUrl
+ * @property {NoteStatus} status
+ * @property {number|null} pageCount
+ * @property {number} [previewPages] free sample pages, served from previews/<storageKey>
+ * @property {string} priceBand
+ * @property {number} [version]     1 when missing
+ * @property {string} [updatedAt]   ISO date of the latest revision
+ * @property {string} [changelog]   what changed in the latest revision
+ */
+
+const STATUSES = ['available', 'drive_only', 'coming_soon'];
+const PLACEHOLDER_PATTERN = /YOUR_[A-Z_]+_HERE/;
+const PREVIEW_PREFIX = 'previews/';
+
+// A real B2 object key never looks like a URL or a leftover placeholder such as
+// "YOUR_DRIVE_LINK_HERE". secure-notes checks this again before signing, and
+// scripts/validate-catalog.js reports any entry that fails it.
+function isValidStorageKey(value) {
+  if (!value || typeof value !== 'string') return false;
+  if (/^[a-z]+:\/\//i.test(value)) return false;
+  if (PLACEHOLDER_PATTERN.test(value)) return false;
+  return true;
+}
+
+/** @type {Map<string, Note>} */
+const notesById = new Map(catalogData.notes.map(note => [note.id, note]));
+
+function hasNote(noteId) {
+  return typeof noteId === 'string' && notesById.has(noteId);
+}
+
+/** @returns {Note|null} */
+function getNote(noteId) {
+  return hasNote(noteId) ? notesById.get(noteId) : null;
+}
+
+// Filters by any of subject, semester, paper and status. Catalog order is kept.
+/** @returns {Note[]} */
+function listNotes({ subject, semester, paper, status } = {}) {
+  return catalogData.notes.filter(note =>
+    (!subject || note.subject === subject) &&
+    (!semester || note.semester === Number(semester)) &&
+    (!paper || note.paper === paper) &&
+    (!status || note.status === status)
+  );
+}
+
+// The B2 object key secure-notes signs, or null if the note can't be served yet.
+function getStorageKey(noteId) {
+  const note = getNote(noteId);
+  return note && note.status === 'available' ? note.storageKey : null;
+}
+
+// The B2 key of the free sample, or null if the note has none (or can't be served at all).
+function getPreviewKey(noteId) {
+  const note = getNote(noteId);
+  const storageKey = getStorageKey(noteId);
+  return storageKey && note.previewPages > 0 ? PREVIEW_PREFIX + storageKey : null;
+}
+
+// { version, updatedAt, changelog } of the latest revision, or null for unknown IDs.
+function getNoteVersion(noteId) {
+  const note = getNote(noteId);
+  if (!note) return null;
+  return {
+    version: note.version || 1,
+    updatedAt: note.updatedAt || null,
+    changelog: note.changelog || null
+  };
+}
+
+// Where a purchase record points: the B2 key, or the Drive link for units that haven't
+// been migrated. This is what transactions have always stored as `noteUrl`.
+function getNoteLocation(noteId) {
+  const note = getNote(noteId);
+  return note ? note.storageKey || note.driveUrl : null;
+}
+
+// Coming-soon units are in the catalog so pages can list them, but nobody can pay for them.
+function isPurchasable(noteId) {
+  const note = getNote(noteId);
+  return !!note && note.status !== 'coming_soon';
+}
+
+// 'unit-3-dsc-2' -> 'dsc-2'
+function paperCodeOf(noteId) {
+  const note = getNote(noteId);
+  return note ? note.paper : null;
+}
+
+function getPaper(paperCode) {
+  const paper = catalogData.papers[paperCode];
+  return paper ? { code: paperCode, ...paper } : null;
+}
+
+function listSubjects() {
+  return Object.keys(catalogData.subjects).map(id => ({ id, ...catalogData.subjects[id] }));
+}
+
+module.exports = {
+  STATUSES,
+  PLACEHOLDER_PATTERN,
+  isValidStorageKey,
+  hasNote,
+  getNote,
+  listNotes,
+  getStorageKey,
+  getPreviewKey,
+  getNoteVersion,
+  getNoteLocation,
+  isPurchasable,
+  paperCodeOf,
+  getPaper,
+  listSubjects
+};
@@ -0,0 +1,209 @@
+// Coupon / discount codes for the cart checkout. Codes live in the Firestore `coupons`
+// collection with the upper-cased code as the document ID:
+//
+//   type             'percent' | 'flat'
+//   value            percent off (1–100) or rupees off
+//   active           false switches a code off without deleting it
+//   subjects         optional list, e.g. ['zoology'] — matched against the subject of the
+//                    units in the cart, worked out from the catalog (see cartSubject in
+//                    lib/bundles.js), never from what the page sends
+//   minItems         optional minimum number of units in the cart
+//   maxRedemptions   optional cap on total redemptions
+//   expiresAt        optional Firestore Timestamp (or ISO string)
+//   redemptionCount  maintained by reserveCoupon() / redeemCoupon() / releaseCoupon(),
+//                    never by hand
+//
+// Every use is one coupons/{code}/redemptions/{orderId} document with a status:
+//   'reserved'  create-order took the code for an unpaid order (reserveCoupon)
+//   'redeemed'  the order was paid (redeemCoupon, from the fulfilment path)
+//   'released'  the order expired unpaid or was fully refunded (releaseCoupon)
+// reserveCoupon checks the cap and the one-use-per-user rule and counts the use in the
+// same transaction, so two checkouts racing for the last redemption can't both get it.
+// An abandoned checkout holds its reservation until reconcile-orders expires the order
+// (about an hour). Redemptions written before reservations existed have no status and
+// count as redeemed.
+
+// Razorpay won't create an order below ₹1, so a discount can never take the notes
+// total under this.
+const MIN_PAYABLE_PAISE = 100;
+
+function normalizeCouponCode(code) {
+  const normalized = String(code || '').trim().toUpperCase();
+  return /^[A-Z0-9_-]{3,32}$/.test(normalized) ? normalized : null;
+}
+
+function toDate(value) {
+  if (!value) return null;
+  if (typeof value.toDate === 'function') return value.toDate();
+  return new Date(value);
+}
+
+function computeDiscountPaise(coupon, notesTotalPaise) {
+  let discountPaise = 0;
+  if (coupon.type === 'percent') {
+    const percent = Math.min(100, Math.max(0, Number(coupon.value) || 0));
+    discountPaise = Math.floor(notesTotalPaise * percent / 100);
+  } else if (coupon.type === 'flat') {
+    discountPaise = Math.round((Number(coupon.value) || 0) * 100);
+  }
+  return Math.max(0, Math.min(discountPaise, notesTotalPaise - MIN_PAYABLE_PAISE));
+}
+
+// The rules that only depend on the coupon itself and the cart. Returns an error message,
+// or null if the code can be used for this cart.
+function checkCouponRules(coupon, { subject, itemCount, now }) {
+  if (coupon.active === false) return 'This coupon is no longer active';
+
+  const expiresAt = toDate(coupon.expiresAt);
+  if (expiresAt && now >= expiresAt) return 'This coupon has expired';
+
+  if (Array.isArray(coupon.subjects) && coupon.subjects.length > 0 && !coupon.subjects.includes(subject)) {
+    return `This coupon only works for ${coupon.subjects.join(', ')} notes`;
+  }
+
+  if (coupon.minItems && itemCount < coupon.minItems) {
+    return `Add at least ${coupon.minItems} units to use this coupon`;
+  }
+
+  if (coupon.maxRedemptions && (coupon.redemptionCount || 0) >= coupon.maxRedemptions) {
+    return 'This coupon has been fully redeemed';
+  }
+  return null;
+}
+
+// Released redemptions (expired or refunded orders) don't use up the user's one go
+function hasActiveUse(snapshot, exceptOrderId) {
+  return snapshot.docs.some(doc => doc.id !== exceptOrderId && doc.data().status !== 'released');
+}
+
+// Checks a code against the cart without writing anything.
+// Returns { ok: true, code, discountPaise, coupon } or { ok: false, error }.
+async function validateCoupon(db, { code, userId, subject, itemCount, notesTotalPaise, now = new Date() }) {
+  const normalized = normalizeCouponCode(code);
+  if (!normalized) return { ok: false, error: 'That coupon code doesn\'t look right' };
+
+  const couponRef = db.collection('coupons').doc(normalized);
+  const couponDoc = await couponRef.get();
+  if (!couponDoc.exists) return { ok: false, error: 'Coupon not found' };
+
+  const coupon = couponDoc.data();
+  const ruleError = checkCouponRules(coupon, { subject, itemCount, now });
+  if (ruleError) return { ok: false, error: ruleError };
+
+  const previousUses = await couponRef.collection('redemptions')
+    .where('userId', '==', userId)
+    .get();
+  if (hasActiveUse(previousUses)) return { ok: false, error: 'You\'ve already used this coupon' };
+
+  const discountPaise = computeDiscountPaise(coupon, notesTotalPaise);
+  if (discountPaise <= 0) return { ok: false, error: 'This coupon doesn\'t lower this cart\'s total' };
+
+  return { ok: true, code: normalized, discountPaise, coupon };
+}
+
+// create-order: takes one use of the code for an order that has just been written.
+// Re-checks everything validateCoupon did inside a transaction and counts the use there,
+// so the cap and the per-user rule hold however many checkouts run at once. Safe to call
+// twice for the same order. Returns the same shape as validateCoupon.
+async function reserveCoupon(db, admin, { code, orderId, userId, subject, itemCount, notesTotalPaise, now = new Date() }) {
+  const normalized = normalizeCouponCode(code);
+  if (!normalized) return { ok: false, error: 'That coupon code doesn\'t look right' };
+
+  const couponRef = db.collection('coupons').doc(normalized);
+  const redemptionRef = couponRef.collection('redemptions').doc(orderId);
+
+  return db.runTransaction(async (tx) => {
+    const couponDoc = await tx.get(couponRef);
+    const redemptionDoc = await tx.get(redemptionRef);
+    const previousUses = await tx.get(couponRef.collection('redemptions').where('userId', '==', userId));
+    if (!couponDoc.exists) return { ok: false, error: 'Coupon not found' };
+
+    const coupon = couponDoc.data();
+    const discountPaise = computeDiscountPaise(coupon, notesTotalPaise);
+    if (redemptionDoc.exists && redemptionDoc.data().status !== 'released') {
+      return { ok: true, code: normalized, discountPaise: redemptionDoc.data().discountAmount, coupon };
+    }
+
+    const ruleError = checkCouponRules(coupon, { subject, itemCount, now });
+    if (ruleError) return { ok: false, error: ruleError };
+    if (hasActiveUse(previousUses, orderId)) return { ok: false, error: 'You\'ve already used this coupon' };
+    if (discountPaise <= 0) return { ok: false, error: 'This coupon doesn\'t lower this cart\'s total' };
+
+    tx.set(redemptionRef, {
+      userId,
+      orderId,
+      status: 'reserved',
+      discountAmount: discountPaise,
+      reservedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    tx.update(couponRef, { redemptionCount: admin.firestore.FieldValue.increment(1) });
+    return { ok: true, code: normalized, discountPaise, coupon };
+  });
+}
+
+// Marks a fulfilled order's reservation redeemed. Runs in a Firestore transaction and is
+// keyed by orderId, so the webhook, the frontend verify path and reconcile-orders can all
+// call it safely. Returns true if this call redeemed it.
+async function redeemCoupon(db, admin, orderData, paymentId) {
+  if (!orderData.couponCode) return false;
+
+  const couponRef = db.collection('coupons').doc(orderData.couponCode);
+  const redemptionRef = couponRef.collection('redemptions').doc(orderData.orderId);
+
+  return db.runTransaction(async (tx) => {
+    const [couponDoc, redemptionDoc] = await Promise.all([tx.get(couponRef), tx.get(redemptionRef)]);
+    const status = redemptionDoc.exists ? redemptionDoc.data().status || 'redeemed' : null;
+    if (status === 'redeemed') return false;
+
+    const redeemed = {
+      userId: orderData.userId,
+      orderId: orderData.orderId,
+      paymentId: paymentId,
+      discountAmount: orderData.discountAmount || 0,
+      status: 'redeemed',
+      redeemedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+    if (status === 'reserved') {
+      tx.update(redemptionRef, redeemed);
+      return true;
+    }
+
+    // No live reservation: an order from before reservations existed, or one paid after
+    // reconcile-orders released it. The payment has already gone through at the
+    // discounted price, so the use is counted even past the cap.
+    const coupon = couponDoc.exists ? couponDoc.data() : {};
+    if (coupon.maxRedemptions && (coupon.redemptionCount || 0) >= coupon.maxRedemptions) {
+      console.warn('Coupon redeemed past its cap:', orderData.couponCode, orderData.orderId);
+    }
+    tx.set(redemptionRef, redeemed);
+    if (couponDoc.exists) {
+      tx.update(couponRef, { redemptionCount: admin.firestore.FieldValue.increment(1) });
+    }
+    return true;
+  });
+}
+
+// Gives the use back when an order expires unpaid or is fully refunded. Returns true if
+// this call released it.
+async function releaseCoupon(db, admin, orderData) {
+  if (!orderData.couponCode) return false;
+
+  const couponRef = db.collection('coupons').doc(orderData.couponCode);
+  const redemptionRef = couponRef.collection('redemptions').doc(orderData.orderId);
+
+  return db.runTransaction(async (tx) => {
+    const [couponDoc, redemptionDoc] = await Promise.all([tx.get(couponRef), tx.get(redemptionRef)]);
+    if (!redemptionDoc.exists || redemptionDoc.data().status === 'released') return false;
+
+    tx.update(redemptionRef, {
+      status: 'released',
+      releasedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    if (couponDoc.exists) {
+      tx.update(couponRef, { redemptionCount: admin.firestore.FieldValue.increment(-1) });
+    }
+    return true;
+  });
+}
+
+module.exports = { MIN_PAYABLE_PAISE, normalizeCouponCode, validateCoupon, reserveCoupon, redeemCoupon, releaseCoupon };
@@ -0,0 +1,141 @@
+// Device limit for paid accounts. Each browser has a random ID (getDeviceId() in
+// firebase-config.js) that the pages send as X-Device-Id; check-purchases and secure-notes
+// register it in `userDevices/{userId}`:
+//
+//   devices: { [deviceId]: { userAgent, firstSeenAt, lastSeenAt } }, lastRemovedAt
+//
+// An account that owns notes can use up to DEVICE_LIMIT devices (default 2). A new device
+// beyond that is refused with DEVICE_LIMIT until the user removes one on the My devices
+// page. Removals are rate-limited to one per DEVICE_REMOVAL_COOLDOWN_DAYS (default 7), so
+// the page can't be used to rotate one account around a class.
+
+const DEVICE_LIMIT = Number(process.env.DEVICE_LIMIT) || 2;
+const REMOVAL_COOLDOWN_DAYS = Number(process.env.DEVICE_REMOVAL_COOLDOWN_DAYS) || 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isValidDeviceId(deviceId) {
+  return typeof deviceId === 'string' && /^device_[a-z0-9]{4,32}$/.test(deviceId);
+}
+
+function deviceError(code, message, extra = {}) {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, extra);
+  return error;
+}
+
+// Body for a DEVICE_LIMIT / DEVICE_COOLDOWN / DEVICE_REQUIRED error, so every function
+// answers them the same way. Returns null for any other error.
+function deviceErrorResponse(error, headers = {}) {
+  const statusCodes = { DEVICE_REQUIRED: 400, DEVICE_LIMIT: 409, DEVICE_COOLDOWN: 429 };
+  if (!statusCodes[error.code]) return null;
+  return {
+    statusCode: statusCodes[error.code],
+    headers,
+    body: JSON.stringify({
+      success: false,
+      code: error.code,
+      error: error.message,
+      deviceLimit: DEVICE_LIMIT,
+      nextRemovalAt: error.nextRemovalAt || null,
+      manageUrl: '/my-devices'
+    })
+  };
+}
+
+function toMillis(value) {
+  if (!value) return 0;
+  return typeof value.toMillis === 'function' ? value.toMillis() : new Date(value).getTime();
+}
+
+function requireDeviceId(deviceId) {
+  if (!isValidDeviceId(deviceId)) {
+    throw deviceError('DEVICE_REQUIRED', 'Missing device ID — please refresh the page and try again.');
+  }
+}
+
+// Registers (or refreshes) the device. Throws DEVICE_REQUIRED for a missing/malformed ID
+// and DEVICE_LIMIT when the account is already on DEVICE_LIMIT other devices.
+async function registerDevice(db, admin, userId, deviceId, userAgent) {
+  requireDeviceId(deviceId);
+  const ref = db.collection('userDevices').doc(userId);
+
+  await db.runTransaction(async (tx) => {
+    const doc = await tx.get(ref);
+    const devices = (doc.exists && doc.data().devices) || {};
+    const now = admin.firestore.FieldValue.serverTimestamp();
+
+    if (devices[deviceId]) {
+      tx.update(ref, { [`devices.${deviceId}.lastSeenAt`]: now });
+      return;
+    }
+    if (Object.keys(devices).length >= DEVICE_LIMIT) {
+      throw deviceError('DEVICE_LIMIT', `Your notes are already open on ${DEVICE_LIMIT} devices, the most one account can use. Remove one under My devices to use this one.`);
+    }
+    tx.set(ref, {
+      userId,
+      devices: {
+        [deviceId]: { userAgent: String(userAgent || '').slice(0, 300), firstSeenAt: now, lastSeenAt: now }
+      }
+    }, { merge: true });
+  });
+}
+
+// For the My devices page: [{ deviceId, userAgent, firstSeenAt, lastSeenAt, current }],
+// most recently used first, plus when the next removal is allowed.
+async function listDevices(db, userId, currentDeviceId) {
+  const doc = await db.collection('userDevices').doc(userId).get();
+  const data = doc.exists ? doc.data() : {};
+  const devices = Object.keys(data.devices || {})
+    .map(deviceId => ({ deviceId, ...data.devices[deviceId] }))
+    .sort((a, b) => toMillis(b.lastSeenAt) - toMillis(a.lastSeenAt))
+    .map(device => ({
+      deviceId: device.deviceId,
+      userAgent: device.userAgent || '',
+      firstSeenAt: toMillis(device.firstSeenAt) ? new Date(toMillis(device.firstSeenAt)).toISOString() : null,
+      lastSeenAt: toMillis(device.lastSeenAt) ? new Date(toMillis(device.lastSeenAt)).toISOString() : null,
+      current: device.deviceId === currentDeviceId
+    }));
+
+  const nextRemoval = toMillis(data.lastRemovedAt) + REMOVAL_COOLDOWN_DAYS * DAY_MS;
+  return {
+    devices,
+    deviceLimit: DEVICE_LIMIT,
+    cooldownDays: REMOVAL_COOLDOWN_DAYS,
+    nextRemovalAt: nextRemoval > Date.now() ? new Date(nextRemoval).toISOString() : null
+  };
+}
+
+// Frees a slot. Throws DEVICE_COOLDOWN if the user removed a device too recently.
+// Returns false if the device wasn't registered.
+async function removeDevice(db, admin, userId, deviceId) {
+  const ref = db.collection('userDevices').doc(userId);
+
+  return db.runTransaction(async (tx) => {
+    const doc = await tx.get(ref);
+    const data = doc.exists ? doc.data() : {};
+    if (!data.devices || !data.devices[deviceId]) return false;
+
+    const nextRemoval = toMillis(data.lastRemovedAt) + REMOVAL_COOLDOWN_DAYS * DAY_MS;
+    if (nextRemoval > Date.now()) {
+      const nextRemovalAt = new Date(nextRemoval).toISOString();
+      throw deviceError('DEVICE_COOLDOWN', `You can remove one device every ${REMOVAL_COOLDOWN_DAYS} days. Try again after ${nextRemovalAt.slice(0, 10)}.`, { nextRemovalAt });
+    }
+
+    tx.update(ref, {
+      [`devices.${deviceId}`]: admin.firestore.FieldValue.delete(),
+      lastRemovedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return true;
+  });
+}
+
+module.exports = {
+  DEVICE_LIMIT,
+  isValidDeviceId,
+  deviceErrorResponse,
+  requireDeviceId,
+  registerDevice,
+  listDevices,
+  removeDevice
+};
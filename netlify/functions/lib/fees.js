@@ -0,0 +1,19 @@
+// --- Payment gateway fee pass-through ---
+// Razorpay deducts a transaction fee, then GST on top of that fee, before settling
+// to the bank. To make sure the creator actually nets the price shown on the site
+// (e.g. a ₹20 unit settles as ₹20, not ₹19.52), we gross up what the buyer pays by
+// exactly enough to cover that deduction. Rates below are based on this account's
+// observed UPI settlement (2% fee + 18% GST on the fee ≈ 2.36% effective) — if
+// Razorpay's pricing for this account changes, update RZP_FEE_RATE here.
+const RZP_FEE_RATE = 0.02;
+const GST_ON_FEE_RATE = 0.18;
+const EFFECTIVE_DEDUCTION_RATE = RZP_FEE_RATE * (1 + GST_ON_FEE_RATE); // ≈ 0.0236
+
+// Given what the creator should net (in paise), returns what the buyer must pay
+// (in paise) so that after Razorpay's cut, the creator still nets that amount.
+// Always rounds up, so the creator is never shorted by a paisa of rounding.
+function computeGrossPaise(netPaise) {
+  return Math.ceil(netPaise / (1 - EFFECTIVE_DEDUCTION_RATE));
+}
+
+module.exports = { RZP_FEE_RATE, GST_ON_FEE_RATE, EFFECTIVE_DEDUCTION_RATE, computeGrossPaise };
@@ -0,0 +1,204 @@
+// The fulfilment path for a paid order: unlock every unit (expanding bundles), redeem the
+// coupon, record the tip and log it externally, then mark the order paid and issue its
+// receipt number. Shared by the verify-payment frontend path, its payment.captured
+// webhook, and the reconcile-orders job, so an order is fulfilled the same way whichever
+// of them sees the payment first. Every step is idempotent (create() on deterministic
+// doc IDs), so running it twice for the same payment is safe.
+
+const { appendRow } = require('./google-sheets');
+const { notify } = require('./telegram');
+const { redeemCoupon } = require('./coupons');
+const { fulfilBundle } = require('./bundles');
+const { issueInvoice } = require('./invoices');
+const { recordGift, findPendingGifts, markGiftClaimed } = require('./gifts');
+const { creditReferral } = require('./referrals');
+const { retakeOrderCredit } = require('./wallet');
+
+// Unlocks every item in the cart for a user. Bundle line items are expanded into
+// one transaction per unit. Returns the unlocked note IDs.
+async function unlockCartForUser(db, admin, userId, paymentId, orderId, items, subject) {
+  const unlockedSlugs = {};
+
+  for (const item of items) {
+    if (item.bundleId) {
+      const bundleNoteIds = await fulfilBundle(db, admin, { userId, paymentId, orderId, bundleId: item.bundleId, subject });
+      bundleNoteIds.forEach(noteId => { unlockedSlugs[noteId] = true; });
+      console.log('Bundle fulfilled:', paymentId, item.bundleId, bundleNoteIds.length, 'units');
+      continue;
+    }
+
+    // Use the clean frontend ID (e.g., 'unit-1-dsc-5') instead of trying to parse a URL
+    const noteSlug = item.noteId; 
+    const transactionRef = db.collection('transactions').doc(`${paymentId}_${noteSlug}`);
+
+    try {
+      await transactionRef.create({
+        userId: userId,
+        paymentId: paymentId,
+        orderId: orderId,
+        noteUrl: item.noteUrl,
+        noteId: item.noteId,
+        noteTitle: item.noteTitle,
+        price: item.price,
+        subject: subject || 'unknown',
+        timestamp: admin.firestore.FieldValue.serverTimestamp(),
+        status: 'completed',
+        verified: true
+      });
+      console.log('New transaction created:', paymentId, noteSlug);
+    } catch (error) {
+      if (error.code === 6) { // ALREADY_EXISTS
+        console.log('Transaction already exists, skipping:', paymentId, noteSlug);
+      } else {
+        throw error;
+      }
+    }
+    unlockedSlugs[noteSlug] = true;
+  }
+
+  // Single atomic merge write unlocking every note in the cart at once.
+  const userRef = db.collection('users').doc(userId);
+  await userRef.set({ unlockedNotes: unlockedSlugs }, { merge: true });
+  console.log('Notes unlocked for user:', userId, 'slugs:', Object.keys(unlockedSlugs));
+  return Object.keys(unlockedSlugs);
+}
+
+// Records a tip
+async function recordTipIfAny(db, admin, userId, userName, userEmail, paymentId, orderId, subject, tipAmountPaise, tipMessage) {
+  if (!tipAmountPaise && !tipMessage) return false;
+  const tipRef = db.collection('tips').doc(paymentId);
+  try {
+    await tipRef.create({
+      userId: userId,
+      userName: userName || '',
+      userEmail: userEmail || '',
+      amount: tipAmountPaise || 0,
+      message: tipMessage || '',
+      subject: subject || 'unknown',
+      orderId: orderId,
+      paymentId: paymentId,
+      timestamp: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return true;
+  } catch (error) {
+    if (error.code === 6) return false;
+    throw error;
+  }
+}
+
+function escapeHtml(str) {
+  return String(str || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+async function logOrderExternally(orderData, paymentId, orderId) {
+  const tipAmountPaise = orderData.tipAmount || 0;
+  const tipMessage = orderData.tipMessage || '';
+  if (!tipAmountPaise && !tipMessage) return; 
+
+  const sheetId = process.env.GOOGLE_SHEET_ID;
+  const dateStr = new Date().toLocaleString('en-IN', { day: 'numeric', month: 'short', year: 'numeric', hour: 'numeric', minute: '2-digit' });
+  const buyerName = orderData.userName || 'Unknown';
+  const buyerEmail = orderData.userEmail || '';
+  const items = orderData.items || [];
+
+  if (sheetId) {
+    await appendRow(sheetId, 'Tips', [dateStr, buyerName, buyerEmail, (tipAmountPaise / 100).toFixed(2), tipMessage, paymentId, orderId]);
+  }
+
+  const unitLines = items.map(it => `- ${escapeHtml(it.noteTitle)} ₹${it.price}`).join('\n');
+  let message = `🔔 <b>New tip!</b>\n👤 ${escapeHtml(buyerName)} (${escapeHtml(buyerEmail)})\n💰 ₹${(tipAmountPaise / 100).toFixed(2)}`;
+  if (tipMessage) message += `\n💬 "${escapeHtml(tipMessage)}"`;
+  if (items.length > 0) message += `\n\n📚 Also unlocked ${items.length} unit${items.length > 1 ? 's' : ''} in ${escapeHtml(orderData.subject || 'unknown')}:\n${unitLines}`;
+  message += `\n⏰ ${dateStr}`;
+  await notify(message);
+}
+
+// Runs the whole fulfilment for one order/payment. Returns the note IDs unlocked for the
+// buyer — none for a gift, which is held for the recipient instead.
+async function fulfilOrder(db, admin, orderData, paymentId) {
+  const orderId = orderData.orderId;
+  // A refund has already taken back what this order unlocked (and released its coupon); a
+  // replayed verify-payment call or a late webhook retry must not hand it out again
+  if (orderData.status === 'refunded' || orderData.status === 'partially_refunded') {
+    console.log('Order already refunded, not fulfilling again:', orderId, orderData.status);
+    return [];
+  }
+
+  let unlockedNoteIds = [];
+  if (orderData.giftRecipientEmail) {
+    await recordGift(db, admin, orderData, paymentId);
+  } else {
+    unlockedNoteIds = await unlockCartForUser(db, admin, orderData.userId, paymentId, orderId, orderData.items || [], orderData.subject);
+  }
+  await redeemCoupon(db, admin, orderData, paymentId);
+
+  // The checkout can stay open past reconcile-orders expiring the order (or create-order
+  // cancelling it), and both give the wallet credit back. The payment was for the price
+  // with the credit applied, so it's taken again; if it's been spent since, the order is
+  // flagged for a manual look instead of leaving the buyer with both.
+  const reopened = orderData.status === 'expired' || orderData.status === 'cancelled';
+  let walletShortfall = false;
+  if (reopened) {
+    try {
+      await retakeOrderCredit(db, admin, orderData);
+    } catch (error) {
+      if (error.code !== 'INSUFFICIENT_BALANCE') throw error;
+      walletShortfall = true;
+    }
+  }
+
+  const isNewTip = await recordTipIfAny(db, admin, orderData.userId, orderData.userName, orderData.userEmail, paymentId, orderId, orderData.subject, orderData.tipAmount, orderData.tipMessage);
+
+  if (isNewTip) {
+    try { await logOrderExternally(orderData, paymentId, orderId); }
+    catch (e) { console.error('Logging failed:', e); }
+  }
+
+  // Only an open (or expired/cancelled, paid late) order moves to 'paid' — never overwrite
+  // a refund recorded in the meantime
+  if (!orderData.status || orderData.status === 'created' || reopened) {
+    await db.collection('orders').doc(orderId).set({
+      status: 'paid',
+      paymentId: paymentId,
+      paidAt: admin.firestore.FieldValue.serverTimestamp(),
+      ...(reopened && { paidAfter: orderData.status }),
+      ...(walletShortfall && { needsReview: true, reviewReason: 'Paid after expiry; wallet credit already spent' })
+    }, { merge: true });
+  }
+
+  if (walletShortfall) {
+    try {
+      await notify(`⚠️ <b>Order needs review</b>\nOrder ${escapeHtml(orderId)} (${escapeHtml(paymentId)}) was paid after it ${escapeHtml(orderData.status)}, but the ₹${(orderData.walletAmount / 100).toFixed(2)} of wallet credit it used has been spent since.`);
+    } catch (e) { console.error('Review alert failed:', orderId, e); }
+  }
+
+  // A referred buyer's first order earns their referrer wallet credit
+  try { await creditReferral(db, admin, orderData, paymentId); }
+  catch (e) { console.error('Referral credit failed:', orderId, e); }
+
+  // The receipt number; invoice.js issues it on first download if this fails
+  try { await issueInvoice(db, admin, { ...orderData, paymentId }); }
+  catch (e) { console.error('Invoice issue failed:', orderId, e); }
+
+  return unlockedNoteIds;
+}
+
+// Claims every pending gift addressed to this user's email (see lib/gifts.js). Only a
+// verified email counts, which Google sign-in always provides. Returns
+// [{ orderId, senderName, noteIds }] for the gifts claimed just now.
+async function claimGiftsForUser(db, admin, decodedToken) {
+  if (!decodedToken.email || !decodedToken.email_verified) return [];
+
+  const claimed = [];
+  const pending = await findPendingGifts(db, decodedToken.email.toLowerCase());
+  for (const doc of pending) {
+    const gift = await markGiftClaimed(db, admin, doc.ref, decodedToken.uid);
+    if (!gift) continue;
+    const noteIds = await unlockCartForUser(db, admin, decodedToken.uid, gift.paymentId, gift.orderId, gift.items, gift.subject);
+    claimed.push({ orderId: gift.orderId, senderName: gift.senderName, noteIds });
+    console.log('Gift claimed:', gift.orderId, 'by', decodedToken.uid);
+  }
+  return claimed;
+}
+
+module.exports = { fulfilOrder, claimGiftsForUser, unlockCartForUser, escapeHtml };
@@ -0,0 +1,65 @@
+// Gifts: a cart bought for someone else by email. create-order stores the recipient on
+// the order; on fulfilment nothing is unlocked for the buyer — instead a pending
+// `gifts/{orderId}` record is written. The next time anyone signs in with a verified
+// Google account for that email, check-purchases claims it and the usual per-note
+// transactions (plus bundle passes) are created for them with the gift's payment ID,
+// so refunds, receipts and bundle syncing all keep working unchanged.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_EMAIL_LENGTH = 254;
+
+// Lowercased and trimmed, or null if it doesn't look like an email address.
+function normalizeGiftEmail(email) {
+  const normalized = String(email || '').trim().toLowerCase();
+  if (!normalized || normalized.length > MAX_EMAIL_LENGTH || !EMAIL_PATTERN.test(normalized)) return null;
+  return normalized;
+}
+
+// Called from fulfilOrder instead of unlocking. Idempotent per order.
+async function recordGift(db, admin, orderData, paymentId) {
+  const giftRef = db.collection('gifts').doc(orderData.orderId);
+  try {
+    await giftRef.create({
+      orderId: orderData.orderId,
+      paymentId: paymentId,
+      senderId: orderData.userId,
+      senderName: orderData.userName || '',
+      senderEmail: orderData.userEmail || '',
+      recipientEmail: orderData.giftRecipientEmail,
+      items: orderData.items || [],
+      subject: orderData.subject || 'unknown',
+      status: 'pending',
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    console.log('Gift recorded:', orderData.orderId, '->', orderData.giftRecipientEmail);
+    return true;
+  } catch (error) {
+    if (error.code === 6) return false; // ALREADY_EXISTS
+    throw error;
+  }
+}
+
+async function findPendingGifts(db, email) {
+  const snapshot = await db.collection('gifts')
+    .where('recipientEmail', '==', email)
+    .where('status', '==', 'pending')
+    .get();
+  return snapshot.docs;
+}
+
+// Flips one gift from pending to claimed for this user. Returns the gift data, or null if
+// someone (e.g. a second tab signing in at the same moment) claimed it first.
+async function markGiftClaimed(db, admin, giftRef, userId) {
+  return db.runTransaction(async (tx) => {
+    const doc = await tx.get(giftRef);
+    if (!doc.exists || doc.data().status !== 'pending') return null;
+    tx.update(giftRef, {
+      status: 'claimed',
+      claimedBy: userId,
+      claimedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return doc.data();
+  });
+}
+
+module.exports = { normalizeGiftEmail, recordGift, findPendingGifts, markGiftClaimed };
@@ -0,0 +1,159 @@
+// Manual access changes for support cases — a fulfilment that failed, a chargeback — made
+// through the admin-access function by accounts with the `admin` custom claim (see
+// scripts/set-admin.js). Both write ordinary `transactions`, so check-purchases and
+// secure-notes honour them without knowing anything about admins:
+//
+// - a grant is a zero-price purchase under the payment ID `manual_<grantId>`, each
+//   transaction marked `source: 'manual'` with the reason and the admin's UID. A bundle
+//   gets a bundle pass like a bought one, so units uploaded later are granted too.
+// - a revoke sets the user's completed transactions for the given notes or bundles to
+//   `status: 'revoked'` (revokedAt, revokedBy, revokeReason, grantId) and ends matching
+//   bundle passes. Nothing is deleted.
+//
+// Each grant or revoke is also recorded in `accessGrants/{grantId}` (action, userId,
+// noteIds, bundleIds, reason, admin, the note and transaction IDs it changed, createdAt).
+
+const { getNote, getNoteLocation } = require('./catalog');
+const { getBundle, fulfilBundle } = require('./bundles');
+const { removeUnlockedKeys } = require('./refunds');
+
+function isAdmin(decodedToken) {
+  return Boolean(decodedToken && decodedToken.admin === true);
+}
+
+// Grants the notes and bundles to the user. `actor` is the admin's decoded token.
+// Returns { grantId, paymentId, grantedNoteIds }.
+async function grantAccess(db, admin, { userId, noteIds = [], bundleIds = [], reason, actor }) {
+  const grantRef = db.collection('accessGrants').doc();
+  const paymentId = `manual_${grantRef.id}`;
+  const manual = { source: 'manual', reason, grantedBy: actor.uid };
+  const granted = new Set();
+
+  for (const noteId of noteIds) {
+    const note = getNote(noteId);
+    await db.collection('transactions').doc(`${paymentId}_${noteId}`).create({
+      userId,
+      paymentId,
+      orderId: null,
+      noteUrl: getNoteLocation(noteId),
+      noteId,
+      noteTitle: note.title,
+      price: 0,
+      subject: note.subject,
+      timestamp: admin.firestore.FieldValue.serverTimestamp(),
+      status: 'completed',
+      verified: true,
+      ...manual
+    });
+    granted.add(noteId);
+  }
+  for (const bundleId of bundleIds) {
+    const bundleNoteIds = await fulfilBundle(db, admin, { userId, paymentId, orderId: null, bundleId, manual });
+    bundleNoteIds.forEach(noteId => granted.add(noteId));
+  }
+
+  const grantedNoteIds = Array.from(granted);
+  if (grantedNoteIds.length > 0) {
+    const unlockedSlugs = {};
+    grantedNoteIds.forEach(noteId => { unlockedSlugs[noteId] = true; });
+    await db.collection('users').doc(userId).set({ unlockedNotes: unlockedSlugs }, { merge: true });
+  }
+
+  await grantRef.set({
+    action: 'grant',
+    userId,
+    noteIds,
+    bundleIds,
+    reason,
+    admin: { uid: actor.uid, email: actor.email || null },
+    paymentId,
+    grantedNoteIds,
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  return { grantId: grantRef.id, paymentId, grantedNoteIds };
+}
+
+// Revokes the notes (however they were obtained) and bundles (their pass and every unit
+// granted through it). Returns { grantId, revokedNoteIds, revokedBundleIds, revokedTransactionIds }.
+async function revokeAccess(db, admin, { userId, noteIds = [], bundleIds = [], reason, actor }) {
+  const grantRef = db.collection('accessGrants').doc();
+  const revocation = {
+    status: 'revoked',
+    revokedAt: admin.firestore.FieldValue.serverTimestamp(),
+    revokedBy: actor.uid,
+    revokeReason: reason,
+    grantId: grantRef.id
+  };
+
+  const [txSnapshot, passSnapshot] = await Promise.all([
+    db.collection('transactions').where('userId', '==', userId).where('status', '==', 'completed').get(),
+    db.collection('bundlePasses').where('userId', '==', userId).where('status', '==', 'active').get()
+  ]);
+  const affected = txSnapshot.docs.filter(doc => {
+    const tx = doc.data();
+    return noteIds.includes(tx.noteId) || (tx.bundleId && bundleIds.includes(tx.bundleId));
+  });
+
+  const batch = db.batch();
+  affected.forEach(doc => batch.update(doc.ref, revocation));
+
+  // A unit revoked on its own must not come back through a bundle pass that still covers
+  // it: bundles.js never re-grants a unit whose transaction under the pass exists, so one
+  // is written (already revoked) for every covering pass that hasn't granted it yet
+  const placeholders = [];
+  const revokedBundleIds = [];
+  passSnapshot.docs.forEach(doc => {
+    const pass = doc.data();
+    if (bundleIds.includes(pass.bundleId)) {
+      batch.update(doc.ref, { status: 'revoked', grantId: grantRef.id });
+      revokedBundleIds.push(pass.bundleId);
+      return;
+    }
+    const bundle = getBundle(pass.bundleId);
+    if (!bundle) return;
+    noteIds.filter(noteId => bundle.noteIds.includes(noteId)).forEach(noteId => {
+      placeholders.push({ pass, noteId, ref: db.collection('transactions').doc(`${pass.paymentId}_${noteId}`) });
+    });
+  });
+  if (placeholders.length > 0) {
+    const existing = await db.getAll(...placeholders.map(placeholder => placeholder.ref));
+    placeholders.forEach(({ pass, noteId, ref }, index) => {
+      if (existing[index].exists) return;
+      batch.create(ref, {
+        userId,
+        paymentId: pass.paymentId,
+        orderId: pass.orderId || null,
+        noteUrl: getNoteLocation(noteId),
+        noteId,
+        noteTitle: pass.bundleTitle,
+        bundleId: pass.bundleId,
+        price: 0,
+        subject: pass.subject || 'unknown',
+        timestamp: admin.firestore.FieldValue.serverTimestamp(),
+        verified: true,
+        ...revocation
+      });
+    });
+  }
+  await batch.commit();
+
+  const revokedNoteIds = Array.from(new Set([...noteIds, ...affected.map(doc => doc.data().noteId)]));
+  await removeUnlockedKeys(db, admin, userId, revokedNoteIds);
+
+  const revokedTransactionIds = affected.map(doc => doc.id);
+  await grantRef.set({
+    action: 'revoke',
+    userId,
+    noteIds,
+    bundleIds,
+    reason,
+    admin: { uid: actor.uid, email: actor.email || null },
+    revokedNoteIds,
+    revokedBundleIds,
+    revokedTransactionIds,
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  return { grantId: grantRef.id, revokedNoteIds, revokedBundleIds, revokedTransactionIds };
+}
+
+module.exports = { isAdmin, grantAccess, revokeAccess };
@@ -0,0 +1,231 @@
+// Payment receipts. Every fulfilled order gets one sequential invoice number per Indian
+// financial year (SHS/2026-27/00001, ...), issued once from a Firestore counter inside a
+// transaction so numbers are never reused or skipped. Only the number and issue date are
+// stored (`invoices/{orderId}`); the receipt itself is always rendered from the order
+// document, so it can be regenerated at any time as HTML or PDF.
+//
+// Seller details come from INVOICE_SELLER_NAME / INVOICE_SELLER_EMAIL /
+// INVOICE_SELLER_ADDRESS, and INVOICE_GSTIN if registered.
+
+const { computeGrossPaise } = require('./fees');
+const { renderPdf, PAGE_WIDTH } = require('./pdf');
+
+const INVOICE_PREFIX = 'SHS';
+
+// April-March, in IST: 2026-10-19 -> '2026-27'
+function financialYearOf(date) {
+  const ist = new Date(date.getTime() + 5.5 * 60 * 60 * 1000);
+  const startYear = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+}
+
+// Issues the invoice number for an order, or returns the existing one. Safe to call from
+// every fulfilment path (frontend, webhook, reconcile) and from the download endpoint.
+async function issueInvoice(db, admin, orderData, now = new Date()) {
+  const invoiceRef = db.collection('invoices').doc(orderData.orderId);
+  const financialYear = financialYearOf(now);
+  const counterRef = db.collection('counters').doc(`invoices_${financialYear}`);
+
+  return db.runTransaction(async (tx) => {
+    const existing = await tx.get(invoiceRef);
+    if (existing.exists) return existing.data();
+
+    const counter = await tx.get(counterRef);
+    const sequence = (counter.exists ? counter.data().count || 0 : 0) + 1;
+    const invoice = {
+      invoiceNumber: `${INVOICE_PREFIX}/${financialYear}/${String(sequence).padStart(5, '0')}`,
+      sequence,
+      financialYear,
+      orderId: orderData.orderId,
+      paymentId: orderData.paymentId || null,
+      userId: orderData.userId,
+      issuedAt: admin.firestore.Timestamp.fromDate(now)
+    };
+    tx.set(counterRef, { count: sequence, updatedAt: admin.firestore.FieldValue.serverTimestamp() }, { merge: true });
+    tx.create(invoiceRef, invoice);
+    return invoice;
+  });
+}
+
+function toDate(value) {
+  if (!value) return null;
+  return typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+}
+
+// Everything a receipt shows, in paise, from the stored order. The fee line uses the
+// stored platformFee when present, and recomputes it with computeGrossPaise for orders
+// created before it was stored.
+function buildReceipt(orderData, invoice) {
+  const notesTotal = orderData.notesTotal || (orderData.items || []).reduce((sum, item) => sum + (item.price || 0) * 100, 0);
+  const discount = orderData.discountAmount || 0;
+  const wallet = orderData.walletAmount || 0;
+  const tip = orderData.tipAmount || 0;
+  const netPaise = notesTotal - discount - wallet + tip;
+  const platformFee = typeof orderData.platformFee === 'number' ? orderData.platformFee : computeGrossPaise(netPaise) - netPaise;
+
+  return {
+    invoiceNumber: invoice.invoiceNumber,
+    issuedAt: toDate(invoice.issuedAt),
+    orderId: orderData.orderId,
+    paymentId: orderData.paymentId || invoice.paymentId || '',
+    buyerName: orderData.userName || '',
+    buyerEmail: orderData.userEmail || '',
+    seller: {
+      name: process.env.INVOICE_SELLER_NAME || 'SayHeyShubh',
+      email: process.env.INVOICE_SELLER_EMAIL || 'shubhamkmr.work@gmail.com',
+      address: process.env.INVOICE_SELLER_ADDRESS || '',
+      gstin: process.env.INVOICE_GSTIN || ''
+    },
+    items: (orderData.items || []).map(item => ({
+      title: item.noteTitle || item.noteId || item.bundleId,
+      kind: item.bundleId ? 'Bundle' : 'Unit',
+      amount: (item.price || 0) * 100
+    })),
+    notesTotal,
+    couponCode: orderData.couponCode || '',
+    discount,
+    wallet,
+    tip,
+    platformFee,
+    total: orderData.amount || netPaise + platformFee,
+    refundedAmount: orderData.refundedAmount || 0,
+    currency: orderData.currency || 'INR'
+  };
+}
+
+function formatDate(date) {
+  return date ? date.toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'Asia/Kolkata' }) : '';
+}
+
+function escapeHtml(str) {
+  return String(str || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function renderReceiptHtml(receipt) {
+  const rupees = paise => `₹${(paise / 100).toFixed(2)}`;
+  const rows = receipt.items.map(item =>
+    `<tr><td>${escapeHtml(item.title)}</td><td>${item.kind}</td><td class="amt">${rupees(item.amount)}</td></tr>`).join('');
+  const summary = [
+    ['Notes subtotal', rupees(receipt.notesTotal)],
+    receipt.discount > 0 ? [`Coupon ${escapeHtml(receipt.couponCode)}`, `−${rupees(receipt.discount)}`] : null,
+    receipt.wallet > 0 ? ['Wallet credit', `−${rupees(receipt.wallet)}`] : null,
+    receipt.tip > 0 ? ['Tip', rupees(receipt.tip)] : null,
+    ['Payment gateway fee (Razorpay fee + GST, passed through)', rupees(receipt.platformFee)]
+  ].filter(Boolean).map(([label, value]) => `<tr><td colspan="2">${label}</td><td class="amt">${value}</td></tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Receipt ${escapeHtml(receipt.invoiceNumber)}</title>
+  <style>
+    body { font-family: 'Inter', Arial, sans-serif; color: #0f172a; max-width: 720px; margin: 2rem auto; padding: 0 1.5rem; }
+    h1 { font-size: 1.6rem; margin: 0; }
+    .meta, .parties { display: flex; justify-content: space-between; gap: 2rem; margin: 1.5rem 0; font-size: 0.9rem; color: #475569; }
+    .parties strong { color: #0f172a; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.9rem; }
+    th, td { text-align: left; padding: 0.6rem 0.4rem; border-bottom: 1px solid #e2e8f0; }
+    th { color: #64748b; font-weight: 600; }
+    .amt { text-align: right; white-space: nowrap; }
+    .total td { font-weight: 800; border-top: 2px solid #0f172a; }
+    .note { margin-top: 1.5rem; font-size: 0.8rem; color: #64748b; }
+    @media print { .no-print { display: none; } }
+  </style>
+</head>
+<body>
+  <button class="no-print" onclick="window.print()" style="float:right;">Print / Save as PDF</button>
+  <h1>Payment Receipt</h1>
+  <div class="meta">
+    <div>Invoice no. <strong>${escapeHtml(receipt.invoiceNumber)}</strong><br>Date: ${formatDate(receipt.issuedAt)}</div>
+    <div>Order: ${escapeHtml(receipt.orderId)}<br>Payment: ${escapeHtml(receipt.paymentId)}</div>
+  </div>
+  <div class="parties">
+    <div><strong>From</strong><br>${escapeHtml(receipt.seller.name)}<br>${escapeHtml(receipt.seller.email)}${receipt.seller.address ? `<br>${escapeHtml(receipt.seller.address)}` : ''}${receipt.seller.gstin ? `<br>GSTIN: ${escapeHtml(receipt.seller.gstin)}` : ''}</div>
+    <div><strong>Billed to</strong><br>${escapeHtml(receipt.buyerName)}<br>${escapeHtml(receipt.buyerEmail)}</div>
+  </div>
+  <table>
+    <thead><tr><th>Item</th><th>Type</th><th class="amt">Amount</th></tr></thead>
+    <tbody>
+      ${rows}
+      ${summary}
+      <tr class="total"><td colspan="2">Total paid</td><td class="amt">${rupees(receipt.total)}</td></tr>
+      ${receipt.refundedAmount > 0 ? `<tr><td colspan="2">Refunded</td><td class="amt">−${rupees(receipt.refundedAmount)}</td></tr>` : ''}
+    </tbody>
+  </table>
+  <p class="note">Digital study material. Amounts in ${escapeHtml(receipt.currency)}.</p>
+</body>
+</html>`;
+}
+
+// Resolves to the receipt as a PDF Buffer
+async function renderReceiptPdf(receipt) {
+  const rupees = paise => `Rs. ${(paise / 100).toFixed(2)}`;
+  const left = 50;
+  const right = PAGE_WIDTH - 50;
+  const elements = [];
+  let y = 60;
+  const text = (x, value, opts = {}) => elements.push({ type: 'text', x, y, text: value, ...opts });
+  const rule = (width) => elements.push({ type: 'line', x1: left, y1: y, x2: right, y2: y, width });
+
+  text(left, 'Payment Receipt', { size: 20, bold: true });
+  y += 30;
+  text(left, `Invoice no. ${receipt.invoiceNumber}`, { bold: true });
+  text(right, `Date: ${formatDate(receipt.issuedAt)}`, { align: 'right' });
+  y += 15;
+  text(left, `Order: ${receipt.orderId}`, { size: 9 });
+  text(right, `Payment: ${receipt.paymentId}`, { size: 9, align: 'right' });
+
+  y += 30;
+  text(left, 'From', { bold: true });
+  text(300, 'Billed to', { bold: true });
+  const sellerLines = [receipt.seller.name, receipt.seller.email, receipt.seller.address, receipt.seller.gstin ? `GSTIN: ${receipt.seller.gstin}` : ''].filter(Boolean);
+  const buyerLines = [receipt.buyerName, receipt.buyerEmail].filter(Boolean);
+  for (let i = 0; i < Math.max(sellerLines.length, buyerLines.length); i++) {
+    y += 14;
+    if (sellerLines[i]) text(left, sellerLines[i]);
+    if (buyerLines[i]) text(300, buyerLines[i]);
+  }
+
+  y += 30;
+  text(left, 'Item', { bold: true });
+  text(380, 'Type', { bold: true });
+  text(right, 'Amount', { bold: true, align: 'right' });
+  y += 6;
+  rule(0.5);
+  receipt.items.forEach(item => {
+    y += 16;
+    text(left, item.title.length > 60 ? item.title.slice(0, 57) + '...' : item.title);
+    text(380, item.kind);
+    text(right, rupees(item.amount), { align: 'right' });
+  });
+  y += 8;
+  rule(0.5);
+
+  const summary = [['Notes subtotal', rupees(receipt.notesTotal)]];
+  if (receipt.discount > 0) summary.push([`Coupon ${receipt.couponCode}`, `-${rupees(receipt.discount)}`]);
+  if (receipt.wallet > 0) summary.push(['Wallet credit', `-${rupees(receipt.wallet)}`]);
+  if (receipt.tip > 0) summary.push(['Tip', rupees(receipt.tip)]);
+  summary.push(['Payment gateway fee (Razorpay fee + GST, passed through)', rupees(receipt.platformFee)]);
+  summary.forEach(([label, value]) => {
+    y += 16;
+    text(left, label);
+    text(right, value, { align: 'right' });
+  });
+  y += 8;
+  rule(1.5);
+  y += 16;
+  text(left, 'Total paid', { bold: true, size: 12 });
+  text(right, rupees(receipt.total), { bold: true, size: 12, align: 'right' });
+  if (receipt.refundedAmount > 0) {
+    y += 16;
+    text(left, 'Refunded');
+    text(right, `-${rupees(receipt.refundedAmount)}`, { align: 'right' });
+  }
+
+  y += 40;
+  text(left, `Digital study material. Amounts in ${receipt.currency}.`, { size: 8 });
+
+  return renderPdf(elements);
+}
+
+module.exports = { issueInvoice, buildReceipt, renderReceiptHtml, renderReceiptPdf };
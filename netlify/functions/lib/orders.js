@@ -0,0 +1,197 @@
+// Purchase history for the "My purchases" page. Orders carry what was charged (notes
+// total, coupon discount, tip, the grossed-up platformFee and the final amount), while
+// `transactions` carry what each line item actually unlocked and whether it has since
+// been refunded — so each order is joined with its transactions here.
+//
+// Transactions from the old single-note checkout have no order document; those are
+// grouped by payment ID and returned as `legacy` entries so nothing bought is missing.
+// Access granted by an admin (lib/grants.js) has no order either and comes back the same
+// way, with `manual: true`.
+// Gifts show up twice: on the sender's order (with the recipient and claim status) and,
+// once claimed, as a `receivedGift` entry for the recipient without the amounts paid.
+
+function toIso(value) {
+  if (!value) return null;
+  if (typeof value.toDate === 'function') return value.toDate().toISOString();
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// 'completed' -> 'active', 'revoked' (by an admin, see lib/grants.js) -> 'revoked',
+// 'refunded' -> 'refunded'
+function itemState(transactions) {
+  if (transactions.length === 0) return 'pending';
+  if (transactions.some(tx => tx.status === 'completed')) return 'active';
+  return transactions.every(tx => tx.status === 'revoked') ? 'revoked' : 'refunded';
+}
+
+function orderState(order, transactions) {
+  if (['refunded', 'partially_refunded', 'expired', 'cancelled'].includes(order.status)) return order.status;
+  // Orders fulfilled before the 'paid' status existed are still 'created' but have transactions
+  if (order.status === 'paid' || transactions.length > 0) return 'paid';
+  return 'pending';
+}
+
+function describeGift(gift) {
+  if (!gift) return null;
+  return {
+    recipientEmail: gift.recipientEmail,
+    status: gift.status, // 'pending' | 'claimed' | 'refunded'
+    claimedAt: toIso(gift.claimedAt)
+  };
+}
+
+function describeOrder(orderId, order, transactions, invoiceNumber, gift) {
+  const isGift = !!order.giftRecipientEmail;
+  const items = (order.items || []).map(item => {
+    // The sender's own transactions never exist for a gift; the recipient's are theirs to see
+    if (isGift) {
+      return item.bundleId
+        ? { bundleId: item.bundleId, title: item.noteTitle, listPrice: item.price, state: 'gifted', noteIds: [] }
+        : { noteId: item.noteId, title: item.noteTitle, listPrice: item.price, state: 'gifted' };
+    }
+    if (item.bundleId) {
+      const bundleTxs = transactions.filter(tx => tx.bundleId === item.bundleId);
+      return {
+        bundleId: item.bundleId,
+        title: item.noteTitle,
+        listPrice: item.price,
+        state: itemState(bundleTxs),
+        noteIds: bundleTxs.filter(tx => tx.status === 'completed').map(tx => tx.noteId)
+      };
+    }
+    const noteTxs = transactions.filter(tx => tx.noteId === item.noteId && !tx.bundleId);
+    return {
+      noteId: item.noteId,
+      title: item.noteTitle,
+      listPrice: item.price,
+      state: itemState(noteTxs)
+    };
+  });
+
+  const refundedAmount = order.refundedAmount || 0;
+  return {
+    orderId,
+    paymentId: order.paymentId || (transactions[0] && transactions[0].paymentId) || null,
+    status: orderState(order, transactions),
+    subject: order.subject || 'unknown',
+    createdAt: toIso(order.createdAt),
+    paidAt: toIso(order.paidAt) || toIso(transactions[0] && transactions[0].timestamp),
+    items,
+    // All amounts in paise
+    notesTotal: order.notesTotal || 0,
+    couponCode: order.couponCode || null,
+    discountAmount: order.discountAmount || 0,
+    walletAmount: order.walletAmount || 0,
+    tipAmount: order.tipAmount || 0,
+    platformFee: order.platformFee || 0,
+    amount: order.amount || 0,
+    currency: order.currency || 'INR',
+    refundedAmount,
+    refund: refundedAmount <= 0 ? 'none' : (order.status === 'refunded' ? 'full' : 'partial'),
+    invoiceNumber: invoiceNumber || null, // issued on fulfilment, or on first receipt download
+    gift: isGift ? (describeGift(gift) || { recipientEmail: order.giftRecipientEmail, status: 'pending', claimedAt: null }) : null,
+    legacy: false
+  };
+}
+
+function describeReceivedGift(gift, transactions) {
+  return {
+    orderId: gift.orderId,
+    paymentId: gift.paymentId,
+    status: 'paid',
+    subject: gift.subject || 'unknown',
+    createdAt: toIso(gift.createdAt),
+    paidAt: toIso(gift.claimedAt),
+    items: (gift.items || []).map(item => {
+      if (item.bundleId) {
+        const bundleTxs = transactions.filter(tx => tx.bundleId === item.bundleId);
+        return { bundleId: item.bundleId, title: item.noteTitle, state: itemState(bundleTxs), noteIds: bundleTxs.filter(tx => tx.status === 'completed').map(tx => tx.noteId) };
+      }
+      return { noteId: item.noteId, title: item.noteTitle, state: itemState(transactions.filter(tx => tx.noteId === item.noteId && !tx.bundleId)) };
+    }),
+    receivedGift: { senderName: gift.senderName || 'A friend' },
+    invoiceNumber: null,
+    legacy: false
+  };
+}
+
+function describeLegacyPayment(paymentId, transactions) {
+  const amount = transactions.reduce((sum, tx) => sum + (Number(tx.price) || 0) * 100, 0);
+  const allRefunded = transactions.every(tx => tx.status === 'refunded');
+  return {
+    orderId: transactions[0].orderId || null,
+    paymentId,
+    status: allRefunded ? 'refunded' : 'paid',
+    subject: transactions[0].subject || 'unknown',
+    createdAt: toIso(transactions[0].timestamp),
+    paidAt: toIso(transactions[0].timestamp),
+    items: transactions.map(tx => ({
+      noteId: tx.noteId,
+      title: tx.noteTitle,
+      listPrice: Number(tx.price) || 0,
+      state: itemState([tx])
+    })),
+    notesTotal: amount,
+    couponCode: null,
+    discountAmount: 0,
+    tipAmount: 0,
+    platformFee: 0,
+    amount,
+    currency: 'INR',
+    refundedAmount: 0,
+    refund: allRefunded ? 'full' : 'none',
+    invoiceNumber: null,
+    gift: null,
+    legacy: true,
+    manual: transactions[0].source === 'manual'
+  };
+}
+
+// Returns the user's orders, newest first. Abandoned checkouts (still awaiting payment
+// expired or cancelled) are left out unless includeUnpaid is set.
+async function getOrderHistory(db, userId, { includeUnpaid = false } = {}) {
+  const [ordersSnapshot, transactionsSnapshot, invoicesSnapshot, sentGiftsSnapshot, receivedGiftsSnapshot] = await Promise.all([
+    db.collection('orders').where('userId', '==', userId).get(),
+    db.collection('transactions').where('userId', '==', userId).get(),
+    db.collection('invoices').where('userId', '==', userId).get(),
+    db.collection('gifts').where('senderId', '==', userId).get(),
+    db.collection('gifts').where('claimedBy', '==', userId).get()
+  ]);
+
+  const invoiceNumbers = new Map();
+  invoicesSnapshot.forEach(doc => invoiceNumbers.set(doc.id, doc.data().invoiceNumber));
+  const sentGifts = new Map();
+  sentGiftsSnapshot.forEach(doc => sentGifts.set(doc.id, doc.data()));
+  const receivedGifts = new Map();
+  receivedGiftsSnapshot.forEach(doc => receivedGifts.set(doc.id, { transactions: [], gift: doc.data() }));
+
+  const transactionsByOrder = new Map();
+  const orphaned = new Map();
+  const orderIds = new Set(ordersSnapshot.docs.map(doc => doc.id));
+  transactionsSnapshot.forEach(doc => {
+    const tx = doc.data();
+    if (!tx.noteId) return;
+    if (tx.orderId && orderIds.has(tx.orderId)) {
+      if (!transactionsByOrder.has(tx.orderId)) transactionsByOrder.set(tx.orderId, []);
+      transactionsByOrder.get(tx.orderId).push(tx);
+    } else if (tx.orderId && receivedGifts.has(tx.orderId)) {
+      receivedGifts.get(tx.orderId).transactions.push(tx);
+    } else {
+      const key = tx.paymentId || doc.id;
+      if (!orphaned.has(key)) orphaned.set(key, []);
+      orphaned.get(key).push(tx);
+    }
+  });
+
+  const history = ordersSnapshot.docs
+    .map(doc => describeOrder(doc.id, doc.data(), transactionsByOrder.get(doc.id) || [], invoiceNumbers.get(doc.id), sentGifts.get(doc.id)))
+    .filter(order => includeUnpaid || !['pending', 'expired', 'cancelled'].includes(order.status));
+  orphaned.forEach((transactions, paymentId) => history.push(describeLegacyPayment(paymentId, transactions)));
+  receivedGifts.forEach(({ gift, transactions }) => history.push(describeReceivedGift(gift, transactions)));
+
+  history.sort((a, b) => String(b.paidAt || b.createdAt || '').localeCompare(String(a.paidAt || a.createdAt || '')));
+  return history;
+}
+
+module.exports = { getOrderHistory };
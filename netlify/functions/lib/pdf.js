@@ -0,0 +1,60 @@
+// Single-page text documents (receipts), drawn with pdf-lib and its built-in Helvetica
+// fonts. Elements are placed from the top of the page, and right-aligned text (amounts) is
+// measured with the font's own metrics, so it lines up exactly.
+//
+// The built-in fonts use WinAnsi encoding: Latin-1 plus a few extras such as the euro sign
+// and curly quotes. '₹' is written as 'Rs.' and any other character they can't draw
+// (emoji, Devanagari, ...) becomes '?' instead of failing the whole receipt.
+
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+
+const PAGE_WIDTH = 595; // A4 in points
+const PAGE_HEIGHT = 842;
+
+// Still used by lib/watermark.js for its one-line stamp
+function toLatin1(text) {
+  return String(text === undefined || text === null ? '' : text).replace(/[^\x20-\x7e\xa0-\xff]/g, '?');
+}
+
+const characterSets = new WeakMap();
+
+// `text` with everything `font` can't encode substituted
+function drawableText(font, text) {
+  if (!characterSets.has(font)) characterSets.set(font, new Set(font.getCharacterSet()));
+  const supported = characterSets.get(font);
+  return Array.from(String(text === undefined || text === null ? '' : text))
+    .map(char => (supported.has(char.codePointAt(0)) ? char : char === '\u20b9' ? 'Rs.' : '?'))
+    .join('');
+}
+
+// `elements` is a list of
+//   { type: 'text', x, y, text, size = 10, bold = false, align = 'left' | 'right' }
+//   { type: 'line', x1, y1, x2, y2, width = 0.5 }
+// with y measured from the top of the page. Resolves to a Buffer.
+async function renderPdf(elements) {
+  const doc = await PDFDocument.create();
+  const page = doc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+  const regular = await doc.embedFont(StandardFonts.Helvetica);
+  const bold = await doc.embedFont(StandardFonts.HelveticaBold);
+
+  elements.forEach(el => {
+    if (el.type === 'line') {
+      page.drawLine({
+        start: { x: el.x1, y: PAGE_HEIGHT - el.y1 },
+        end: { x: el.x2, y: PAGE_HEIGHT - el.y2 },
+        thickness: el.width || 0.5,
+        color: rgb(0, 0, 0)
+      });
+      return;
+    }
+    const font = el.bold ? bold : regular;
+    const size = el.size || 10;
+    const text = drawableText(font, el.text);
+    const x = el.align === 'right' ? el.x - font.widthOfTextAtSize(text, size) : el.x;
+    page.drawText(text, { x, y: PAGE_HEIGHT - el.y, size, font, color: rgb(0, 0, 0) });
+  });
+
+  return Buffer.from(await doc.save());
+}
+
+module.exports = { renderPdf, drawableText, toLatin1, PAGE_WIDTH, PAGE_HEIGHT };
@@ -0,0 +1,86 @@
+// Per-note price catalog. Prices live in data/price-catalog.json: a `defaults` block every
+// note inherits from, then the note's price band (`priceBand` in data/catalog.json, looked
+// up in `bands`), then any per-note override keyed by note ID. Each layer can set any of:
+//
+//   basePrice       regular list price (shown struck through while a sale runs)
+//   suggestedPrice  the chip pre-selected when a unit is added to the cart
+//   floor/ceiling   the range the buyer is allowed to pay (notes are pay-what-you-want)
+//   chips           the price chips shown on the semester pages
+//   sale            { price, startsAt, endsAt } — ISO dates, either end may be omitted
+//
+// create-order enforces the resolved floor/ceiling, and get-prices hands the same
+// resolved numbers to the browser, so the chips on the page always match what the
+// server will accept.
+
+const priceCatalog = require('../data/price-catalog.json');
+const { getNote } = require('./catalog');
+
+// Hard bounds no catalog entry can get outside of, so a typo in the JSON
+// (₹1000 instead of ₹100) can never turn into a real charge.
+const ABSOLUTE_MIN_RUPEES = 1;
+const ABSOLUTE_MAX_RUPEES = 1000;
+
+function clampRupees(value) {
+  return Math.min(ABSOLUTE_MAX_RUPEES, Math.max(ABSOLUTE_MIN_RUPEES, Number(value)));
+}
+
+function isSaleActive(sale, now) {
+  if (!sale || !Number.isFinite(Number(sale.price))) return false;
+  if (sale.startsAt && now < new Date(sale.startsAt)) return false;
+  if (sale.endsAt && now >= new Date(sale.endsAt)) return false;
+  return true;
+}
+
+// Returns the effective pricing for one note at the given moment.
+// While a sale is active the sale price becomes the suggested price, and the
+// floor drops to it if needed so buyers can actually pay the advertised price.
+function resolvePrice(noteId, now = new Date()) {
+  const note = getNote(noteId);
+  const band = (note && priceCatalog.bands[note.priceBand]) || {};
+  const entry = { ...priceCatalog.defaults, ...band, ...(priceCatalog.notes[noteId] || {}) };
+
+  const basePrice = clampRupees(entry.basePrice);
+  let suggestedPrice = clampRupees(entry.suggestedPrice || entry.basePrice);
+  let floor = clampRupees(entry.floor);
+  const ceiling = clampRupees(entry.ceiling);
+  let chips = (entry.chips || []).map(clampRupees).filter(p => p <= ceiling);
+
+  const onSale = isSaleActive(entry.sale, now);
+  if (onSale) {
+    const salePrice = clampRupees(entry.sale.price);
+    suggestedPrice = salePrice;
+    floor = Math.min(floor, salePrice);
+    if (!chips.includes(salePrice)) chips = [...chips, salePrice].sort((a, b) => a - b);
+  }
+
+  chips = chips.filter(p => p >= floor);
+  if (!chips.includes(suggestedPrice)) chips = [...chips, suggestedPrice].sort((a, b) => a - b);
+
+  return {
+    noteId,
+    basePrice,
+    suggestedPrice,
+    floor,
+    ceiling,
+    chips,
+    onSale,
+    saleEndsAt: onSale && entry.sale.endsAt ? new Date(entry.sale.endsAt).toISOString() : null
+  };
+}
+
+// Validates a buyer-chosen price against the catalog. A missing price falls back to
+// the suggested price. Returns { ok, price } or { ok: false, error }.
+function checkPrice(noteId, requestedPrice, noteTitle, now = new Date()) {
+  const pricing = resolvePrice(noteId, now);
+  if (requestedPrice === undefined || requestedPrice === null || requestedPrice === '') {
+    return { ok: true, price: pricing.suggestedPrice, pricing };
+  }
+
+  const price = Number(requestedPrice);
+  if (!Number.isFinite(price) || price < pricing.floor || price > pricing.ceiling) {
+    return { ok: false, error: `Price for ${noteTitle || noteId} must be between ₹${pricing.floor} and ₹${pricing.ceiling}` };
+  }
+  return { ok: true, price, pricing };
+}
+
+module.exports = { resolvePrice, checkPrice };
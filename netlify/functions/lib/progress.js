@@ -0,0 +1,91 @@
+// Reading position per user per note, so a note reopens where the student stopped — on any
+// device signed in to the same account. Kept next to openedNotes (lib/versions.js):
+//
+//   users/{uid}.readingProgress.{noteId} = { page, totalPages, furthestPage, percent, updatedAt }
+//
+// `page` is where they were last; `percent` is how far they have ever got (furthestPage of
+// totalPages), so scrolling back to re-read something doesn't lower it.
+
+const { getNote, getPaper } = require('./catalog');
+
+const MAX_PAGES = 2000;
+
+function isValidPosition(page, totalPages) {
+  return Number.isInteger(page) && Number.isInteger(totalPages) &&
+    page >= 1 && totalPages >= page && totalPages <= MAX_PAGES;
+}
+
+function describeProgress(entry) {
+  return {
+    page: entry.page,
+    totalPages: entry.totalPages,
+    percent: entry.percent || 0,
+    updatedAt: entry.updatedAt && typeof entry.updatedAt.toDate === 'function' ? entry.updatedAt.toDate().toISOString() : null
+  };
+}
+
+async function readProgress(db, userId) {
+  const userDoc = await db.collection('users').doc(userId).get();
+  return (userDoc.exists && userDoc.data().readingProgress) || {};
+}
+
+// Read and written in one transaction, so two devices saving at once can't drop each
+// other's furthest page
+async function saveProgress(db, admin, userId, noteId, { page, totalPages }) {
+  const userRef = db.collection('users').doc(userId);
+  return db.runTransaction(async (tx) => {
+    const userDoc = await tx.get(userRef);
+    const previous = ((userDoc.exists && userDoc.data().readingProgress) || {})[noteId] || {};
+    // A revised note can have a different page count, so the furthest mark starts over
+    const furthestPage = previous.totalPages === totalPages ? Math.max(previous.furthestPage || 0, page) : page;
+    const entry = { page, totalPages, furthestPage, percent: Math.round((furthestPage / totalPages) * 100) };
+
+    tx.set(userRef, {
+      readingProgress: {
+        [noteId]: { ...entry, updatedAt: admin.firestore.FieldValue.serverTimestamp() }
+      }
+    }, { merge: true });
+    return entry;
+  });
+}
+
+// Where to reopen one note, or null if the user has never read it
+async function getNoteProgress(db, userId, noteId) {
+  const entry = (await readProgress(db, userId))[noteId];
+  return entry ? describeProgress(entry) : null;
+}
+
+// { [noteId]: percent } for the unit cards on the semester pages
+async function getProgressPercents(db, userId, noteIds) {
+  const progress = await readProgress(db, userId);
+  const percents = {};
+  noteIds.forEach(noteId => {
+    if (progress[noteId]) percents[noteId] = progress[noteId].percent || 0;
+  });
+  return percents;
+}
+
+// Most recently read first, for the "Continue reading" strip on notes.html. Only notes the
+// user still owns (`ownedIds`) are listed.
+async function getRecentProgress(db, userId, ownedIds, { limit = 6 } = {}) {
+  const progress = await readProgress(db, userId);
+  const owned = new Set(ownedIds);
+  return Object.keys(progress)
+    .filter(noteId => owned.has(noteId) && getNote(noteId))
+    .map(noteId => {
+      const note = getNote(noteId);
+      const paper = getPaper(note.paper);
+      return {
+        noteId,
+        title: note.title,
+        subject: note.subject,
+        semester: note.semester,
+        paperTitle: paper ? paper.title : null,
+        ...describeProgress(progress[noteId])
+      };
+    })
+    .sort((a, b) => String(b.updatedAt || '').localeCompare(String(a.updatedAt || '')))
+    .slice(0, limit);
+}
+
+module.exports = { isValidPosition, saveProgress, getNoteProgress, getProgressPercents, getRecentProgress };
@@ -0,0 +1,144 @@
+// Rate limits on secure-notes, so one account or address can't mint signed URLs in a loop.
+// Fixed windows, each with its own env override:
+//
+//   per IP      RATE_LIMIT_IP_PER_MINUTE      (default 30)  requests, signed in or not
+//   per user    RATE_LIMIT_USER_PER_MINUTE    (default 10)  requests
+//               RATE_LIMIT_NOTES_PER_HOUR     (default 20)  different notes — reopening one
+//                                                           already opened this hour is fine
+//               RATE_LIMIT_OPENS_PER_DAY      (default 150) requests
+//
+// Accounts listed in SITE_OWNER_EMAILS (comma-separated, verified emails only; defaults to
+// the site owner's) are never limited.
+//
+// Counters live in Firestore (`rateLimits/{scope}_{id}_{windowStart}`: count, members,
+// expiresAt — set a TTL policy on expiresAt to clean them up) or, with
+// RATE_LIMIT_STORE=memory, in the process for local runs. If the store fails the request
+// is let through: a Firestore hiccup shouldn't lock buyers out of their notes.
+
+const DEFAULT_OWNER_EMAILS = 'shubhamkmr.work@gmail.com';
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+function limitFromEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+}
+
+function getLimits() {
+  return {
+    ipPerMinute: limitFromEnv('RATE_LIMIT_IP_PER_MINUTE', 30),
+    userPerMinute: limitFromEnv('RATE_LIMIT_USER_PER_MINUTE', 10),
+    notesPerHour: limitFromEnv('RATE_LIMIT_NOTES_PER_HOUR', 20),
+    opensPerDay: limitFromEnv('RATE_LIMIT_OPENS_PER_DAY', 150)
+  };
+}
+
+function isExempt(user) {
+  if (!user || !user.email || user.email_verified === false) return false;
+  const owners = (process.env.SITE_OWNER_EMAILS || DEFAULT_OWNER_EMAILS)
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+  return owners.includes(user.email.toLowerCase());
+}
+
+// Both stores: hit(key, expiresAt, member?) counts one request in the window `key` and,
+// if given, records `member` (kept in first-seen order). Resolves to { count, members }.
+function createFirestoreStore(db) {
+  return {
+    hit(key, expiresAt, member) {
+      const ref = db.collection('rateLimits').doc(key);
+      return db.runTransaction(async (tx) => {
+        const doc = await tx.get(ref);
+        const data = doc.exists ? doc.data() : { count: 0, members: [] };
+        const members = data.members || [];
+        if (member && !members.includes(member)) members.push(member);
+        const count = (data.count || 0) + 1;
+        tx.set(ref, { count, members, expiresAt });
+        return { count, members };
+      });
+    }
+  };
+}
+
+function createMemoryStore() {
+  const windows = new Map();
+  return {
+    async hit(key, expiresAt, member) {
+      const now = Date.now();
+      windows.forEach((entry, entryKey) => { if (entry.expiresAt <= now) windows.delete(entryKey); });
+      const entry = windows.get(key) || { count: 0, members: [], expiresAt: expiresAt.getTime() };
+      entry.count += 1;
+      if (member && !entry.members.includes(member)) entry.members.push(member);
+      windows.set(key, entry);
+      return { count: entry.count, members: entry.members.slice() };
+    }
+  };
+}
+
+let memoryStore = null;
+
+function getStore(db) {
+  if (process.env.RATE_LIMIT_STORE === 'memory') {
+    if (!memoryStore) memoryStore = createMemoryStore();
+    return memoryStore;
+  }
+  return createFirestoreStore(db);
+}
+
+async function hitWindow(store, scope, id, windowMs, now, member) {
+  const windowStart = Math.floor(now / windowMs) * windowMs;
+  const windowEnd = windowStart + windowMs;
+  const result = await store.hit(`${scope}_${id}_${windowStart}`, new Date(windowEnd), member);
+  return { ...result, retryAfter: Math.max(1, Math.ceil((windowEnd - now) / 1000)) };
+}
+
+// Counts this request against every limit that applies and returns null when it may
+// proceed, or { retryAfter, message } when it's over one. `user` is the decoded token, or
+// null for signed-out previews.
+async function checkRateLimit(db, { user, ipHash, noteId }, now = Date.now()) {
+  if (isExempt(user)) return null;
+  const limits = getLimits();
+  const store = getStore(db);
+
+  try {
+    const checks = [];
+    if (ipHash) {
+      const ip = await hitWindow(store, 'ip', ipHash, MINUTE_MS, now);
+      if (ip.count > limits.ipPerMinute) checks.push({ retryAfter: ip.retryAfter, message: 'Too many requests from your network' });
+    }
+    if (user) {
+      const [minute, hour, day] = await Promise.all([
+        hitWindow(store, 'user', user.uid, MINUTE_MS, now),
+        hitWindow(store, 'notes', user.uid, HOUR_MS, now, noteId),
+        hitWindow(store, 'day', user.uid, DAY_MS, now)
+      ]);
+      if (minute.count > limits.userPerMinute) {
+        checks.push({ retryAfter: minute.retryAfter, message: 'You\'re opening notes too quickly' });
+      }
+      // Notes past the first `notesPerHour` opened this hour wait; those already open don't
+      const position = hour.members.indexOf(noteId);
+      if (position === -1 || position >= limits.notesPerHour) {
+        checks.push({ retryAfter: hour.retryAfter, message: `You've opened ${limits.notesPerHour} different notes this hour` });
+      }
+      if (day.count > limits.opensPerDay) {
+        checks.push({ retryAfter: day.retryAfter, message: 'You\'ve reached today\'s limit for opening notes' });
+      }
+    }
+    if (checks.length === 0) return null;
+
+    // The longest wait is the one that matters
+    const blocking = checks.reduce((longest, check) => (check.retryAfter > longest.retryAfter ? check : longest));
+    const minutes = Math.ceil(blocking.retryAfter / 60);
+    return {
+      retryAfter: blocking.retryAfter,
+      message: `${blocking.message}. Please try again in ${blocking.retryAfter < 60 ? `${blocking.retryAfter} seconds` : `${minutes} minute${minutes === 1 ? '' : 's'}`}.`
+    };
+  } catch (error) {
+    console.error('Rate limit check failed, letting the request through:', error);
+    return null;
+  }
+}
+
+module.exports = { getLimits, isExempt, checkRateLimit };
@@ -0,0 +1,98 @@
+// Reconciles orders stuck in `status: 'created'` — usually because the browser closed
+// right after paying and the payment.captured webhook was missed. For each stale order
+// we ask Razorpay for its payments: a captured payment is fulfilled through the same
+// fulfilOrder() path as verify-payment, an authorized-but-not-captured one is left for
+// the next run, and everything else is marked `expired` (returning any wallet credit and
+// coupon use the order had reserved).
+//
+// Takes its Razorpay client as an argument, so scripts/reconcile-orders.js can run the
+// exact same logic locally against a fake client and the Firestore emulator.
+
+const { fulfilOrder, escapeHtml } = require('./fulfilment');
+const { returnOrderCredit } = require('./wallet');
+const { releaseCoupon } = require('./coupons');
+
+const DEFAULT_STALE_AFTER_MINUTES = 60;
+const DEFAULT_BATCH_LIMIT = 100;
+
+async function reconcileOrders({ db, admin, razorpay, now = new Date(), staleAfterMinutes = DEFAULT_STALE_AFTER_MINUTES, limit = DEFAULT_BATCH_LIMIT, dryRun = false }) {
+  const cutoff = new Date(now.getTime() - staleAfterMinutes * 60 * 1000);
+  const report = {
+    startedAt: now.toISOString(),
+    cutoff: cutoff.toISOString(),
+    dryRun,
+    scanned: 0,
+    fulfilled: [],
+    expired: [],
+    pending: [],
+    errors: []
+  };
+
+  const snapshot = await db.collection('orders')
+    .where('status', '==', 'created')
+    .where('createdAt', '<=', admin.firestore.Timestamp.fromDate(cutoff))
+    .orderBy('createdAt', 'asc')
+    .limit(limit)
+    .get();
+
+  for (const doc of snapshot.docs) {
+    report.scanned++;
+    const orderData = { orderId: doc.id, ...doc.data() };
+
+    try {
+      const payments = await razorpay.orders.fetchPayments(doc.id);
+      const items = (payments && payments.items) || [];
+      const captured = items.find(payment => payment.status === 'captured');
+      const authorized = items.find(payment => payment.status === 'authorized');
+
+      if (captured) {
+        const unlockedNoteIds = dryRun ? [] : await fulfilOrder(db, admin, orderData, captured.id);
+        report.fulfilled.push({ orderId: doc.id, paymentId: captured.id, userId: orderData.userId, amount: captured.amount, unlockedNoteIds });
+      } else if (authorized) {
+        // Razorpay auto-captures or auto-refunds these on its own; look again next run
+        report.pending.push({ orderId: doc.id, paymentId: authorized.id });
+      } else {
+        // Only an order that is still 'created' expires: a payment captured since
+        // fetchPayments (fulfilled by the webhook meanwhile) must not lose its credit
+        const expired = dryRun || await db.runTransaction(async (tx) => {
+          const current = await tx.get(doc.ref);
+          if (!current.exists || current.data().status !== 'created') return false;
+          tx.update(doc.ref, {
+            status: 'expired',
+            expiredAt: admin.firestore.FieldValue.serverTimestamp()
+          });
+          return true;
+        });
+        if (!expired) continue;
+        if (!dryRun) {
+          // Wallet credit and the coupon are taken when the order is created; an unpaid
+          // order gives both back
+          await returnOrderCredit(db, admin, orderData, 'release');
+          await releaseCoupon(db, admin, orderData);
+        }
+        report.expired.push({ orderId: doc.id, attempts: items.length });
+      }
+    } catch (error) {
+      console.error('Reconcile failed for order:', doc.id, error);
+      report.errors.push({ orderId: doc.id, error: error.message || String(error) });
+    }
+  }
+
+  report.finishedAt = new Date().toISOString();
+  return report;
+}
+
+function formatReport(report) {
+  let text = `🧹 <b>Order reconciliation${report.dryRun ? ' (dry run)' : ''}</b>\nScanned ${report.scanned} stale order${report.scanned === 1 ? '' : 's'}`;
+  text += `\n✅ Fulfilled: ${report.fulfilled.length}`;
+  report.fulfilled.forEach(entry => { text += `\n- ${entry.orderId} (${entry.paymentId}) ₹${((entry.amount || 0) / 100).toFixed(2)}`; });
+  text += `\n⌛ Expired: ${report.expired.length}`;
+  if (report.pending.length > 0) text += `\n⏳ Awaiting capture: ${report.pending.length}`;
+  if (report.errors.length > 0) {
+    text += `\n❌ Errors: ${report.errors.length}`;
+    report.errors.forEach(entry => { text += `\n- ${entry.orderId}: ${escapeHtml(entry.error)}`; });
+  }
+  return text;
+}
+
+module.exports = { reconcileOrders, formatReport };
@@ -0,0 +1,172 @@
+// Referral credits. Every user gets a code (`referralCodes/{CODE}` -> userId, mirrored as
+// users/{uid}.referralCode). A new user who arrives through a share link attaches the
+// code once after signing in (`referrals/{refereeId}`, status 'pending'); when their
+// first order is fulfilled the referrer's wallet is credited (see lib/wallet.js) and the
+// referral becomes 'credited'. A full refund of that order takes the credit back.
+//
+// Abuse guards, all checked when the code is attached:
+// - your own code is rejected,
+// - only accounts with no purchases yet can be referred, and only once,
+// - the referee's device ID (getDeviceId() in firebase-config.js) must not be one the
+//   referrer has used, nor one already used by another referral.
+
+const { applyLedgerEntry, getWalletBalance } = require('./wallet');
+const { isValidDeviceId } = require('./devices');
+
+const REFERRAL_CREDIT_PAISE = Math.round((Number(process.env.REFERRAL_CREDIT_RUPEES) || 10) * 100);
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O/1/I
+
+function normalizeReferralCode(code) {
+  const normalized = String(code || '').trim().toUpperCase();
+  return /^[A-Z0-9]{4,16}$/.test(normalized) ? normalized : null;
+}
+
+function generateCode(name) {
+  const prefix = String(name || '').toUpperCase().replace(/[^A-Z]/g, '').slice(0, 5) || 'DU';
+  let suffix = '';
+  for (let i = 0; i < 4; i++) suffix += CODE_ALPHABET[Math.floor(Math.random() * CODE_ALPHABET.length)];
+  return prefix + suffix;
+}
+
+// Remembers which devices a user has used, for the same-device guard.
+async function recordDevice(db, admin, userId, deviceId) {
+  if (!isValidDeviceId(deviceId)) return;
+  await db.collection('users').doc(userId).set({
+    deviceIds: admin.firestore.FieldValue.arrayUnion(deviceId)
+  }, { merge: true });
+}
+
+async function getOrCreateReferralCode(db, admin, userId, name) {
+  const userRef = db.collection('users').doc(userId);
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const code = generateCode(name);
+    try {
+      return await db.runTransaction(async (tx) => {
+        const userDoc = await tx.get(userRef);
+        if (userDoc.exists && userDoc.data().referralCode) return userDoc.data().referralCode;
+        tx.create(db.collection('referralCodes').doc(code), {
+          userId,
+          createdAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        tx.set(userRef, { referralCode: code }, { merge: true });
+        return code;
+      });
+    } catch (error) {
+      if (error.code !== 6) throw error; // ALREADY_EXISTS — code taken, try another
+    }
+  }
+  throw new Error('Could not generate a referral code');
+}
+
+// Returns { ok: true, referrerId } or { ok: false, error }.
+async function attachReferral(db, admin, { userId, code, deviceId }) {
+  const normalized = normalizeReferralCode(code);
+  if (!normalized) return { ok: false, error: 'Invalid referral code' };
+  if (!isValidDeviceId(deviceId)) return { ok: false, error: 'Invalid device' };
+
+  const codeDoc = await db.collection('referralCodes').doc(normalized).get();
+  if (!codeDoc.exists) return { ok: false, error: 'Invalid referral code' };
+  const referrerId = codeDoc.data().userId;
+  if (referrerId === userId) return { ok: false, error: "You can't use your own referral code" };
+
+  const [purchases, referrerDoc, sameDevice] = await Promise.all([
+    db.collection('transactions').where('userId', '==', userId).where('status', '==', 'completed').limit(1).get(),
+    db.collection('users').doc(referrerId).get(),
+    db.collection('referrals').where('refereeDeviceId', '==', deviceId).limit(1).get()
+  ]);
+  if (!purchases.empty) return { ok: false, error: 'Referral codes are only for new accounts' };
+  const referrerDevices = (referrerDoc.exists && referrerDoc.data().deviceIds) || [];
+  if (referrerDevices.includes(deviceId) || !sameDevice.empty) {
+    return { ok: false, error: 'This device has already been used with a referral' };
+  }
+
+  try {
+    await db.collection('referrals').doc(userId).create({
+      referrerId,
+      refereeId: userId,
+      code: normalized,
+      refereeDeviceId: deviceId,
+      status: 'pending',
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  } catch (error) {
+    if (error.code === 6) return { ok: false, error: 'You have already used a referral code' };
+    throw error;
+  }
+  await recordDevice(db, admin, userId, deviceId);
+  return { ok: true, referrerId };
+}
+
+// Called from fulfilOrder. Credits the referrer if this is the referee's first order.
+async function creditReferral(db, admin, orderData, paymentId) {
+  const referralRef = db.collection('referrals').doc(orderData.userId);
+  const referralDoc = await referralRef.get();
+  if (!referralDoc.exists) return false;
+  const referral = referralDoc.data();
+  if (referral.status !== 'pending' && !(referral.status === 'credited' && referral.orderId === orderData.orderId)) return false;
+
+  // Ledger first: it is idempotent per referee, so a retry after a crash between the two
+  // writes still ends with exactly one credit and a 'credited' referral.
+  await applyLedgerEntry(db, admin, `referral_${orderData.userId}`, {
+    userId: referral.referrerId,
+    type: 'referral_credit',
+    amount: REFERRAL_CREDIT_PAISE,
+    orderId: orderData.orderId,
+    referralId: orderData.userId,
+    note: `${orderData.userName || 'A friend'} made their first purchase`
+  });
+  await referralRef.update({
+    status: 'credited',
+    orderId: orderData.orderId,
+    paymentId: paymentId,
+    creditAmount: REFERRAL_CREDIT_PAISE,
+    creditedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  return true;
+}
+
+// Full refund of the order that earned a referral credit: take back what is still in
+// the referrer's wallet (never below zero).
+async function reverseReferralCredit(db, admin, orderData) {
+  const referralRef = db.collection('referrals').doc(orderData.userId);
+  const referralDoc = await referralRef.get();
+  if (!referralDoc.exists) return false;
+  const referral = referralDoc.data();
+  if (referral.status !== 'credited' || referral.orderId !== orderData.orderId) return false;
+
+  const balance = await getWalletBalance(db, referral.referrerId);
+  const amount = Math.min(balance, referral.creditAmount || REFERRAL_CREDIT_PAISE);
+  if (amount > 0) {
+    await applyLedgerEntry(db, admin, `referral_reversal_${orderData.userId}`, {
+      userId: referral.referrerId,
+      type: 'referral_reversal',
+      amount: -amount,
+      orderId: orderData.orderId,
+      referralId: orderData.userId,
+      note: 'Referred order was refunded'
+    });
+  }
+  await referralRef.update({ status: 'reversed', reversedAt: admin.firestore.FieldValue.serverTimestamp() });
+  return true;
+}
+
+async function getReferralStats(db, referrerId) {
+  const snapshot = await db.collection('referrals').where('referrerId', '==', referrerId).get();
+  const stats = { pending: 0, credited: 0 };
+  snapshot.forEach(doc => {
+    const status = doc.data().status;
+    if (status === 'pending') stats.pending++;
+    if (status === 'credited') stats.credited++;
+  });
+  return stats;
+}
+
+module.exports = {
+  REFERRAL_CREDIT_PAISE,
+  recordDevice,
+  getOrCreateReferralCode,
+  attachReferral,
+  creditReferral,
+  reverseReferralCredit,
+  getReferralStats
+};
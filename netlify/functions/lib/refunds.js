@@ -0,0 +1,225 @@
+// Refund handling for Razorpay `refund.created` / `refund.processed` webhooks.
+//
+// A full refund revokes everything the payment unlocked (units, bundle passes, tip, or an
+// unclaimed gift).
+// A partial refund only revokes the units listed in the refund's notes — when issuing a
+// partial refund from the Razorpay dashboard or API, add a note
+//   noteIds: "unit-2-dsc-5,unit-3-dsc-5"   (bundle IDs like "bundle-dsc-5" work too)
+// and, if the tip is being returned as well, `includesTip: "true"`. A partial refund
+// without a noteIds note revokes nothing and is flagged for manual review instead,
+// because the refunded amount alone can't tell us which units it was for.
+//
+// Refunds add up: once the refunds on an order reach what was paid, the last one is treated
+// as a full refund and revokes whatever the earlier partial ones left.
+//
+// Revoked transactions are kept with `status: 'refunded'` rather than deleted, so
+// check-purchases and secure-notes (which only honour `status == 'completed'`) stop
+// granting access while the history stays auditable.
+
+const { returnOrderCredit } = require('./wallet');
+const { reverseReferralCredit } = require('./referrals');
+const { releaseCoupon } = require('./coupons');
+
+function parseIdList(value) {
+  return String(value || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean);
+}
+
+// Removes unlockedNotes keys for notes the user no longer owns through any other payment.
+async function removeUnlockedKeys(db, admin, userId, noteIds) {
+  const toRemove = [];
+  for (const noteId of noteIds) {
+    const stillOwned = await db.collection('transactions')
+      .where('userId', '==', userId)
+      .where('noteId', '==', noteId)
+      .where('status', '==', 'completed')
+      .limit(1)
+      .get();
+    if (stillOwned.empty) toRemove.push(noteId);
+  }
+  if (toRemove.length === 0) return [];
+
+  const updateArgs = [];
+  toRemove.forEach(noteId => {
+    updateArgs.push(new admin.firestore.FieldPath('unlockedNotes', noteId), admin.firestore.FieldValue.delete());
+  });
+  await db.collection('users').doc(userId).update(...updateArgs).catch(error => {
+    if (error.code !== 5) throw error; // NOT_FOUND — no user doc, nothing to clean up
+  });
+  return toRemove;
+}
+
+// Processes one refund entity. Returns a summary for notifications, or null if this refund
+// was already handled.
+//
+// The revocation (transactions, bundle passes, tip, gift, order totals) is written in one
+// transaction together with `refunds/{refundId}`, so it happens exactly once however many
+// times Razorpay delivers refund.created / refund.processed. The follow-up steps (unlock
+// keys, wallet credit, referral, coupon) are idempotent on their own and only mark the refund
+// `processed` once they've all succeeded — a webhook that fails partway is retried and
+// picks up from the stored revocation.
+async function processRefund(db, admin, { refund, payment }) {
+  const refundRef = db.collection('refunds').doc(refund.id);
+  const existing = await refundRef.get();
+  if (existing.exists && existing.data().processed) {
+    await refundRef.set({ status: refund.status || 'processed' }, { merge: true });
+    return null;
+  }
+
+  const paymentId = refund.payment_id;
+  const orderId = payment && payment.order_id;
+  const orderRef = orderId ? db.collection('orders').doc(orderId) : null;
+  const requestedIds = parseIdList(refund.notes && refund.notes.noteIds);
+
+  const revocation = await db.runTransaction(async (tx) => {
+    const marker = await tx.get(refundRef);
+    if (marker.exists && marker.data().revocation) return marker.data().revocation;
+
+    const orderDoc = orderRef ? await tx.get(orderRef) : null;
+    const orderData = orderDoc && orderDoc.exists ? orderDoc.data() : null;
+    const txSnapshot = await tx.get(db.collection('transactions').where('paymentId', '==', paymentId));
+    const passSnapshot = await tx.get(db.collection('bundlePasses').where('paymentId', '==', paymentId));
+    const tipRef = db.collection('tips').doc(paymentId);
+    const tipDoc = await tx.get(tipRef);
+    const giftRef = orderData && orderData.giftRecipientEmail ? db.collection('gifts').doc(orderId) : null;
+    const giftDoc = giftRef ? await tx.get(giftRef) : null;
+
+    // Earlier partial refunds count too: the one that brings the total up to what was paid
+    // is the full refund
+    const paidAmount = (payment && payment.amount) || (orderData && orderData.amount) || 0;
+    const refundedBefore = (orderData && orderData.refundedAmount) || 0;
+    const isFullRefund = paidAmount > 0 && refundedBefore + refund.amount >= paidAmount;
+    const needsReview = !isFullRefund && requestedIds.length === 0;
+
+    const result = {
+      isFullRefund,
+      needsReview,
+      userId: orderData ? orderData.userId || null : null,
+      revokedNoteIds: [],
+      revokedBundleIds: [],
+      tipReversed: false,
+      giftCancelled: false
+    };
+
+    if (!needsReview) {
+      // --- Transactions ---
+      const affected = txSnapshot.docs.filter(doc => {
+        const data = doc.data();
+        if (data.status !== 'completed') return false;
+        if (isFullRefund) return true;
+        return requestedIds.includes(data.noteId) || (data.bundleId && requestedIds.includes(data.bundleId));
+      });
+      affected.forEach(doc => {
+        tx.update(doc.ref, {
+          status: 'refunded',
+          refundId: refund.id,
+          refundedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+      });
+      if (affected.length > 0) result.userId = affected[0].data().userId;
+      result.revokedNoteIds = Array.from(new Set(affected.map(doc => doc.data().noteId)));
+
+      // --- Bundle passes, so units added later aren't granted again ---
+      passSnapshot.docs.forEach(doc => {
+        const pass = doc.data();
+        if (pass.status !== 'active') return;
+        if (!isFullRefund && !requestedIds.includes(pass.bundleId)) return;
+        tx.update(doc.ref, { status: 'refunded', refundId: refund.id });
+        result.revokedBundleIds.push(pass.bundleId);
+      });
+
+      // --- Tip ---
+      const tipIncluded = isFullRefund || (refund.notes && String(refund.notes.includesTip) === 'true');
+      if (tipIncluded && tipDoc.exists && !tipDoc.data().refunded) {
+        tx.update(tipRef, { refunded: true, refundId: refund.id });
+        result.tipReversed = true;
+      }
+
+      // --- Unclaimed gift: take the refunded items out so they can't be claimed later ---
+      if (giftDoc && giftDoc.exists && giftDoc.data().status === 'pending') {
+        const remaining = isFullRefund ? [] : (giftDoc.data().items || []).filter(item => !requestedIds.includes(item.bundleId || item.noteId));
+        tx.update(giftRef, remaining.length === 0
+          ? { status: 'refunded', refundId: refund.id }
+          : { items: remaining });
+        result.giftCancelled = remaining.length === 0;
+      }
+    }
+
+    if (orderData) {
+      tx.update(orderRef, {
+        status: isFullRefund ? 'refunded' : 'partially_refunded',
+        refundedAmount: refundedBefore + refund.amount
+      });
+    }
+
+    tx.set(refundRef, {
+      refundId: refund.id,
+      paymentId,
+      orderId: orderId || null,
+      amount: refund.amount,
+      status: refund.status || 'created',
+      notes: refund.notes || {},
+      needsReview,
+      revocation: result,
+      timestamp: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+    return result;
+  });
+
+  const orderDoc = orderRef ? await orderRef.get() : null;
+  const orderData = orderDoc && orderDoc.exists ? orderDoc.data() : null;
+  const summary = {
+    refundId: refund.id,
+    paymentId,
+    orderId: orderId || null,
+    amount: refund.amount,
+    isFullRefund: revocation.isFullRefund,
+    userName: orderData ? orderData.userName : '',
+    userEmail: orderData ? orderData.userEmail : '',
+    revokedNoteIds: revocation.revokedNoteIds,
+    revokedBundleIds: revocation.revokedBundleIds,
+    tipReversed: revocation.tipReversed,
+    giftCancelled: revocation.giftCancelled,
+    walletReturned: false,
+    referralReversed: false,
+    needsReview: revocation.needsReview
+  };
+
+  if (revocation.userId && revocation.revokedNoteIds.length > 0) {
+    await removeUnlockedKeys(db, admin, revocation.userId, revocation.revokedNoteIds);
+  }
+
+  // Store credit isn't part of what Razorpay refunds, so a full refund returns it to the
+  // wallet — and a referral credit the order earned is taken back, and the coupon can be
+  // used again
+  if (revocation.isFullRefund && orderData) {
+    const creditOrder = { orderId, ...orderData };
+    summary.walletReturned = (await returnOrderCredit(db, admin, creditOrder, 'refund')) !== null;
+    summary.referralReversed = await reverseReferralCredit(db, admin, creditOrder);
+    await releaseCoupon(db, admin, creditOrder);
+  }
+
+  await refundRef.set({ processed: true, processedAt: admin.firestore.FieldValue.serverTimestamp() }, { merge: true });
+  return summary;
+}
+
+// `payment.failed`: nothing was unlocked, just record the attempt on the order. The
+// order itself stays open — Razorpay lets the buyer retry on the same order, and a
+// later successful attempt is fulfilled as usual.
+async function markPaymentFailed(db, admin, payment) {
+  if (!payment.order_id) return;
+  const orderRef = db.collection('orders').doc(payment.order_id);
+  const orderDoc = await orderRef.get();
+  if (!orderDoc.exists) return;
+
+  await orderRef.update({
+    failedAttempts: admin.firestore.FieldValue.increment(1),
+    lastFailedPaymentId: payment.id,
+    lastFailureReason: payment.error_description || payment.error_code || 'unknown',
+    lastFailedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+}
+
+module.exports = { removeUnlockedKeys, processRefund, markPaymentFailed };
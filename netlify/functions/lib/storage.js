@@ -0,0 +1,173 @@
+// Where the PDFs live. secure-notes only ever asks for a short-lived URL to an object key
+// (see lib/catalog.js for the keys); which store answers is picked by STORAGE_DRIVER:
+//
+//   b2 (default) — the Backblaze B2 bucket over the S3 API. Needs B2_ENDPOINT, B2_KEY_ID
+//                  and B2_APPLICATION_KEY; B2_BUCKET overrides the bucket name.
+//   local        — a directory laid out like the bucket (NOTES_STORAGE_DIR, e.g.
+//                  ./local-storage/notes/dsc-1-unit-1.pdf). URLs point at server.js's
+//                  /local-storage/<key> route and are HMAC-signed with STORAGE_URL_SECRET,
+//                  so they expire just like B2's. LOCAL_STORAGE_BASE_URL is where server.js
+//                  listens (default http://localhost:5000).
+//
+// Drivers are created on first use, so a missing variable fails the request that needed
+// it with a clear message instead of crashing the function at import. Every driver has the
+// same shape — { name, signedUrl(key, expiresIn), exists(key), read(key), write(key, bytes) }
+// — which is also what a bucket migration script would copy between. read() resolves to a
+// Buffer, or null if there's no such object.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_BUCKET = 'sayheyshubh-notes';
+const LOCAL_ROUTE = '/local-storage/';
+
+function configError(message) {
+  const error = new Error(message);
+  error.code = 'STORAGE_NOT_CONFIGURED';
+  return error;
+}
+
+function isNotFound(error) {
+  return error.name === 'NotFound' || error.name === 'NoSuchKey' ||
+    (error.$metadata && error.$metadata.httpStatusCode === 404);
+}
+
+function createB2Storage({ bucket = process.env.B2_BUCKET || DEFAULT_BUCKET } = {}) {
+  if (!process.env.B2_ENDPOINT || !process.env.B2_KEY_ID || !process.env.B2_APPLICATION_KEY) {
+    throw configError('B2 storage needs B2_ENDPOINT, B2_KEY_ID and B2_APPLICATION_KEY (or set STORAGE_DRIVER=local)');
+  }
+  const { S3Client, GetObjectCommand, HeadObjectCommand, PutObjectCommand } = require('@aws-sdk/client-s3');
+  const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+  // Robustly handle the endpoint format
+  const endpoint = process.env.B2_ENDPOINT.startsWith('https://')
+    ? process.env.B2_ENDPOINT
+    : `https://${process.env.B2_ENDPOINT}`;
+
+  const s3 = new S3Client({
+    region: process.env.B2_ENDPOINT.split('.')[1], // e.g. 'eu-central-003'
+    endpoint,
+    credentials: {
+      accessKeyId: process.env.B2_KEY_ID,
+      secretAccessKey: process.env.B2_APPLICATION_KEY
+    }
+  });
+
+  return {
+    name: `b2:${bucket}`,
+    signedUrl(key, expiresIn) {
+      const command = new GetObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        ResponseContentDisposition: 'inline', // Forces browser to VIEW instead of download
+        ResponseCacheControl: 'no-cache' // a revised PDF must never be served from a stale cache
+      });
+      return getSignedUrl(s3, command, { expiresIn });
+    },
+    async exists(key) {
+      try {
+        await s3.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        return true;
+      } catch (error) {
+        if (isNotFound(error)) return false;
+        throw error;
+      }
+    },
+    async read(key) {
+      try {
+        const response = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        return Buffer.from(await response.Body.transformToByteArray());
+      } catch (error) {
+        if (isNotFound(error)) return null;
+        throw error;
+      }
+    },
+    async write(key, bytes) {
+      await s3.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: bytes, ContentType: 'application/pdf' }));
+    }
+  };
+}
+
+function signLocalKey(secret, key, expires) {
+  return crypto.createHmac('sha256', secret).update(`${key}\n${expires}`).digest('hex');
+}
+
+// The file for `key` under `dir`, or null if the key would escape the directory.
+function resolveLocalPath(dir, key) {
+  const root = path.resolve(dir);
+  const filePath = path.resolve(root, key);
+  return filePath.startsWith(root + path.sep) ? filePath : null;
+}
+
+function createLocalStorage({
+  dir = process.env.NOTES_STORAGE_DIR,
+  secret = process.env.STORAGE_URL_SECRET,
+  baseUrl = process.env.LOCAL_STORAGE_BASE_URL || 'http://localhost:5000'
+} = {}) {
+  if (!dir) throw configError('Local storage needs NOTES_STORAGE_DIR');
+
+  return {
+    name: `local:${path.resolve(dir)}`,
+    async signedUrl(key, expiresIn) {
+      // Checked here rather than up front so scripts that only call exists() don't need it
+      if (!secret) throw configError('Local storage needs STORAGE_URL_SECRET to sign URLs');
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+      return `${baseUrl.replace(/\/$/, '')}${LOCAL_ROUTE}${encodedKey}?expires=${expires}&sig=${signLocalKey(secret, key, expires)}`;
+    },
+    async exists(key) {
+      const filePath = resolveLocalPath(dir, key);
+      return !!filePath && fs.existsSync(filePath);
+    },
+    async read(key) {
+      const filePath = resolveLocalPath(dir, key);
+      if (!filePath || !fs.existsSync(filePath)) return null;
+      return fs.promises.readFile(filePath);
+    },
+    async write(key, bytes) {
+      const filePath = resolveLocalPath(dir, key);
+      if (!filePath) throw new Error(`Refusing to write outside the storage directory: ${key}`);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, bytes);
+    }
+  };
+}
+
+// server.js: checks a /local-storage/<key>?expires=&sig= request. Returns the file path to
+// send, or { error, status } when the link is forged, expired or points at nothing.
+function verifyLocalUrl({ key, expires, sig }, {
+  dir = process.env.NOTES_STORAGE_DIR,
+  secret = process.env.STORAGE_URL_SECRET
+} = {}) {
+  if (!dir || !secret) return { status: 404, error: 'Local storage is not enabled' };
+  if (!key || !/^\d+$/.test(String(expires || '')) || !/^[0-9a-f]{64}$/.test(String(sig || ''))) {
+    return { status: 403, error: 'Invalid link' };
+  }
+
+  const expected = Buffer.from(signLocalKey(secret, key, Number(expires)), 'hex');
+  if (!crypto.timingSafeEqual(expected, Buffer.from(sig, 'hex'))) return { status: 403, error: 'Invalid link' };
+  if (Number(expires) < Math.floor(Date.now() / 1000)) return { status: 403, error: 'This link has expired' };
+
+  const filePath = resolveLocalPath(dir, key);
+  if (!filePath || !fs.existsSync(filePath)) return { status: 404, error: 'File not found' };
+  return { filePath };
+}
+
+const DRIVERS = { b2: createB2Storage, local: createLocalStorage };
+
+function createStorage(driver = process.env.STORAGE_DRIVER || 'b2', options = {}) {
+  const create = DRIVERS[driver];
+  if (!create) throw configError(`Unknown STORAGE_DRIVER "${driver}" (expected ${Object.keys(DRIVERS).join(' or ')})`);
+  return create(options);
+}
+
+let defaultStorage = null;
+
+// The driver picked by the environment, shared by every request on a warm function.
+function getStorage() {
+  if (!defaultStorage) defaultStorage = createStorage();
+  return defaultStorage;
+}
+
+module.exports = { LOCAL_ROUTE, createStorage, getStorage, verifyLocalUrl };
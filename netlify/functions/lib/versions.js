@@ -0,0 +1,34 @@
+// "Updated" notices for buyers. The catalog carries each note's current version (see
+// lib/catalog.js); secure-notes records which version a user last opened in
+// users/{uid}.openedNotes.{noteId} = { version, openedAt }, and check-purchases compares
+// the two. Notes the user has never opened aren't reported — they'll see the latest
+// version the first time anyway.
+
+const { getNote, getNoteVersion } = require('./catalog');
+
+async function recordNoteOpened(db, admin, userId, noteId) {
+  const current = getNoteVersion(noteId);
+  if (!current) return;
+  await db.collection('users').doc(userId).set({
+    openedNotes: {
+      [noteId]: {
+        version: current.version,
+        openedAt: admin.firestore.FieldValue.serverTimestamp()
+      }
+    }
+  }, { merge: true });
+}
+
+// Returns [{ noteId, title, version, updatedAt, changelog }] for owned notes revised
+// since the user last opened them.
+async function findUpdatedNotes(db, userId, ownedIds) {
+  const userDoc = await db.collection('users').doc(userId).get();
+  const opened = (userDoc.exists && userDoc.data().openedNotes) || {};
+
+  return Array.from(new Set(ownedIds))
+    .filter(noteId => opened[noteId] && getNoteVersion(noteId))
+    .filter(noteId => getNoteVersion(noteId).version > (opened[noteId].version || 1))
+    .map(noteId => ({ noteId, title: getNote(noteId).title, ...getNoteVersion(noteId) }));
+}
+
+module.exports = { recordNoteOpened, findUpdatedNotes };
@@ -0,0 +1,122 @@
+// Store credit. `wallets/{userId}` holds the current balance in paise; every change to it
+// is written in the same transaction as a `walletLedger` entry, so the balance can always
+// be re-derived from (and audited against) the ledger:
+//
+//   userId, type, amount (+credit / −debit, paise), balanceAfter, orderId?, referralId?,
+//   note?, createdAt
+//
+// Ledger entries use deterministic IDs (`redeem_{orderId}`, `return_{orderId}`,
+// `redeem_{orderId}_late`, `referral_{refereeId}`, ...) and are written with create(), so retries never move the
+// balance twice.
+//
+// Types: 'referral_credit' / 'referral_reversal' (lib/referrals.js), 'redeem' (applied to
+// a cart in create-order), 'release' (an unpaid order expired, credit returned) and
+// 'refund' (a fully refunded order's credit returned).
+
+async function getWalletBalance(db, userId) {
+  const doc = await db.collection('wallets').doc(userId).get();
+  return doc.exists ? doc.data().balance || 0 : 0;
+}
+
+// Applies one ledger entry. Debits never take the balance below zero — they throw
+// INSUFFICIENT_BALANCE instead. Returns the new balance, or null if the entry already exists.
+async function applyLedgerEntry(db, admin, entryId, { userId, type, amount, orderId, referralId, note }) {
+  const walletRef = db.collection('wallets').doc(userId);
+  const entryRef = db.collection('walletLedger').doc(entryId);
+
+  return db.runTransaction(async (tx) => {
+    const [walletDoc, entryDoc] = await Promise.all([tx.get(walletRef), tx.get(entryRef)]);
+    if (entryDoc.exists) return null;
+
+    const balance = walletDoc.exists ? walletDoc.data().balance || 0 : 0;
+    const balanceAfter = balance + amount;
+    if (balanceAfter < 0) {
+      const error = new Error('Not enough wallet balance');
+      error.code = 'INSUFFICIENT_BALANCE';
+      throw error;
+    }
+
+    tx.create(entryRef, {
+      userId,
+      type,
+      amount,
+      balanceAfter,
+      orderId: orderId || null,
+      referralId: referralId || null,
+      note: note || '',
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    tx.set(walletRef, {
+      userId,
+      balance: balanceAfter,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+    return balanceAfter;
+  });
+}
+
+// create-order: takes the credit up front so two carts can't spend the same balance.
+function debitForOrder(db, admin, userId, orderId, amount) {
+  return applyLedgerEntry(db, admin, `redeem_${orderId}`, { userId, type: 'redeem', amount: -amount, orderId });
+}
+
+// The order never got paid (reconcile-orders) or was fully refunded: give the credit back.
+// Only ever returns what `redeem_{orderId}` (and a late `redeem_{orderId}_late`) actually
+// took, and each at most once. Returns the new balance, or null if nothing was returned.
+async function returnOrderCredit(db, admin, orderData, type) {
+  if (!orderData.walletAmount) return null;
+
+  let balance = null;
+  for (const suffix of ['', '_late']) {
+    const redeemDoc = await db.collection('walletLedger').doc(`redeem_${orderData.orderId}${suffix}`).get();
+    if (!redeemDoc.exists) continue;
+    const balanceAfter = await applyLedgerEntry(db, admin, `return_${orderData.orderId}${suffix}`, {
+      userId: orderData.userId,
+      type,
+      amount: -redeemDoc.data().amount,
+      orderId: orderData.orderId
+    });
+    if (balanceAfter !== null) balance = balanceAfter;
+  }
+  return balance;
+}
+
+// A payment that arrived after the order expired or was cancelled: the order was priced
+// with the credit, which has since gone back to the wallet, so take it again. Throws
+// INSUFFICIENT_BALANCE if it has been spent in the meantime.
+async function retakeOrderCredit(db, admin, orderData) {
+  if (!orderData.walletAmount) return null;
+  const ledger = db.collection('walletLedger');
+  const [redeemDoc, returnDoc] = await Promise.all([
+    ledger.doc(`redeem_${orderData.orderId}`).get(),
+    ledger.doc(`return_${orderData.orderId}`).get()
+  ]);
+  if (redeemDoc.exists && !returnDoc.exists) return null; // still held
+
+  return applyLedgerEntry(db, admin, `redeem_${orderData.orderId}_late`, {
+    userId: orderData.userId,
+    type: 'redeem',
+    amount: -orderData.walletAmount,
+    orderId: orderData.orderId,
+    note: 'Order paid after it expired'
+  });
+}
+
+async function getLedger(db, userId, limit = 20) {
+  const snapshot = await db.collection('walletLedger').where('userId', '==', userId).get();
+  return snapshot.docs
+    .map(doc => ({ id: doc.id, ...doc.data() }))
+    .sort((a, b) => (b.createdAt ? b.createdAt.toMillis() : 0) - (a.createdAt ? a.createdAt.toMillis() : 0))
+    .slice(0, limit)
+    .map(entry => ({
+      id: entry.id,
+      type: entry.type,
+      amount: entry.amount,
+      balanceAfter: entry.balanceAfter,
+      orderId: entry.orderId,
+      note: entry.note,
+      createdAt: entry.createdAt ? entry.createdAt.toDate().toISOString() : null
+    }));
+}
+
+module.exports = { getWalletBalance, applyLedgerEntry, debitForOrder, returnOrderCredit, retakeOrderCredit, getLedger };
@@ -0,0 +1,104 @@
+// Per-buyer stamped copies of the note PDFs. The viewer's canvas watermark only exists in
+// the browser, so a signed URL lifted from the Network tab used to download a clean file;
+// secure-notes now signs a copy stamped for the requesting user instead:
+//
+// - every page carries a faint diagonal line and a footer with the buyer's name, masked
+//   email, buyer reference and the time the copy was issued
+// - every page also carries the reference as invisible text, and the document info holds
+//   it too (`SayHeyShubhBuyerRef`), so a copy with the visible stamp cropped out
+//   can still be traced
+//
+// The buyer reference is a hash of the UID, not the UID itself. Each stamped copy is
+// cached in storage at stamped/<ref>/<noteId>-v<version>.pdf — a new note version gets a
+// fresh copy — and recorded in `watermarks/{ref}_{noteId}_v{version}` (userId, email,
+// noteId, version, buyerRef, sourceKey, stampedKey, stampedAt), which is how a leaked file's reference
+// is traced back to an account.
+
+const crypto = require('crypto');
+const { PDFDocument, PDFName, PDFString, StandardFonts, degrees, rgb } = require('pdf-lib');
+const { toLatin1 } = require('./pdf');
+
+const STAMPED_PREFIX = 'stamped/';
+const SITE_NAME = 'sayheyshubh.in';
+
+// 'shubham.kumar@gmail.com' -> 'sh***@gmail.com'
+function maskEmail(email) {
+  if (!email || !email.includes('@')) return '';
+  const [local, domain] = email.split('@');
+  return `${local.slice(0, 2)}***@${domain}`;
+}
+
+// Short, stable, not reversible without the `watermarks` records
+function buyerRef(userId) {
+  return crypto.createHash('sha256').update(`sayheyshubh:${userId}`).digest('hex').slice(0, 12).toUpperCase();
+}
+
+function stampedKeyFor(userId, noteId, version) {
+  return `${STAMPED_PREFIX}${buyerRef(userId)}/${noteId}-v${version}.pdf`;
+}
+
+// Returns the stamped PDF as a Buffer. Standard fonts only cover Latin-1, so names in
+// other scripts come out as '?' — the reference still identifies the buyer.
+async function stampPdf(pdfBytes, { name, email, ref, issuedAt }) {
+  const doc = await PDFDocument.load(pdfBytes, { updateMetadata: false });
+  const font = await doc.embedFont(StandardFonts.Helvetica);
+  const issued = issuedAt.toISOString().replace('T', ' ').slice(0, 16) + ' UTC';
+  const line = toLatin1(`Licensed to ${name} - ${maskEmail(email)} - Ref ${ref} - ${issued}`);
+  const footer = toLatin1(`${line} - ${SITE_NAME} - not for redistribution`);
+
+  doc.getPages().forEach(page => {
+    const { width, height } = page.getSize();
+    // Corner to corner, spanning about 80% of the diagonal
+    const diagonalSize = Math.max(8, Math.min(24, (Math.hypot(width, height) * 0.8) / font.widthOfTextAtSize(line, 1)));
+    const diagonalWidth = font.widthOfTextAtSize(line, diagonalSize);
+    const angle = Math.atan2(height, width);
+
+    page.drawText(line, {
+      x: width / 2 - (Math.cos(angle) * diagonalWidth) / 2,
+      y: height / 2 - (Math.sin(angle) * diagonalWidth) / 2,
+      size: diagonalSize,
+      font,
+      color: rgb(0.39, 0.45, 0.55),
+      opacity: 0.15,
+      rotate: degrees((angle * 180) / Math.PI)
+    });
+    page.drawText(footer, { x: 20, y: 12, size: 6.5, font, color: rgb(0.39, 0.45, 0.55), opacity: 0.7 });
+    // Invisible copy for when the visible stamps are cropped or painted over
+    page.drawText(`${SITE_NAME} ref ${ref}`, { x: 2, y: 2, size: 1, font, opacity: 0 });
+  });
+
+  doc.setProducer(SITE_NAME);
+  doc.setKeywords([`ref:${ref}`, `issued:${issuedAt.toISOString()}`]);
+  doc.getInfoDict().set(PDFName.of('SayHeyShubhBuyerRef'), PDFString.of(ref));
+  return Buffer.from(await doc.save());
+}
+
+// The storage key of the user's stamped copy of a note, stamping it first if it isn't
+// cached yet. `user` is the decoded Firebase token.
+async function getStampedKey(db, admin, storage, { user, noteId, storageKey, version }) {
+  const ref = buyerRef(user.uid);
+  const key = stampedKeyFor(user.uid, noteId, version);
+  if (await storage.exists(key)) return key;
+
+  const original = await storage.read(storageKey);
+  if (!original) throw new Error(`No object at "${storageKey}" to stamp`);
+
+  const email = user.email || '';
+  const name = user.name || (email ? email.split('@')[0] : 'Student');
+  const stamped = await stampPdf(original, { name, email, ref, issuedAt: new Date() });
+  await storage.write(key, stamped);
+
+  await db.collection('watermarks').doc(`${ref}_${noteId}_v${version}`).set({
+    userId: user.uid,
+    email,
+    noteId,
+    version,
+    buyerRef: ref,
+    sourceKey: storageKey,
+    stampedKey: key,
+    stampedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  return key;
+}
+
+module.exports = { STAMPED_PREFIX, maskEmail, buyerRef, stampPdf, getStampedKey };
@@ -0,0 +1,89 @@
+const admin = require('firebase-admin');
+const { hasNote } = require('./lib/catalog');
+const { userOwnsNote } = require('./lib/bundles');
+const { isValidPosition, saveProgress, getRecentProgress } = require('./lib/progress');
+
+// Initialize Firebase Admin
+if (!admin.apps.length) {
+  if (process.env.FIREBASE_PROJECT_ID && process.env.FIREBASE_CLIENT_EMAIL && process.env.FIREBASE_PRIVATE_KEY) {
+    admin.initializeApp({
+      credential: admin.credential.cert({
+        projectId: process.env.FIREBASE_PROJECT_ID,
+        clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+        privateKey: process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n')
+      }),
+      projectId: process.env.FIREBASE_PROJECT_ID
+    });
+  } else {
+    admin.initializeApp({ projectId: 'sayheyshubh-7051c' });
+  }
+}
+const db = admin.firestore();
+
+// Authentication helper
+async function verifyFirebaseToken(authHeader) {
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    throw new Error('Missing or invalid authorization header');
+  }
+  const idToken = authHeader.substring(7);
+  try {
+    return await admin.auth().verifyIdToken(idToken);
+  } catch (error) {
+    console.error('Token verification failed:', error);
+    throw new Error('Invalid authentication token');
+  }
+}
+
+// Reading position sync for the in-app viewer (see lib/progress.js).
+// GET  -> the notes the user read most recently and still owns, for "Continue reading"
+// POST { noteId, page, totalPages } -> records the current position in a note the user
+//         owns (403 otherwise). The viewer sends these itself; secure-notes returns the
+//         saved position when a note is opened.
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+  };
+
+  if (event.httpMethod === 'OPTIONS') return { statusCode: 200, headers, body: '' };
+  if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+
+  try {
+    const decodedToken = await verifyFirebaseToken(event.headers.authorization);
+    const userId = decodedToken.uid;
+
+    if (event.httpMethod === 'POST') {
+      const { noteId, page, totalPages } = JSON.parse(event.body || '{}');
+      if (!hasNote(noteId) || !isValidPosition(page, totalPages)) {
+        return { statusCode: 400, headers, body: JSON.stringify({ success: false, error: 'Invalid reading position' }) };
+      }
+      if (!(await userOwnsNote(db, admin, userId, noteId))) {
+        return { statusCode: 403, headers, body: JSON.stringify({ success: false, error: 'Note not purchased' }) };
+      }
+      const progress = await saveProgress(db, admin, userId, noteId, { page, totalPages });
+      return { statusCode: 200, headers, body: JSON.stringify({ success: true, noteId, ...progress }) };
+    }
+
+    const transactionsSnapshot = await db.collection('transactions')
+      .where('userId', '==', userId)
+      .where('status', '==', 'completed')
+      .where('verified', '==', true)
+      .get();
+    const ownedIds = transactionsSnapshot.docs.map(doc => doc.data().noteId).filter(Boolean);
+
+    const recent = await getRecentProgress(db, userId, ownedIds);
+    return {
+      statusCode: 200,
+      headers: { ...headers, 'Cache-Control': 'private, no-store' },
+      body: JSON.stringify({ success: true, recent })
+    };
+  } catch (error) {
+    console.error('Reading progress error:', error);
+    return {
+      statusCode: error.message && error.message.includes('authentication') ? 401 : 500,
+      headers,
+      body: JSON.stringify({ success: false, error: error.message || 'Failed to sync reading progress' })
+    };
+  }
+};
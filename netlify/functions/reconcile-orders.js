@@ -0,0 +1,51 @@
+const { schedule } = require('@netlify/functions');
+const admin = require('firebase-admin');
+const Razorpay = require('razorpay');
+const { reconcileOrders, formatReport } = require('./lib/reconcile');
+const { notify } = require('./lib/telegram');
+
+// Initialize Firebase Admin
+if (!admin.apps.length) {
+  if (process.env.FIREBASE_PROJECT_ID && process.env.FIREBASE_CLIENT_EMAIL && process.env.FIREBASE_PRIVATE_KEY) {
+    admin.initializeApp({
+      credential: admin.credential.cert({
+        projectId: process.env.FIREBASE_PROJECT_ID,
+        clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+        privateKey: process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n')
+      }),
+      projectId: process.env.FIREBASE_PROJECT_ID
+    });
+  } else {
+    admin.initializeApp({ projectId: 'sayheyshubh-7051c' });
+  }
+}
+const db = admin.firestore();
+
+// Scheduled hourly: fulfils paid orders whose webhook was missed and expires the rest.
+// See lib/reconcile.js for the rules, and scripts/reconcile-orders.js to run it locally.
+exports.handler = schedule('@hourly', async (event, context) => {
+  if (!process.env.RAZORPAY_KEY_SECRET || !process.env.RAZORPAY_KEY_ID) {
+    console.error('Reconcile skipped: Razorpay not configured');
+    return { statusCode: 500, body: JSON.stringify({ success: false, error: 'Payment system not configured' }) };
+  }
+
+  const razorpay = new Razorpay({
+    key_id: process.env.RAZORPAY_KEY_ID,
+    key_secret: process.env.RAZORPAY_KEY_SECRET
+  });
+
+  try {
+    const report = await reconcileOrders({ db, admin, razorpay });
+    console.log('Reconcile report:', JSON.stringify(report));
+
+    // Only ping Telegram when something actually needed fixing
+    if (report.fulfilled.length > 0 || report.errors.length > 0) {
+      try { await notify(formatReport(report)); }
+      catch (e) { console.error('Reconcile notification failed:', e); }
+    }
+    return { statusCode: 200, body: JSON.stringify({ success: true, report }) };
+  } catch (error) {
+    console.error('Reconcile failed:', error);
+    return { statusCode: 500, body: JSON.stringify({ success: false, error: error.message }) };
+  }
+});
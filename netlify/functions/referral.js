@@ -0,0 +1,94 @@
+const admin = require('firebase-admin');
+const { getOrCreateReferralCode, attachReferral, recordDevice, getReferralStats, REFERRAL_CREDIT_PAISE } = require('./lib/referrals');
+const { getWalletBalance, getLedger } = require('./lib/wallet');
+
+// Initialize Firebase Admin
+if (!admin.apps.length) {
+  if (process.env.FIREBASE_PROJECT_ID && process.env.FIREBASE_CLIENT_EMAIL && process.env.FIREBASE_PRIVATE_KEY) {
+    admin.initializeApp({
+      credential: admin.credential.cert({
+        projectId: process.env.FIREBASE_PROJECT_ID,
+        clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+        privateKey: process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n')
+      }),
+      projectId: process.env.FIREBASE_PROJECT_ID
+    });
+  } else {
+    admin.initializeApp({ projectId: 'sayheyshubh-7051c' });
+  }
+}
+const db = admin.firestore();
+
+// Authentication helper
+async function verifyFirebaseToken(authHeader) {
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    throw new Error('Missing or invalid authorization header');
+  }
+  const idToken = authHeader.substring(7);
+  try {
+    return await admin.auth().verifyIdToken(idToken);
+  } catch (error) {
+    console.error('Token verification failed:', error);
+    throw new Error('Invalid authentication token');
+  }
+}
+
+const SITE_URL = process.env.SITE_URL || 'https://sayheyshubh.netlify.app';
+
+// GET  -> the user's referral code, share link, how many referrals are pending/credited,
+//         and their wallet balance + recent ledger (for the My purchases page).
+//         ?deviceId= is recorded for the same-device guard.
+// POST { code, deviceId } -> attaches a referral code to a newly signed-in user.
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+  };
+
+  if (event.httpMethod === 'OPTIONS') return { statusCode: 200, headers, body: '' };
+  if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+
+  try {
+    const decodedToken = await verifyFirebaseToken(event.headers.authorization);
+    const userId = decodedToken.uid;
+
+    if (event.httpMethod === 'POST') {
+      const { code, deviceId } = JSON.parse(event.body || '{}');
+      const result = await attachReferral(db, admin, { userId, code, deviceId });
+      if (!result.ok) return { statusCode: 400, headers, body: JSON.stringify({ success: false, error: result.error }) };
+      return { statusCode: 200, headers, body: JSON.stringify({ success: true }) };
+    }
+
+    const deviceId = event.queryStringParameters && event.queryStringParameters.deviceId;
+    await recordDevice(db, admin, userId, deviceId);
+
+    const code = await getOrCreateReferralCode(db, admin, userId, decodedToken.name);
+    const [stats, balance, ledger] = await Promise.all([
+      getReferralStats(db, userId),
+      getWalletBalance(db, userId),
+      getLedger(db, userId)
+    ]);
+
+    return {
+      statusCode: 200,
+      headers: { ...headers, 'Cache-Control': 'private, no-store' },
+      body: JSON.stringify({
+        success: true,
+        code,
+        shareUrl: `${SITE_URL}/notes?ref=${code}`,
+        creditPerReferral: REFERRAL_CREDIT_PAISE,
+        referrals: stats,
+        walletBalance: balance,
+        ledger
+      })
+    };
+  } catch (error) {
+    console.error('Referral error:', error);
+    return {
+      statusCode: error.message && error.message.includes('authentication') ? 401 : 500,
+      headers,
+      body: JSON.stringify({ success: false, error: error.message || 'Failed to load referral details' })
+    };
+  }
+};
@@ -1,10 +1,13 @@
 const admin = require('firebase-admin');
-const { S3Client, GetObjectCommand } = require('@aws-sdk/client-s3');
-const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
-
-const zoologyNotes = require('./data/notes-data.json');
-const microbiologyNotes = require('./data/microbiology-notes-data.json');
-const notesData = { ...zoologyNotes, ...microbiologyNotes };
+const { userOwnsNote } = require('./lib/bundles');
+const { getNote, getStorageKey, getPreviewKey, getNoteVersion, isValidStorageKey } = require('./lib/catalog');
+const { recordNoteOpened } = require('./lib/versions');
+const { getNoteProgress } = require('./lib/progress');
+const { getStorage } = require('./lib/storage');
+const { getStampedKey } = require('./lib/watermark');
+const { describeClient, recordAccess, checkForLeaks } = require('./lib/access-log');
+const { registerDevice, deviceErrorResponse } = require('./lib/devices');
+const { checkRateLimit } = require('./lib/rate-limit');
 
 if (!admin.apps.length) {
   if (process.env.FIREBASE_PROJECT_ID && process.env.FIREBASE_CLIENT_EMAIL && process.env.FIREBASE_PRIVATE_KEY) {
@@ -23,26 +26,6 @@ if (!admin.apps.length) {
 
 const db = admin.firestore();
 
-// Robustly handle the endpoint format
-const endpoint = process.env.B2_ENDPOINT.startsWith('https://')
-  ? process.env.B2_ENDPOINT
-  : `https://${process.env.B2_ENDPOINT}`;
-
-// Automatically extract the region (e.g., 'eu-central-003') from the endpoint string
-const region = process.env.B2_ENDPOINT.split('.')[1];
-
-// Initialize Backblaze B2 Client using the S3 protocol
-const s3 = new S3Client({
-  region: region,
-  endpoint: endpoint,
-  credentials: {
-    accessKeyId: process.env.B2_KEY_ID,
-    secretAccessKey: process.env.B2_APPLICATION_KEY,
-  }
-});
-
-const B2_BUCKET = 'sayheyshubh-notes';
-
 // The signed URL only needs to live long enough for pdf.js to start fetching
 // the file right when the viewer opens — it's requested fresh on every open.
 // Keeping this short (instead of the old 1 hour) means that if someone grabs
@@ -50,65 +33,131 @@ const B2_BUCKET = 'sayheyshubh-notes';
 // of minutes rather than staying valid and downloadable for the rest of the hour.
 const SIGNED_URL_EXPIRY_SECONDS = 180;
 
-// A real B2 object key never looks like a URL. This catches notes that
-// haven't been migrated/uploaded to B2 yet (including leftover placeholder
-// text like "YOUR_DRIVE_LINK_HERE") and fails cleanly instead of generating
-// a signed URL that will just 404 against the bucket.
-function isValidB2Key(value) {
-  if (!value || typeof value !== 'string') return false;
-  if (value.startsWith('http://') || value.startsWith('https://')) return false;
-  if (value.includes('YOUR_DRIVE_LINK_HERE')) return false;
-  return true;
+// B2 in production, a local directory in development (STORAGE_DRIVER, see lib/storage.js)
+function signedUrlFor(key) {
+  return getStorage().signedUrl(key, SIGNED_URL_EXPIRY_SECONDS);
+}
+
+function rateLimitedResponse(limited) {
+  return {
+    statusCode: 429,
+    headers: { 'Retry-After': String(limited.retryAfter) },
+    body: JSON.stringify({ success: false, code: 'RATE_LIMITED', error: limited.message, retryAfter: limited.retryAfter })
+  };
+}
+
+// Every successful request goes into the access log (lib/access-log.js); full-note opens
+// are then checked for signs of a shared account. Neither is worth failing the open over.
+async function logAccess(event, user, noteId, kind) {
+  try {
+    await recordAccess(db, admin, { userId: user ? user.uid : null, noteId, kind, client: describeClient(event) });
+    if (user && kind === 'full') await checkForLeaks(db, admin, user);
+  } catch (error) {
+    console.error('Access logging failed:', noteId, error);
+  }
+}
+
+// Serves the free sample (previews/<key>, see lib/catalog.js) to anyone who hasn't
+// bought the note — signed in or not.
+async function previewResponse(event, user, noteId) {
+  const previewPath = getPreviewKey(noteId);
+  if (!isValidStorageKey(previewPath)) {
+    return { statusCode: 404, body: JSON.stringify({ success: false, error: 'There\'s no free preview for this note.' }) };
+  }
+  const previewUrl = await signedUrlFor(previewPath);
+  await logAccess(event, user, noteId, 'preview');
+  return {
+    statusCode: 200,
+    body: JSON.stringify({
+      success: true,
+      preview: true,
+      previewPages: getNote(noteId).previewPages,
+      previewUrl
+    })
+  };
 }
 
+// GET /secure-notes/<noteId> returns a short-lived signed URL for the owner's watermarked
+// copy of the full PDF, 403 to everyone else. With ?preview=1, non-owners (and signed-out visitors)
+// get the free sample instead, and owners still get the full note.
 exports.handler = async (event, context) => {
   const pathParts = event.path.split('/');
   const noteId = pathParts[pathParts.length - 1];
+  const wantsPreview = !!(event.queryStringParameters && event.queryStringParameters.preview);
 
   try {
     const authHeader = event.headers.authorization;
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      if (wantsPreview) {
+        const limited = await checkRateLimit(db, { user: null, ipHash: describeClient(event).ipHash, noteId });
+        if (limited) return rateLimitedResponse(limited);
+        return await previewResponse(event, null, noteId);
+      }
       return { statusCode: 401, body: JSON.stringify({ success: false, error: 'Missing token' }) };
     }
     const idToken = authHeader.substring(7);
     const decodedToken = await admin.auth().verifyIdToken(idToken);
     const userId = decodedToken.uid;
 
-    const storagePath = notesData[noteId];
-    if (!isValidB2Key(storagePath)) {
+    // Null for unknown IDs and for units that are coming soon or still only on Drive
+    const storagePath = getStorageKey(noteId);
+    // A bad key slipping past validate-catalog fails cleanly instead of signing a URL that 404s
+    if (!isValidStorageKey(storagePath)) {
       return { statusCode: 404, body: JSON.stringify({ success: false, error: 'This note isn\'t available yet. Please check back soon.' }) };
     }
 
-    // Security check: confirm the exact purchase record exists in Firestore
-    const txSnapshot = await db.collection('transactions')
-      .where('userId', '==', userId)
-      .where('noteId', '==', noteId)
-      .where('status', '==', 'completed')
-      .where('verified', '==', true)
-      .limit(1)
-      .get();
+    // Every signed URL counts, previews included (lib/rate-limit.js)
+    const limited = await checkRateLimit(db, { user: decodedToken, ipHash: describeClient(event).ipHash, noteId });
+    if (limited) return rateLimitedResponse(limited);
 
-    if (txSnapshot.empty) {
+    // Security check: confirm the exact purchase record (or a covering bundle pass) exists
+    if (!(await userOwnsNote(db, admin, userId, noteId))) {
+      if (wantsPreview) return await previewResponse(event, decodedToken, noteId);
       return { statusCode: 403, body: JSON.stringify({ success: false, error: 'Note not purchased' }) };
     }
 
-    const command = new GetObjectCommand({
-      Bucket: B2_BUCKET,
-      Key: storagePath,
-      ResponseContentDisposition: 'inline' // Forces browser to VIEW instead of download
-    });
+    // Paid accounts are limited to DEVICE_LIMIT devices (lib/devices.js)
+    await registerDevice(db, admin, userId, event.headers['x-device-id'], event.headers['user-agent']);
 
-    const signedUrl = await getSignedUrl(s3, command, { expiresIn: SIGNED_URL_EXPIRY_SECONDS });
+    // Owners get their own stamped copy (lib/watermark.js), never the clean original
+    const version = getNoteVersion(noteId).version;
+    const stampedPath = await getStampedKey(db, admin, getStorage(), { user: decodedToken, noteId, storageKey: storagePath, version });
+    const signedUrl = await signedUrlFor(stampedPath);
+
+    // Where the viewer should reopen (lib/progress.js); a failed lookup just starts at page 1
+    let progress = null;
+    try {
+      progress = await getNoteProgress(db, userId, noteId);
+    } catch (error) {
+      console.error('Reading progress lookup failed:', userId, noteId, error);
+    }
+
+    // Clears the "Updated" badge for this note; never worth failing the open over
+    try {
+      await recordNoteOpened(db, admin, userId, noteId);
+    } catch (error) {
+      console.error('Failed to record note open:', userId, noteId, error);
+    }
+    await logAccess(event, decodedToken, noteId, 'full');
 
     return {
       statusCode: 200,
       body: JSON.stringify({
         success: true,
+        preview: false,
+        version,
+        watermarked: true,
+        progress,
         previewUrl: signedUrl
       })
     };
   } catch (error) {
+    const deviceResponse = deviceErrorResponse(error);
+    if (deviceResponse) return deviceResponse;
     console.error('secure-notes error:', error);
+    if (error.code === 'STORAGE_NOT_CONFIGURED') {
+      return { statusCode: 503, body: JSON.stringify({ success: false, error: 'Notes storage isn\'t configured on this server.' }) };
+    }
     return {
       statusCode: 500,
       body: JSON.stringify({ success: false, error: 'Something went wrong loading this note. Please try again.' })
@@ -1,7 +1,8 @@
 const admin = require('firebase-admin');
 const crypto = require('crypto');
-const { appendRow } = require('./lib/google-sheets');
 const { notify } = require('./lib/telegram');
+const { fulfilOrder, escapeHtml } = require('./lib/fulfilment');
+const { processRefund, markPaymentFailed } = require('./lib/refunds');
 
 // Initialize Firebase Admin
 if (!admin.apps.length) {
@@ -34,93 +35,18 @@ async function verifyFirebaseToken(authHeader) {
   }
 }
 
-// Unlocks every item in the cart for a user.
-async function unlockCartForUser(userId, paymentId, orderId, items, subject) {
-  const unlockedSlugs = {};
-
-  for (const item of items) {
-    // Use the clean frontend ID (e.g., 'unit-1-dsc-5') instead of trying to parse a URL
-    const noteSlug = item.noteId; 
-    const transactionRef = db.collection('transactions').doc(`${paymentId}_${noteSlug}`);
-
-    try {
-      await transactionRef.create({
-        userId: userId,
-        paymentId: paymentId,
-        orderId: orderId,
-        noteUrl: item.noteUrl,
-        noteId: item.noteId,
-        noteTitle: item.noteTitle,
-        price: item.price,
-        subject: subject || 'unknown',
-        timestamp: admin.firestore.FieldValue.serverTimestamp(),
-        status: 'completed',
-        verified: true
-      });
-      console.log('New transaction created:', paymentId, noteSlug);
-    } catch (error) {
-      if (error.code === 6) { // ALREADY_EXISTS
-        console.log('Transaction already exists, skipping:', paymentId, noteSlug);
-      } else {
-        throw error;
-      }
-    }
-    unlockedSlugs[noteSlug] = true;
-  }
-
-  // Single atomic merge write unlocking every note in the cart at once.
-  const userRef = db.collection('users').doc(userId);
-  await userRef.set({ unlockedNotes: unlockedSlugs }, { merge: true });
-  console.log('Notes unlocked for user:', userId, 'slugs:', Object.keys(unlockedSlugs));
-}
-
-// Records a tip
-async function recordTipIfAny(userId, userName, userEmail, paymentId, orderId, subject, tipAmountPaise, tipMessage) {
-  if (!tipAmountPaise && !tipMessage) return false;
-  const tipRef = db.collection('tips').doc(paymentId);
-  try {
-    await tipRef.create({
-      userId: userId,
-      userName: userName || '',
-      userEmail: userEmail || '',
-      amount: tipAmountPaise || 0,
-      message: tipMessage || '',
-      subject: subject || 'unknown',
-      orderId: orderId,
-      paymentId: paymentId,
-      timestamp: admin.firestore.FieldValue.serverTimestamp()
-    });
-    return true;
-  } catch (error) {
-    if (error.code === 6) return false;
-    throw error;
-  }
-}
-
-function escapeHtml(str) {
-  return String(str || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
-}
-
-async function logOrderExternally(orderData, paymentId, orderId) {
-  const tipAmountPaise = orderData.tipAmount || 0;
-  const tipMessage = orderData.tipMessage || '';
-  if (!tipAmountPaise && !tipMessage) return; 
-
-  const sheetId = process.env.GOOGLE_SHEET_ID;
-  const dateStr = new Date().toLocaleString('en-IN', { day: 'numeric', month: 'short', year: 'numeric', hour: 'numeric', minute: '2-digit' });
-  const buyerName = orderData.userName || 'Unknown';
-  const buyerEmail = orderData.userEmail || '';
-  const items = orderData.items || [];
-
-  if (sheetId) {
-    await appendRow(sheetId, 'Tips', [dateStr, buyerName, buyerEmail, (tipAmountPaise / 100).toFixed(2), tipMessage, paymentId, orderId]);
-  }
-
-  const unitLines = items.map(it => `- ${escapeHtml(it.noteTitle)} ₹${it.price}`).join('\n');
-  let message = `🔔 <b>New tip!</b>\n👤 ${escapeHtml(buyerName)} (${escapeHtml(buyerEmail)})\n💰 ₹${(tipAmountPaise / 100).toFixed(2)}`;
-  if (tipMessage) message += `\n💬 "${escapeHtml(tipMessage)}"`;
-  if (items.length > 0) message += `\n\n📚 Also unlocked ${items.length} unit${items.length > 1 ? 's' : ''} in ${escapeHtml(orderData.subject || 'unknown')}:\n${unitLines}`;
-  message += `\n⏰ ${dateStr}`;
+async function notifyRefund(summary) {
+  const what = summary.needsReview
+    ? '⚠️ Partial refund with no noteIds note — nothing revoked, please review manually'
+    : `🔒 Revoked ${summary.revokedNoteIds.length} unit${summary.revokedNoteIds.length === 1 ? '' : 's'}` +
+      (summary.revokedNoteIds.length > 0 ? `:\n${summary.revokedNoteIds.map(id => `- ${escapeHtml(id)}`).join('\n')}` : '');
+  let message = `↩️ <b>${summary.isFullRefund ? 'Full' : 'Partial'} refund</b>\n👤 ${escapeHtml(summary.userName || 'Unknown')} (${escapeHtml(summary.userEmail)})\n💸 ₹${(summary.amount / 100).toFixed(2)}\n${what}`;
+  if (summary.revokedBundleIds.length > 0) message += `\n📦 Bundle passes closed: ${summary.revokedBundleIds.map(escapeHtml).join(', ')}`;
+  if (summary.tipReversed) message += '\n☕ Tip reversed';
+  if (summary.giftCancelled) message += '\n🎁 Unclaimed gift cancelled';
+  if (summary.walletReturned) message += '\n👛 Wallet credit returned';
+  if (summary.referralReversed) message += '\n🔗 Referral credit reversed';
+  message += `\n🧾 ${escapeHtml(summary.paymentId)} / ${escapeHtml(summary.refundId)}`;
   await notify(message);
 }
 
@@ -156,15 +82,25 @@ exports.handler = async (event, context) => {
         const orderDoc = await db.collection('orders').doc(orderId).get();
         if (!orderDoc.exists) return { statusCode: 200, headers, body: JSON.stringify({ received: true, error: 'Order not found' }) };
 
-        const orderData = orderDoc.data();
-        await unlockCartForUser(orderData.userId, paymentId, orderId, orderData.items || [], orderData.subject);
-        const isNewTip = await recordTipIfAny(orderData.userId, orderData.userName, orderData.userEmail, paymentId, orderId, orderData.subject, orderData.tipAmount, orderData.tipMessage);
+        await fulfilOrder(db, admin, { orderId, ...orderDoc.data() }, paymentId);
+        return { statusCode: 200, headers, body: JSON.stringify({ received: true, status: 'success' }) };
+      }
 
-        if (isNewTip) {
-          try { await logOrderExternally(orderData, paymentId, orderId); } 
-          catch (e) { console.error('Logging failed:', e); }
+      if (payload.event === 'refund.created' || payload.event === 'refund.processed') {
+        const refundEntity = payload.payload.refund.entity;
+        const paymentEntity = payload.payload.payment ? payload.payload.payment.entity : null;
+        const summary = await processRefund(db, admin, { refund: refundEntity, payment: paymentEntity });
+
+        if (summary) {
+          try { await notifyRefund(summary); }
+          catch (e) { console.error('Refund notification failed:', e); }
         }
-        return { statusCode: 200, headers, body: JSON.stringify({ received: true, status: 'success' }) };
+        return { statusCode: 200, headers, body: JSON.stringify({ received: true, status: summary ? 'refunded' : 'duplicate' }) };
+      }
+
+      if (payload.event === 'payment.failed') {
+        await markPaymentFailed(db, admin, payload.payload.payment.entity);
+        return { statusCode: 200, headers, body: JSON.stringify({ received: true, status: 'failed' }) };
       }
       return { statusCode: 200, headers, body: JSON.stringify({ received: true }) };
     } catch (error) {
@@ -189,14 +125,9 @@ exports.handler = async (event, context) => {
     const orderData = orderDoc.data();
     if (orderData.userId !== authenticatedUserId) return { statusCode: 403, headers, body: JSON.stringify({ success: false, verified: true, error: 'Unauthorized' }) };
 
-    const items = orderData.items || [];
+    let unlockedNoteIds = [];
     try {
-      await unlockCartForUser(authenticatedUserId, paymentId, orderId, items, orderData.subject);
-      const isNewTip = await recordTipIfAny(authenticatedUserId, orderData.userName, orderData.userEmail, paymentId, orderId, orderData.subject, orderData.tipAmount, orderData.tipMessage);
-      if (isNewTip) {
-        try { await logOrderExternally(orderData, paymentId, orderId); } 
-        catch (e) { console.error('Logging failed:', e); }
-      }
+      unlockedNoteIds = await fulfilOrder(db, admin, { orderId, ...orderData }, paymentId);
     } catch (error) {
       return { statusCode: 500, headers, body: JSON.stringify({ success: false, verified: true, error: 'Payment verified, but fulfillment failed.' }) };
     }
@@ -207,9 +138,10 @@ exports.handler = async (event, context) => {
       body: JSON.stringify({
         success: true,
         verified: true,
-        unlockedCount: items.length,
-        unlockedNoteIds: items.map(it => it.noteId),
+        unlockedCount: unlockedNoteIds.length,
+        unlockedNoteIds: unlockedNoteIds,
         tipAmount: orderData.tipAmount || 0,
+        discountAmount: orderData.discountAmount || 0,
         message: 'Payment verified successfully'
       })
     };
@@ -75,25 +75,166 @@ document.addEventListener('DOMContentLoaded', function() {
   }
 });
 
+// Referral links (?ref=CODE): remember the code until the visitor signs in on a
+// notes page, where submitPendingReferral() in firebase-config.js attaches it.
+(function captureReferralCode() {
+  const code = new URLSearchParams(window.location.search).get('ref');
+  if (code && /^[A-Za-z0-9]{4,16}$/.test(code)) {
+    localStorage.setItem('pendingReferralCode', code.toUpperCase());
+  }
+})();
+
 // ============================================================================
 // GLOBAL IN-APP PDF VIEWER (Zoom Fixed, Watermarks, Counter + PC Security)
 // ============================================================================
 
-function openInAppViewer(pdfUrl, title) {
+// Upper bound on one page canvas (~32 MB), well under what mobile browsers allow
+const PDF_MAX_CANVAS_PIXELS = 8 * 1024 * 1024;
+
+// Width of the page thumbnails in the viewer's Pages sidebar, in CSS pixels
+const PDF_THUMB_WIDTH = 110;
+
+// Annotation colours: translucent fill for highlights, solid stroke for the pen
+const PDF_ANNOTATION_COLORS = {
+  yellow: { fill: 'rgba(250, 204, 21, 0.35)', stroke: '#ca8a04' },
+  green: { fill: 'rgba(74, 222, 128, 0.35)', stroke: '#16a34a' },
+  blue: { fill: 'rgba(96, 165, 250, 0.35)', stroke: '#2563eb' },
+  pink: { fill: 'rgba(244, 114, 182, 0.35)', stroke: '#db2777' }
+};
+
+// Display settings chosen in the viewer (fit, scrolling, reading theme). Kept per account
+// in localStorage, so each student on a shared device gets their own. Keyed by the signed-in
+// Firebase user rather than the cached localStorage userId, which can be stale or missing.
+const PDF_VIEWER_DEFAULTS = { fit: 'width', layout: 'continuous', theme: 'light' };
+
+function viewerSettingsKey() {
+  const user = typeof firebase !== 'undefined' && firebase.apps.length > 0 ? firebase.auth().currentUser : null;
+  return `viewerSettings_${user ? user.uid : 'guest'}`;
+}
+
+function loadViewerSettings() {
+  try {
+    return { ...PDF_VIEWER_DEFAULTS, ...JSON.parse(localStorage.getItem(viewerSettingsKey()) || '{}') };
+  } catch (error) {
+    return { ...PDF_VIEWER_DEFAULTS };
+  }
+}
+
+function saveViewerSettings(settings) {
+  localStorage.setItem(viewerSettingsKey(), JSON.stringify(settings));
+}
+
+// options.preview = { pages, inCart(), onAddToCart() } opens a free sample: a banner on
+// top, at most `pages` pages, and an unlock card after the last one.
+// options.startPage reopens at that page, and options.onPageChange(page, totalPages) is
+// called as the reader moves through the note (see saveReadingProgress in firebase-config.js).
+// options.annotations is a store for the reader's highlights, pen strokes, notes and
+// bookmarks (createAnnotationStore in firebase-config.js); without it the tools are hidden.
+function openInAppViewer(pdfUrl, title, options = {}) {
+  const preview = options.preview || null;
+  const annotationStore = options.annotations || null;
+  const annotationToolbar = annotationStore ? `
+        <div id="pdf-annotation-toolbar" style="display: flex; align-items: center; gap: 6px; flex-wrap: wrap;">
+          <button class="pdf-tool-btn" data-tool="highlight" title="Highlight"><i class="fas fa-highlighter"></i></button>
+          <button class="pdf-tool-btn" data-tool="ink" title="Pen"><i class="fas fa-pen"></i></button>
+          <button class="pdf-tool-btn" data-tool="note" title="Add a note"><i class="fas fa-sticky-note"></i></button>
+          ${Object.keys(PDF_ANNOTATION_COLORS).map(color => `<button class="pdf-color-btn${color === 'yellow' ? ' active' : ''}" data-color="${color}" title="${color}" style="background: ${PDF_ANNOTATION_COLORS[color].stroke};"></button>`).join('')}
+          <button id="pdf-bookmark-btn" class="pdf-tool-btn" title="Bookmark this page"><i class="far fa-bookmark"></i></button>
+          <button id="pdf-sidebar-btn" class="pdf-tool-btn" title="My annotations"><i class="fas fa-list"></i></button>
+        </div>` : '';
+  const previewButtonLabel = () => preview && preview.inCart && preview.inCart()
+    ? '<i class="fas fa-check-circle"></i> In your cart'
+    : '<i class="fas fa-cart-plus"></i> Add to cart';
+  const previewBanner = preview ? `
+      <div id="pdf-preview-banner" style="padding: 10px 25px; background: #fef3c7; color: #92400e; display: flex; justify-content: space-between; align-items: center; gap: 12px; flex-wrap: wrap; font-weight: 600; z-index: 9;">
+        <span><i class="fas fa-eye"></i> Preview — unlock to read the rest</span>
+        <button class="pdf-preview-cart-btn" style="background: #f59e0b; color: white; border: none; padding: 8px 18px; border-radius: 50px; cursor: pointer; font-weight: 700;">${previewButtonLabel()}</button>
+      </div>` : '';
+
   // 1. Create the overlay HTML with PC Security (oncontextmenu & user-select)
   const viewerHtml = `
     <div id="pdf-viewer-overlay" oncontextmenu="return false;" style="position:fixed; top:0; left:0; width:100%; height:100%; z-index:99999; background:#e2e8f0; display:flex; flex-direction:column; animation: slideUp 0.3s ease; user-select: none; -webkit-user-select: none;">
+      <style>
+        #pdf-viewer-overlay .pdf-tool-btn { width: 36px; height: 36px; border-radius: 50%; border: none; background: #1e293b; color: #cbd5e1; cursor: pointer; }
+        #pdf-viewer-overlay .pdf-tool-btn.active { background: #6366f1; color: white; }
+        #pdf-viewer-overlay .pdf-color-btn { width: 20px; height: 20px; border-radius: 50%; border: 2px solid transparent; cursor: pointer; padding: 0; }
+        #pdf-viewer-overlay .pdf-color-btn.active { border-color: white; }
+        #pdf-viewer-overlay .pdf-annotation-layer { position: absolute; inset: 0; z-index: 2; pointer-events: none; }
+        #pdf-viewer-overlay.annotating .pdf-annotation-layer { pointer-events: auto; touch-action: none; cursor: crosshair; }
+        #pdf-viewer-overlay .pdf-note-marker { position: absolute; transform: translate(-50%, -50%); width: 28px; height: 28px; border: none; border-radius: 6px; background: #fde68a; color: #92400e; box-shadow: 0 2px 6px rgba(0,0,0,0.2); cursor: pointer; pointer-events: auto; }
+        #pdf-viewer-overlay .pdf-page-bookmark { position: absolute; top: 0; right: 18px; color: #ef4444; font-size: 1.6rem; }
+        #pdf-annotation-list ul { list-style: none; margin: 0 0 15px; padding: 0; }
+        #pdf-annotation-list li { display: flex; align-items: center; gap: 10px; padding: 10px; border-radius: 10px; cursor: pointer; color: #0f172a; }
+        #pdf-annotation-list li:hover { background: #f1f5f9; }
+        #pdf-annotation-list li span { flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+        #pdf-annotation-list li button { border: none; background: none; color: #94a3b8; cursor: pointer; }
+        #pdf-viewer-overlay .pdf-search-layer { position: absolute; inset: 0; z-index: 1; pointer-events: none; }
+        #pdf-viewer-overlay .pdf-search-hit { position: absolute; background: rgba(250, 204, 21, 0.45); mix-blend-mode: multiply; border-radius: 2px; }
+        #pdf-viewer-overlay .pdf-search-hit.active { background: rgba(249, 115, 22, 0.6); box-shadow: 0 0 0 2px #f97316; }
+        #pdf-viewer-overlay .pdf-nav-tab { flex: 1; padding: 8px; border: none; border-radius: 50px; background: #f1f5f9; color: #475569; font-weight: 600; cursor: pointer; }
+        #pdf-viewer-overlay .pdf-nav-tab.active { background: #6366f1; color: white; }
+        #pdf-outline-list ul { list-style: none; margin: 0; padding: 0 0 0 14px; }
+        #pdf-outline-list > ul { padding: 0; }
+        #pdf-outline-list a { display: block; padding: 8px 10px; border-radius: 8px; color: #0f172a; cursor: pointer; text-decoration: none; }
+        #pdf-outline-list a:hover { background: #f1f5f9; }
+        #pdf-thumb-list .pdf-thumb { display: block; margin: 0 auto 12px; padding: 6px; border: 2px solid transparent; border-radius: 8px; background: none; cursor: pointer; color: #475569; font-weight: 600; }
+        #pdf-thumb-list .pdf-thumb.current { border-color: #6366f1; }
+        #pdf-thumb-list .pdf-thumb-page { width: ${PDF_THUMB_WIDTH}px; background: white; box-shadow: 0 2px 8px rgba(0,0,0,0.15); margin-bottom: 4px; overflow: hidden; }
+        #page-indicator button { border: none; background: none; color: white; cursor: pointer; padding: 0 6px; }
+        #pdf-display-menu .pdf-display-group { margin-bottom: 12px; }
+        #pdf-display-menu .pdf-display-group:last-child { margin-bottom: 0; }
+        #pdf-display-menu .pdf-display-group > span { display: block; margin-bottom: 6px; font-size: 0.85rem; font-weight: 600; color: #64748b; }
+        #pdf-display-menu .pdf-option-btn { padding: 6px 12px; margin-right: 4px; border: 1px solid #e2e8f0; border-radius: 50px; background: white; color: #0f172a; cursor: pointer; }
+        #pdf-display-menu .pdf-option-btn.active { background: #6366f1; border-color: #6366f1; color: white; }
+        #pdf-viewer-overlay.theme-sepia #pdf-render-container { background: #e9dfc7; }
+        #pdf-viewer-overlay.theme-sepia .pdf-page { background: #f4ecd8 !important; }
+        #pdf-viewer-overlay.theme-sepia .pdf-page-canvas, #pdf-viewer-overlay.theme-sepia .pdf-thumb canvas { filter: sepia(0.6) saturate(1.1) brightness(0.96); }
+        #pdf-viewer-overlay.theme-night #pdf-render-container { background: #0b1120; }
+        #pdf-viewer-overlay.theme-night .pdf-page { background: #171717 !important; }
+        #pdf-viewer-overlay.theme-night .pdf-page-canvas, #pdf-viewer-overlay.theme-night .pdf-thumb canvas { filter: invert(0.9) hue-rotate(180deg); }
+        #pdf-viewer-overlay.theme-night .pdf-search-hit, #pdf-viewer-overlay.theme-night .pdf-annotation-layer rect { mix-blend-mode: normal !important; }
+        #page-indicator input { width: 3.5em; padding: 2px 4px; border: none; border-radius: 6px; background: rgba(255,255,255,0.15); color: white; font: inherit; text-align: center; }
+      </style>
 
       <!-- Top Navigation Bar -->
-      <div style="padding: 15px 25px; background: #0f172a; color: white; display: flex; justify-content: space-between; align-items: center; box-shadow: 0 4px 10px rgba(0,0,0,0.2); z-index: 10;">
+      <div style="padding: 15px 25px; background: #0f172a; color: white; display: flex; justify-content: space-between; align-items: center; flex-wrap: wrap; gap: 10px; box-shadow: 0 4px 10px rgba(0,0,0,0.2); z-index: 10;">
         <div style="display: flex; align-items: center; gap: 15px;">
+          <button id="pdf-nav-btn" class="pdf-tool-btn" title="Contents and pages"><i class="fas fa-bars"></i></button>
           <h3 style="margin:0; font-size: 1.1rem; font-weight: 600;">${title}</h3>
         </div>
-        <button onclick="closeInAppViewer()" style="background: #ef4444; color: white; border: none; padding: 8px 20px; border-radius: 50px; cursor: pointer; font-weight: 700; transition: all 0.2s ease;">
-          <i class="fas fa-times"></i> Close
-        </button>
+${annotationToolbar}
+        <div style="display: flex; align-items: center; gap: 10px;">
+          <button id="pdf-search-btn" class="pdf-tool-btn" title="Search this note"><i class="fas fa-search"></i></button>
+          <button id="pdf-display-btn" class="pdf-tool-btn" title="Display settings"><i class="fas fa-adjust"></i></button>
+          <button onclick="closeInAppViewer()" style="background: #ef4444; color: white; border: none; padding: 8px 20px; border-radius: 50px; cursor: pointer; font-weight: 700; transition: all 0.2s ease;">
+            <i class="fas fa-times"></i> Close
+          </button>
+        </div>
       </div>
 
+      <!-- Display Settings Menu -->
+      <div id="pdf-display-menu" style="position: absolute; right: 25px; min-width: 240px; background: white; border-radius: 12px; box-shadow: 0 10px 30px rgba(0,0,0,0.25); padding: 15px; z-index: 40; display: none; text-align: left; color: #0f172a;">
+        <div class="pdf-display-group"><span>Fit</span>
+          <button class="pdf-option-btn" data-setting="fit" data-value="width">Width</button><button class="pdf-option-btn" data-setting="fit" data-value="page">Whole page</button>
+        </div>
+        <div class="pdf-display-group"><span>Scrolling</span>
+          <button class="pdf-option-btn" data-setting="layout" data-value="continuous">Continuous</button><button class="pdf-option-btn" data-setting="layout" data-value="single">One page</button>
+        </div>
+        <div class="pdf-display-group"><span>Theme</span>
+          <button class="pdf-option-btn" data-setting="theme" data-value="light">Light</button><button class="pdf-option-btn" data-setting="theme" data-value="sepia">Sepia</button><button class="pdf-option-btn" data-setting="theme" data-value="night">Night</button>
+        </div>
+      </div>
+
+      <!-- Search Bar -->
+      <div id="pdf-search-bar" style="padding: 10px 25px; background: #1e293b; display: none; align-items: center; gap: 10px; flex-wrap: wrap; z-index: 9;">
+        <input id="pdf-search-input" type="search" placeholder="Search this note" autocomplete="off" style="flex: 1; max-width: 360px; padding: 8px 14px; border-radius: 50px; border: none; font-size: 0.95rem;">
+        <span id="pdf-search-status" style="color: #cbd5e1; font-size: 0.9rem; min-width: 90px;"></span>
+        <button id="pdf-search-prev" class="pdf-tool-btn" title="Previous match"><i class="fas fa-chevron-up"></i></button>
+        <button id="pdf-search-next" class="pdf-tool-btn" title="Next match"><i class="fas fa-chevron-down"></i></button>
+        <button id="pdf-search-close" class="pdf-tool-btn" title="Close search"><i class="fas fa-times"></i></button>
+      </div>
+${previewBanner}
+
       <!-- Floating Zoom Controls (Right) -->
       <div style="position: absolute; bottom: 30px; right: 30px; display: flex; flex-direction: column; gap: 10px; z-index: 20;">
         <button id="zoom-in-btn" style="width: 50px; height: 50px; border-radius: 50%; background: #6366f1; color: white; border: none; box-shadow: 0 4px 15px rgba(0,0,0,0.3); font-size: 1.2rem; cursor: pointer;">
@@ -106,11 +247,33 @@ function openInAppViewer(pdfUrl, title) {
 
       <!-- Floating Page Indicator (Left) -->
       <div id="page-indicator" style="position: absolute; bottom: 30px; left: 30px; background: rgba(15, 23, 42, 0.9); color: white; padding: 10px 20px; border-radius: 50px; font-weight: 600; font-size: 1rem; z-index: 20; box-shadow: 0 4px 15px rgba(0,0,0,0.3); backdrop-filter: blur(4px); display: none;">
-        <i class="fas fa-file-pdf" style="margin-right: 5px; color: #cbd5e1;"></i> <span id="current-page">1</span> / <span id="total-pages">...</span>
+        <button id="pdf-prev-page" title="Previous page"><i class="fas fa-chevron-left"></i></button>
+        <i class="fas fa-file-pdf" style="margin-right: 5px; color: #cbd5e1;"></i> <input id="current-page" type="number" min="1" value="1" inputmode="numeric" title="Go to page"> / <span id="total-pages">...</span>
+        <button id="pdf-next-page" title="Next page"><i class="fas fa-chevron-right"></i></button>
+      </div>
+
+      <!-- Contents & Pages Sidebar (Left) -->
+      <div id="pdf-nav-sidebar" style="position: absolute; top: 0; left: 0; bottom: 0; width: min(280px, 85vw); background: white; box-shadow: 4px 0 20px rgba(0,0,0,0.2); z-index: 30; display: none; flex-direction: column; text-align: left;">
+        <div style="padding: 15px; display: flex; gap: 8px; align-items: center; border-bottom: 1px solid #e2e8f0;">
+          <button class="pdf-nav-tab active" data-panel="pdf-outline-list">Contents</button>
+          <button class="pdf-nav-tab" data-panel="pdf-thumb-list">Pages</button>
+          <button id="pdf-nav-close" style="border: none; background: none; font-size: 1.2rem; color: #475569; cursor: pointer;"><i class="fas fa-times"></i></button>
+        </div>
+        <div id="pdf-outline-list" style="flex: 1; overflow: auto; padding: 10px;"></div>
+        <div id="pdf-thumb-list" style="flex: 1; overflow: auto; padding: 10px; display: none;"></div>
+      </div>
+
+      <!-- Annotations Sidebar (Right) -->
+      <div id="pdf-annotation-sidebar" style="position: absolute; top: 0; right: 0; bottom: 0; width: min(320px, 85vw); background: white; box-shadow: -4px 0 20px rgba(0,0,0,0.2); z-index: 30; display: none; flex-direction: column; text-align: left;">
+        <div style="padding: 15px 20px; display: flex; justify-content: space-between; align-items: center; border-bottom: 1px solid #e2e8f0;">
+          <strong style="color: #0f172a;">My annotations</strong>
+          <button id="pdf-sidebar-close" style="border: none; background: none; font-size: 1.2rem; color: #475569; cursor: pointer;"><i class="fas fa-times"></i></button>
+        </div>
+        <div id="pdf-annotation-list" style="flex: 1; overflow: auto; padding: 10px;"></div>
       </div>
 
       <!-- PDF Rendering Container -->
-      <div id="pdf-render-container" style="flex:1; overflow:auto; padding: 15px; display:block; text-align:center; -webkit-overflow-scrolling: touch;">
+      <div id="pdf-render-container" style="flex:1; overflow:auto; padding: 15px; display:block; text-align:center; -webkit-overflow-scrolling: touch; touch-action: pan-x pan-y;">
          <div id="pdf-loading" style="margin-top: 50px; font-weight: bold; color: #475569; font-size: 1.1rem; display: inline-block;">
            <i class="fas fa-spinner fa-spin"></i> Loading High-Quality Notes...
          </div>
@@ -126,36 +289,927 @@ function openInAppViewer(pdfUrl, title) {
     if ((e.ctrlKey || e.metaKey) && ['s', 'p', 'c', 'u'].includes(e.key.toLowerCase())) {
       e.preventDefault();
     }
+    // The browser's own find can't see into the canvases, so Ctrl+F opens ours
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'f') {
+      e.preventDefault();
+      openSearch();
+    }
   };
   document.addEventListener('keydown', blockShortcuts);
+  document.addEventListener('keydown', handleViewerKeys);
 
   // Expose close function globally to clean up the keyboard listeners
   window.closeInAppViewer = function() {
     const overlay = document.getElementById('pdf-viewer-overlay');
     if (overlay) overlay.remove();
     document.removeEventListener('keydown', blockShortcuts);
+    document.removeEventListener('keydown', handleViewerKeys);
+    releaseViewer();
   };
 
+  // The page's own cart takes over from here (it may need to show the sign-in popup)
+  const bindPreviewButtons = () => {
+    document.querySelectorAll('#pdf-viewer-overlay .pdf-preview-cart-btn').forEach(btn => {
+      btn.onclick = () => {
+        window.closeInAppViewer();
+        preview.onAddToCart();
+      };
+    });
+  };
+  if (preview) bindPreviewButtons();
+
   // 2. Zoom State and Logic
+  // Every page gets a placeholder sized from its dimensions, but only pages near the
+  // viewport hold a canvas, rendered at the current zoom so text stays sharp at 2-3x.
   let currentZoom = 1;
+  let pdfDoc = null;
+  let pageSlots = [];
+  let pageObservers = [];
+  let zoomTimer = null;
+  let viewerClosed = false;
+  let currentPage = 1;
+  let reportedPage = null;
+  const viewerSettings = loadViewerSettings();
+
+  document.getElementById('zoom-in-btn').onclick = () => zoomTo(currentZoom + 0.25);
+  document.getElementById('zoom-out-btn').onclick = () => zoomTo(currentZoom - 0.25);
 
-  document.getElementById('zoom-in-btn').onclick = () => {
-    if (currentZoom < 3.0) currentZoom += 0.25;
+  // Between 0.75x and 3x; pinching lands anywhere in between
+  function zoomTo(zoom) {
+    const next = Math.min(Math.max(Math.round(zoom * 100) / 100, 0.75), 3);
+    if (next === currentZoom) return;
+    currentZoom = next;
     applyZoom();
+  }
+
+  // Placeholders resize straight away (the current bitmaps stretch for a moment); the
+  // nearby pages are re-rendered at the new zoom once the taps stop
+  function applyZoom() {
+    const container = document.getElementById('pdf-render-container');
+    const scrollRatio = container.scrollHeight ? container.scrollTop / container.scrollHeight : 0;
+    pageSlots.forEach(sizeSlot);
+    container.scrollTop = scrollRatio * container.scrollHeight;
+
+    clearTimeout(zoomTimer);
+    zoomTimer = setTimeout(() => {
+      pageSlots.forEach(slot => { if (slot.near) renderSlot(slot); });
+    }, 200);
+  }
+
+  function sizeSlot(slot) {
+    slot.wrapper.style.width = Math.floor(slot.width * currentZoom) + 'px';
+    slot.wrapper.style.height = Math.floor(slot.height * currentZoom) + 'px';
+  }
+
+  function measureSlot(slot, page) {
+    const unscaledViewport = page.getViewport({ scale: 1 });
+    slot.pageWidth = unscaledViewport.width;
+    slot.pageHeight = unscaledViewport.height;
+    slot.measured = true;
+    fitSlot(slot);
+  }
+
+  // At zoom 1 the page fills the container width (never above 1.5x) or, in fit-to-page
+  // mode, is small enough to show whole
+  function fitSlot(slot) {
+    const container = document.getElementById('pdf-render-container');
+    let scale = Math.min((container.clientWidth - 30) / slot.pageWidth, 1.5);
+    if (viewerSettings.fit === 'page') scale = Math.min(scale, (container.clientHeight - 30) / slot.pageHeight);
+    slot.baseScale = scale;
+    slot.width = slot.pageWidth * scale;
+    slot.height = slot.pageHeight * scale;
+    sizeSlot(slot);
+    drawAnnotations(slot);
+  }
+
+  // `offset` is how far down the page to land, as a fraction of its height
+  function goToPage(pageNum, offset = 0) {
+    const slot = pageSlots[pageNum - 1];
+    if (!slot) return;
+    if (viewerSettings.layout === 'single' && pageNum !== currentPage) {
+      setCurrentPage(pageNum);
+      applyLayout();
+    }
+    const container = document.getElementById('pdf-render-container');
+    container.scrollTop = slot.wrapper.offsetTop - container.offsetTop + offset * slot.wrapper.offsetHeight;
+  }
+
+  function setCurrentPage(pageNum) {
+    currentPage = pageNum;
+    const pageInput = document.getElementById('current-page');
+    if (document.activeElement !== pageInput) pageInput.value = pageNum;
+    updateBookmarkButton();
+    markCurrentThumb(pageNum);
+    if (options.onPageChange && pageNum !== reportedPage) {
+      reportedPage = pageNum;
+      options.onPageChange(pageNum, pageSlots.length);
+    }
+  }
+
+  // Renders into a fresh canvas and swaps it in when done, so a zoom change never blanks
+  // the page. A newer render or a release of the same page cancels this one.
+  async function renderSlot(slot) {
+    if (slot.zoom === currentZoom) return;
+    const zoom = currentZoom;
+    const token = ++slot.renderToken;
+    slot.zoom = zoom;
+    if (slot.renderTask) slot.renderTask.cancel();
+
+    try {
+      const page = await pdfDoc.getPage(slot.pageNum);
+      if (token !== slot.renderToken) return;
+      slot.page = page;
+      if (!slot.measured) measureSlot(slot, page);
+
+      const viewport = page.getViewport({ scale: slot.baseScale * zoom });
+      // Huge canvases crash mobile browsers: past the cap, trade some sharpness for memory
+      const outputScale = Math.min(window.devicePixelRatio || 1, Math.sqrt(PDF_MAX_CANVAS_PIXELS / (viewport.width * viewport.height)));
+
+      const canvas = document.createElement('canvas');
+      const ctx = canvas.getContext('2d');
+      canvas.width = Math.floor(viewport.width * outputScale);
+      canvas.height = Math.floor(viewport.height * outputScale);
+      canvas.classList.add('pdf-page-canvas');
+      canvas.style.display = 'block';
+      canvas.style.width = '100%';
+      canvas.style.height = '100%';
+
+      // PC & Mobile Security Properties
+      canvas.style.userSelect = 'none';
+      canvas.style.webkitUserSelect = 'none';
+      canvas.style.webkitTouchCallout = 'none';
+      canvas.oncontextmenu = () => false;
+      canvas.ondragstart = () => false; // Stops users from dragging the image to desktop
+
+      const transform = outputScale !== 1 ? [outputScale, 0, 0, outputScale, 0, 0] : null;
+      slot.renderTask = page.render({ canvasContext: ctx, transform: transform, viewport: viewport });
+      await slot.renderTask.promise;
+      if (token !== slot.renderToken) return;
+      slot.renderTask = null;
+
+      drawWatermark(ctx, canvas, outputScale * zoom);
+      if (slot.canvas) freeCanvas(slot.canvas);
+      slot.wrapper.insertBefore(canvas, slot.layer); // under the annotation layer, if any
+      slot.canvas = canvas;
+    } catch (error) {
+      if (token !== slot.renderToken) return;
+      slot.renderTask = null;
+      slot.zoom = null;
+      if (error && error.name === 'RenderingCancelledException') return;
+      console.error('Error rendering page', slot.pageNum, error);
+    }
+  }
+
+  // Zeroing the size hands the bitmap memory back now rather than at the next GC
+  function freeCanvas(canvas) {
+    canvas.width = 0;
+    canvas.height = 0;
+    canvas.remove();
+  }
+
+  function releaseSlot(slot) {
+    slot.renderToken++;
+    if (slot.renderTask) slot.renderTask.cancel();
+    slot.renderTask = null;
+    slot.zoom = null;
+    if (slot.canvas) {
+      freeCanvas(slot.canvas);
+      slot.canvas = null;
+    }
+    if (slot.page) {
+      slot.page.cleanup();
+      slot.page = null;
+    }
+  }
+
+  function releaseViewer() {
+    viewerClosed = true;
+    clearTimeout(zoomTimer);
+    clearTimeout(searchTimer);
+    pageObservers.forEach(observer => observer.disconnect());
+    pageSlots.forEach(releaseSlot);
+    if (pdfDoc) pdfDoc.destroy();
+  }
+
+  // Responsive Font Size: Checks if screen is mobile to shrink the font appropriately.
+  // `scale` is device pixels per CSS pixel at zoom 1, times the zoom.
+  function drawWatermark(ctx, canvas, scale) {
+    const userName = localStorage.getItem('userName') || 'Authorized Student';
+    const userEmail = localStorage.getItem('userEmail') || 'SayHeyShubh Viewer';
+    const watermarkText = `${userName} | ${userEmail}`;
+
+    ctx.save();
+    ctx.translate(canvas.width / 2, canvas.height / 2);
+    ctx.rotate(-Math.PI / 4);
+
+    const baseFontSize = window.innerWidth < 768 ? 14 : 26;
+    ctx.font = `bold ${Math.floor(baseFontSize * scale)}px Arial`;
+    ctx.fillStyle = "rgba(100, 116, 139, 0.20)";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+
+    // Removed the center text! Now it only stamps in the 4 quadrants.
+    ctx.fillText(watermarkText, 0, -canvas.height / 2.5);
+    ctx.fillText(watermarkText, 0, canvas.height / 2.5);
+    ctx.fillText(watermarkText, -canvas.width / 2.5, 0);
+    ctx.fillText(watermarkText, canvas.width / 2.5, 0);
+
+    ctx.restore();
+  }
+
+  // 5. Annotations (owned notes only)
+  // Highlights, pen strokes and notes are drawn on a layer above each page's canvas, as an
+  // SVG whose viewBox is the page at zoom 1 — so they scale with the placeholder and land
+  // on the same words at any zoom. Stored positions are fractions of the page.
+  let annotationItems = [];
+  let bookmarkedPages = [];
+  let activeTool = null;
+  let activeColor = 'yellow';
+  let currentStroke = null;
+
+  function escapeViewerText(str) {
+    return String(str || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+
+  function newAnnotationId() {
+    return 'a_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+  }
+
+  function annotationShape(item, slot) {
+    const colors = PDF_ANNOTATION_COLORS[item.color] || PDF_ANNOTATION_COLORS.yellow;
+    if (item.type === 'highlight') {
+      const [x, y, w, h] = item.rect;
+      return `<rect x="${x * slot.width}" y="${y * slot.height}" width="${w * slot.width}" height="${h * slot.height}" fill="${colors.fill}" style="mix-blend-mode: multiply;" />`;
+    }
+    if (item.type === 'ink') {
+      const points = item.points.map(([x, y]) => `${x * slot.width},${y * slot.height}`).join(' ');
+      return `<polyline points="${points}" fill="none" stroke="${colors.stroke}" stroke-width="${item.width || 2}" stroke-linecap="round" stroke-linejoin="round" />`;
+    }
+    return '';
+  }
+
+  function drawAnnotations(slot) {
+    if (!slot.layer) return;
+    const items = annotationItems.filter(item => item.page === slot.pageNum);
+    const notes = items.filter(item => item.type === 'note').map(item => `
+      <button class="pdf-note-marker" data-id="${item.id}" title="${escapeViewerText(item.text)}" style="left: ${item.x * 100}%; top: ${item.y * 100}%;"><i class="fas fa-sticky-note"></i></button>`).join('');
+    const bookmark = bookmarkedPages.includes(slot.pageNum) ? '<div class="pdf-page-bookmark"><i class="fas fa-bookmark"></i></div>' : '';
+
+    slot.layer.innerHTML = `<svg viewBox="0 0 ${slot.width} ${slot.height}" preserveAspectRatio="none" style="position: absolute; inset: 0; width: 100%; height: 100%;">` +
+      items.map(item => annotationShape(item, slot)).join('') +
+      '<g class="pdf-annotation-draft"></g></svg>' + notes + bookmark;
+    slot.layer.querySelectorAll('.pdf-note-marker').forEach(marker => {
+      marker.onpointerdown = (e) => e.stopPropagation();
+      marker.onclick = () => editNote(marker.dataset.id);
+    });
+  }
+
+  function attachAnnotationLayer(slot) {
+    const layer = document.createElement('div');
+    layer.className = 'pdf-annotation-layer';
+    layer.addEventListener('pointerdown', (e) => startStroke(e, slot));
+    layer.addEventListener('pointermove', (e) => extendStroke(e, slot));
+    layer.addEventListener('pointerup', () => finishStroke(slot));
+    layer.addEventListener('pointercancel', () => { currentStroke = null; drawDraft(slot); });
+    slot.wrapper.appendChild(layer);
+    slot.layer = layer;
+    drawAnnotations(slot);
+  }
+
+  function pagePoint(event, slot) {
+    const box = slot.layer.getBoundingClientRect();
+    const clamp = (value) => Math.min(Math.max(value, 0), 1);
+    return [clamp((event.clientX - box.left) / box.width), clamp((event.clientY - box.top) / box.height)];
+  }
+
+  function startStroke(event, slot) {
+    if (!activeTool) return;
+    event.preventDefault();
+    const point = pagePoint(event, slot);
+    if (activeTool === 'note') {
+      addNote(slot, point);
+      return;
+    }
+    slot.layer.setPointerCapture(event.pointerId);
+    currentStroke = { slot, tool: activeTool, points: [point] };
+  }
+
+  function extendStroke(event, slot) {
+    if (!currentStroke || currentStroke.slot !== slot) return;
+    const point = pagePoint(event, slot);
+    const last = currentStroke.points[currentStroke.points.length - 1];
+    // Points closer than 0.2% of the page add size without making the line any smoother
+    if (Math.hypot(point[0] - last[0], point[1] - last[1]) < 0.002) return;
+    currentStroke.points.push(point);
+    drawDraft(slot);
+  }
+
+  // A highlight is the box from the first point to the last; a pen stroke keeps them all
+  function strokeAnnotation(stroke) {
+    const first = stroke.points[0];
+    const last = stroke.points[stroke.points.length - 1];
+    const base = { page: stroke.slot.pageNum, color: activeColor };
+    if (stroke.tool === 'highlight') {
+      return { ...base, type: 'highlight', rect: [Math.min(first[0], last[0]), Math.min(first[1], last[1]), Math.abs(last[0] - first[0]), Math.abs(last[1] - first[1])] };
+    }
+    return { ...base, type: 'ink', width: 2, points: stroke.points };
+  }
+
+  function drawDraft(slot) {
+    const draft = slot.layer && slot.layer.querySelector('.pdf-annotation-draft');
+    if (draft) draft.innerHTML = currentStroke && currentStroke.slot === slot ? annotationShape(strokeAnnotation(currentStroke), slot) : '';
+  }
+
+  function finishStroke(slot) {
+    if (!currentStroke || currentStroke.slot !== slot) return;
+    const annotation = { id: newAnnotationId(), ...strokeAnnotation(currentStroke) };
+    currentStroke = null;
+    drawDraft(slot);
+    // Stray taps shouldn't leave specks behind
+    const tooSmall = annotation.type === 'highlight'
+      ? annotation.rect[2] < 0.01 || annotation.rect[3] < 0.005
+      : annotation.points.length < 2;
+    if (!tooSmall) storeAnnotation(annotation);
+  }
+
+  function addNote(slot, point) {
+    const text = prompt('Note for this spot:');
+    if (!text || !text.trim()) return;
+    storeAnnotation({ id: newAnnotationId(), type: 'note', page: slot.pageNum, x: point[0], y: point[1], text: text.trim().slice(0, 1000) });
+  }
+
+  function editNote(id) {
+    const item = annotationItems.find(annotation => annotation.id === id);
+    if (!item) return;
+    const text = prompt('Edit your note (clear it to delete):', item.text);
+    if (text === null) return;
+    if (!text.trim()) removeAnnotation(id);
+    else storeAnnotation({ ...item, text: text.trim().slice(0, 1000) });
+  }
+
+  function refreshAnnotations(pageNum) {
+    if (pageSlots[pageNum - 1]) drawAnnotations(pageSlots[pageNum - 1]);
+    renderAnnotationList();
+  }
+
+  // Shown straight away and saved in the background; put back if the save fails
+  function storeAnnotation(annotation) {
+    const previous = annotationItems.find(item => item.id === annotation.id);
+    annotationItems = annotationItems.filter(item => item.id !== annotation.id).concat(annotation);
+    refreshAnnotations(annotation.page);
+    annotationStore.save(annotation).catch(error => {
+      annotationItems = annotationItems.filter(item => item.id !== annotation.id).concat(previous ? [previous] : []);
+      refreshAnnotations(annotation.page);
+      alert(error.message || 'Couldn\'t save that annotation. Please try again.');
+    });
+  }
+
+  function removeAnnotation(id) {
+    const item = annotationItems.find(annotation => annotation.id === id);
+    if (!item) return;
+    annotationItems = annotationItems.filter(annotation => annotation.id !== id);
+    refreshAnnotations(item.page);
+    annotationStore.remove(id).catch(error => {
+      annotationItems = annotationItems.concat(item);
+      refreshAnnotations(item.page);
+      alert(error.message || 'Couldn\'t delete that annotation. Please try again.');
+    });
+  }
+
+  function toggleBookmark(pageNum) {
+    const bookmarked = !bookmarkedPages.includes(pageNum);
+    const apply = (on) => {
+      bookmarkedPages = on ? bookmarkedPages.concat(pageNum).sort((a, b) => a - b) : bookmarkedPages.filter(page => page !== pageNum);
+      refreshAnnotations(pageNum);
+      updateBookmarkButton();
+    };
+    apply(bookmarked);
+    annotationStore.setBookmark(pageNum, bookmarked).catch(error => {
+      apply(!bookmarked);
+      alert(error.message || 'Couldn\'t update the bookmark. Please try again.');
+    });
+  }
+
+  function updateBookmarkButton() {
+    const button = document.getElementById('pdf-bookmark-btn');
+    if (!button) return;
+    const bookmarked = bookmarkedPages.includes(currentPage);
+    button.classList.toggle('active', bookmarked);
+    button.innerHTML = `<i class="${bookmarked ? 'fas' : 'far'} fa-bookmark"></i>`;
+  }
+
+  function renderAnnotationList() {
+    const list = document.getElementById('pdf-annotation-list');
+    if (!list) return;
+    const icons = { highlight: 'fa-highlighter', ink: 'fa-pen', note: 'fa-sticky-note' };
+    const labels = { highlight: 'Highlight', ink: 'Pen drawing' };
+
+    let html = '';
+    if (bookmarkedPages.length > 0) {
+      html += '<h4 style="margin: 5px 10px; color: #475569;">Bookmarks</h4><ul>' + bookmarkedPages.map(page => `
+        <li data-page="${page}"><i class="fas fa-bookmark" style="color: #ef4444;"></i><span>Page ${page}</span><button data-unbookmark="${page}" title="Remove bookmark"><i class="fas fa-times"></i></button></li>`).join('') + '</ul>';
+    }
+    if (annotationItems.length > 0) {
+      html += '<h4 style="margin: 5px 10px; color: #475569;">Annotations</h4><ul>' + annotationItems.slice().sort((a, b) => a.page - b.page).map(item => `
+        <li data-page="${item.page}"><i class="fas ${icons[item.type]}" style="color: ${(PDF_ANNOTATION_COLORS[item.color] || PDF_ANNOTATION_COLORS.yellow).stroke};"></i><span>p. ${item.page} · ${escapeViewerText(item.type === 'note' ? item.text : labels[item.type])}</span><button data-delete="${item.id}" title="Delete"><i class="fas fa-trash"></i></button></li>`).join('') + '</ul>';
+    }
+    list.innerHTML = html || '<p style="margin: 10px; color: #64748b;">Nothing yet. Pick the highlighter, pen or note tool and mark up a page, or bookmark the page you\'re on.</p>';
+
+    list.querySelectorAll('li').forEach(li => {
+      li.onclick = () => {
+        goToPage(Number(li.dataset.page));
+        // On phones the sidebar covers the page it just jumped to
+        if (window.innerWidth < 768) document.getElementById('pdf-annotation-sidebar').style.display = 'none';
+      };
+    });
+    list.querySelectorAll('button[data-delete]').forEach(btn => {
+      btn.onclick = (e) => { e.stopPropagation(); removeAnnotation(btn.dataset.delete); };
+    });
+    list.querySelectorAll('button[data-unbookmark]').forEach(btn => {
+      btn.onclick = (e) => { e.stopPropagation(); toggleBookmark(Number(btn.dataset.unbookmark)); };
+    });
+  }
+
+  function loadAnnotations() {
+    annotationStore.load().then(data => {
+      if (viewerClosed) return;
+      annotationItems = data.annotations || [];
+      bookmarkedPages = data.bookmarks || [];
+      pageSlots.forEach(drawAnnotations);
+      renderAnnotationList();
+      updateBookmarkButton();
+    }).catch(error => console.warn('Annotations unavailable:', error.message));
+  }
+
+  if (annotationStore) {
+    const overlay = document.getElementById('pdf-viewer-overlay');
+    overlay.querySelectorAll('.pdf-tool-btn[data-tool]').forEach(btn => {
+      btn.onclick = () => {
+        activeTool = activeTool === btn.dataset.tool ? null : btn.dataset.tool;
+        overlay.classList.toggle('annotating', !!activeTool);
+        overlay.querySelectorAll('.pdf-tool-btn[data-tool]').forEach(other => other.classList.toggle('active', other.dataset.tool === activeTool));
+      };
+    });
+    overlay.querySelectorAll('.pdf-color-btn').forEach(btn => {
+      btn.onclick = () => {
+        activeColor = btn.dataset.color;
+        overlay.querySelectorAll('.pdf-color-btn').forEach(other => other.classList.toggle('active', other === btn));
+      };
+    });
+    document.getElementById('pdf-bookmark-btn').onclick = () => toggleBookmark(currentPage);
+    document.getElementById('pdf-sidebar-btn').onclick = () => {
+      const sidebar = document.getElementById('pdf-annotation-sidebar');
+      sidebar.style.display = sidebar.style.display === 'flex' ? 'none' : 'flex';
+    };
+    document.getElementById('pdf-sidebar-close').onclick = () => {
+      document.getElementById('pdf-annotation-sidebar').style.display = 'none';
+    };
+    renderAnnotationList();
+  }
+
+  // 6. Search, contents and page thumbnails
+  // Search runs over pdf.js text content but only ever puts coloured boxes on the page:
+  // no text goes into the DOM, so there is still nothing to select or copy.
+  let searchToken = 0;
+  let searchTimer = null;
+  let searchHits = [];
+  let activeHit = -1;
+  let searchDone = true;
+  const pageTexts = [];
+  let thumbObserver = null;
+  let thumbQueue = Promise.resolve();
+
+  // The page's text lowercased with whitespace runs collapsed, plus where each character
+  // came from ([item, offset]) so a match can be turned back into boxes on the page
+  function indexPageText(content, viewport) {
+    let text = '';
+    const map = [];
+    content.items.forEach((item, itemIndex) => {
+      for (let i = 0; i < (item.str || '').length; i++) {
+        const lower = item.str[i].toLowerCase();
+        const ch = /\s/.test(item.str[i]) ? ' ' : (lower.length === 1 ? lower : item.str[i]);
+        if (ch === ' ' && text.endsWith(' ')) continue;
+        text += ch;
+        map.push([itemIndex, i]);
+      }
+      if (item.hasEOL && !text.endsWith(' ')) {
+        text += ' ';
+        map.push(null);
+      }
+    });
+    return { text, map, items: content.items, viewport };
+  }
+
+  function pageText(pageNum) {
+    if (!pageTexts[pageNum]) {
+      pageTexts[pageNum] = pdfDoc.getPage(pageNum).then(page => page.getTextContent()
+        .then(content => indexPageText(content, page.getViewport({ scale: 1 }))));
+      pageTexts[pageNum].catch(() => { pageTexts[pageNum] = null; });
+    }
+    return pageTexts[pageNum];
+  }
+
+  // One [x, y, w, h] box (fractions of the page) per text item the match touches
+  function hitRects(index, start, length) {
+    const spans = [];
+    index.map.slice(start, start + length).forEach(entry => {
+      if (!entry) return;
+      const last = spans[spans.length - 1];
+      if (last && last.item === entry[0]) last.to = entry[1];
+      else spans.push({ item: entry[0], from: entry[1], to: entry[1] });
+    });
+    return spans.map(({ item: itemIndex, from, to }) => {
+      const item = index.items[itemIndex];
+      const [, , c, d, e, f] = item.transform;
+      const height = item.height || Math.hypot(c, d);
+      const charWidth = item.width / Math.max(item.str.length, 1);
+      const [x1, y1, x2, y2] = index.viewport.convertToViewportRectangle([
+        e + charWidth * from, f - height * 0.2, e + charWidth * (to + 1), f + height * 0.9
+      ]);
+      const { width, height: pageHeight } = index.viewport;
+      return [Math.min(x1, x2) / width, Math.min(y1, y2) / pageHeight, Math.abs(x2 - x1) / width, Math.abs(y2 - y1) / pageHeight];
+    });
+  }
+
+  function drawSearchHits(slot) {
+    const hits = [];
+    searchHits.forEach((hit, index) => { if (hit.page === slot.pageNum) hits.push({ hit, index }); });
+    if (!slot.searchLayer) {
+      if (hits.length === 0) return;
+      slot.searchLayer = document.createElement('div');
+      slot.searchLayer.className = 'pdf-search-layer';
+      slot.wrapper.appendChild(slot.searchLayer);
+    }
+    slot.searchLayer.innerHTML = hits.map(({ hit, index }) => hit.rects.map(([x, y, w, h]) => `
+      <div class="pdf-search-hit${index === activeHit ? ' active' : ''}" style="left: ${x * 100}%; top: ${y * 100}%; width: ${w * 100}%; height: ${h * 100}%;"></div>`).join('')).join('');
+  }
+
+  function updateSearchStatus() {
+    const status = document.getElementById('pdf-search-status');
+    if (!status) return;
+    const query = document.getElementById('pdf-search-input').value.trim();
+    if (query.length < 2) status.textContent = '';
+    else if (searchHits.length === 0) status.textContent = searchDone ? 'No matches' : 'Searching…';
+    else if (activeHit === -1) status.textContent = `${searchHits.length} found…`;
+    else status.textContent = `${activeHit + 1} / ${searchHits.length}${searchDone ? '' : '+'}`;
+  }
+
+  function showHit(index) {
+    if (searchHits.length === 0) return;
+    const previous = searchHits[activeHit];
+    activeHit = (index + searchHits.length) % searchHits.length;
+    const hit = searchHits[activeHit];
+    if (previous && previous.page !== hit.page) drawSearchHits(pageSlots[previous.page - 1]);
+    drawSearchHits(pageSlots[hit.page - 1]);
+
+    // Land with the match about a third of the way down the screen
+    const container = document.getElementById('pdf-render-container');
+    const slot = pageSlots[hit.page - 1];
+    goToPage(hit.page, hit.rects.length ? hit.rects[0][1] : 0);
+    container.scrollTop -= container.clientHeight / 3;
+    if (slot.near) renderSlot(slot);
+    updateSearchStatus();
+  }
+
+  // Pages are searched in order and matches appear as they're found; the first one from
+  // the current page onwards is shown straight away
+  async function runSearch(query) {
+    const token = ++searchToken;
+    const needle = query.trim().toLowerCase().replace(/\s+/g, ' ');
+    const touched = [...new Set(searchHits.map(hit => hit.page))];
+    searchHits = [];
+    activeHit = -1;
+    touched.forEach(pageNum => drawSearchHits(pageSlots[pageNum - 1]));
+    searchDone = needle.length < 2 || !pdfDoc;
+    updateSearchStatus();
+    if (searchDone) return;
+
+    const fromPage = currentPage;
+    try {
+      for (let pageNum = 1; pageNum <= pageSlots.length; pageNum++) {
+        const index = await pageText(pageNum);
+        if (token !== searchToken || viewerClosed) return;
+        const firstOnPage = searchHits.length;
+        for (let at = index.text.indexOf(needle); at !== -1; at = index.text.indexOf(needle, at + needle.length)) {
+          searchHits.push({ page: pageNum, rects: hitRects(index, at, needle.length) });
+        }
+        if (searchHits.length > firstOnPage) {
+          drawSearchHits(pageSlots[pageNum - 1]);
+          if (activeHit === -1 && pageNum >= fromPage) showHit(firstOnPage);
+        }
+        updateSearchStatus();
+      }
+      searchDone = true;
+      if (activeHit === -1) showHit(0);
+      updateSearchStatus();
+    } catch (error) {
+      if (token !== searchToken || viewerClosed) return;
+      console.error('Search failed:', error);
+      document.getElementById('pdf-search-status').textContent = 'Search failed';
+    }
+  }
+
+  function openSearch() {
+    const bar = document.getElementById('pdf-search-bar');
+    if (!bar) return;
+    bar.style.display = 'flex';
+    const input = document.getElementById('pdf-search-input');
+    input.focus();
+    input.select();
+  }
+
+  function closeSearch() {
+    document.getElementById('pdf-search-bar').style.display = 'none';
+    document.getElementById('pdf-search-input').value = '';
+    clearTimeout(searchTimer);
+    runSearch('');
+  }
+
+  async function outlinePage(dest) {
+    try {
+      const explicit = typeof dest === 'string' ? await pdfDoc.getDestination(dest) : dest;
+      if (!Array.isArray(explicit)) return null;
+      const ref = explicit[0];
+      return (typeof ref === 'object' && ref !== null ? await pdfDoc.getPageIndex(ref) : ref) + 1;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Built from the PDF's own bookmarks; entries past the last readable page (in a
+  // preview) are left out
+  async function loadOutline() {
+    const list = document.getElementById('pdf-outline-list');
+    const outline = await pdfDoc.getOutline().catch(() => null);
+    if (viewerClosed || !list) return;
+
+    async function build(items) {
+      const entries = await Promise.all(items.map(async item => ({
+        title: item.title,
+        page: await outlinePage(item.dest),
+        children: item.items && item.items.length ? await build(item.items) : ''
+      })));
+      const shown = entries.filter(entry => (entry.page && entry.page <= pageSlots.length) || entry.children);
+      return shown.length ? '<ul>' + shown.map(entry => `
+        <li><a${entry.page ? ` data-page="${entry.page}"` : ''}>${escapeViewerText(entry.title)}</a>${entry.children}</li>`).join('') + '</ul>' : '';
+    }
+
+    const html = outline && outline.length ? await build(outline) : '';
+    if (viewerClosed) return;
+    list.innerHTML = html || '<p style="margin: 10px; color: #64748b;">This note has no table of contents. Try Pages or search instead.</p>';
+    list.querySelectorAll('a[data-page]').forEach(link => {
+      link.onclick = () => {
+        goToPage(Number(link.dataset.page));
+        if (window.innerWidth < 768) document.getElementById('pdf-nav-sidebar').style.display = 'none';
+      };
+    });
+  }
+
+  // Thumbnails are too small to read, so they skip the watermark; they're drawn one at a
+  // time and only while near the visible part of the strip
+  function renderThumb(holder) {
+    thumbQueue = thumbQueue.then(async () => {
+      if (viewerClosed || !holder.dataset.wanted || holder.querySelector('canvas')) return;
+      const page = await pdfDoc.getPage(Number(holder.dataset.pageNumber));
+      const viewport = page.getViewport({ scale: (PDF_THUMB_WIDTH * (window.devicePixelRatio || 1)) / page.getViewport({ scale: 1 }).width });
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.floor(viewport.width);
+      canvas.height = Math.floor(viewport.height);
+      canvas.style.display = 'block';
+      canvas.style.width = '100%';
+      canvas.style.height = '100%';
+      canvas.oncontextmenu = () => false;
+      canvas.ondragstart = () => false;
+      await page.render({ canvasContext: canvas.getContext('2d'), viewport: viewport }).promise;
+      if (viewerClosed || !holder.dataset.wanted) return freeCanvas(canvas);
+      holder.appendChild(canvas);
+    }).catch(error => console.warn('Thumbnail failed:', error && error.message));
+  }
+
+  function buildThumbnails() {
+    const list = document.getElementById('pdf-thumb-list');
+    list.innerHTML = pageSlots.map(slot => `
+      <button class="pdf-thumb${slot.pageNum === currentPage ? ' current' : ''}" data-page="${slot.pageNum}">
+        <div class="pdf-thumb-page" data-page-number="${slot.pageNum}" style="height: ${Math.round(PDF_THUMB_WIDTH * slot.height / slot.width)}px;"></div>
+        ${slot.pageNum}
+      </button>`).join('');
+
+    thumbObserver = new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        const holder = entry.target;
+        holder.dataset.wanted = entry.isIntersecting ? '1' : '';
+        if (entry.isIntersecting) renderThumb(holder);
+        else if (holder.querySelector('canvas')) freeCanvas(holder.querySelector('canvas'));
+      });
+    }, { root: list, rootMargin: '200% 0px', threshold: 0 });
+    pageObservers.push(thumbObserver);
+    list.querySelectorAll('.pdf-thumb').forEach(thumb => {
+      thumbObserver.observe(thumb.querySelector('.pdf-thumb-page'));
+      thumb.onclick = () => {
+        goToPage(Number(thumb.dataset.page));
+        if (window.innerWidth < 768) document.getElementById('pdf-nav-sidebar').style.display = 'none';
+      };
+    });
+  }
+
+  function markCurrentThumb(pageNum) {
+    const list = document.getElementById('pdf-thumb-list');
+    if (!list) return;
+    list.querySelectorAll('.pdf-thumb.current').forEach(thumb => thumb.classList.remove('current'));
+    const thumb = list.querySelector(`.pdf-thumb[data-page="${pageNum}"]`);
+    if (!thumb) return;
+    thumb.classList.add('current');
+    if (list.style.display !== 'none') thumb.scrollIntoView({ block: 'nearest' });
+  }
+
+  document.getElementById('pdf-search-btn').onclick = () => {
+    if (document.getElementById('pdf-search-bar').style.display === 'flex') closeSearch();
+    else openSearch();
+  };
+  document.getElementById('pdf-search-input').oninput = (e) => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => runSearch(e.target.value), 300);
+  };
+  document.getElementById('pdf-search-input').onkeydown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      showHit(activeHit + (e.shiftKey ? -1 : 1));
+    } else if (e.key === 'Escape') {
+      closeSearch();
+    }
   };
+  document.getElementById('pdf-search-prev').onclick = () => showHit(activeHit - 1);
+  document.getElementById('pdf-search-next').onclick = () => showHit(activeHit + 1);
+  document.getElementById('pdf-search-close').onclick = closeSearch;
 
-  document.getElementById('zoom-out-btn').onclick = () => {
-    if (currentZoom > 0.75) currentZoom -= 0.25;
-    applyZoom();
+  document.getElementById('pdf-nav-btn').onclick = () => {
+    const sidebar = document.getElementById('pdf-nav-sidebar');
+    sidebar.style.display = sidebar.style.display === 'flex' ? 'none' : 'flex';
+  };
+  document.getElementById('pdf-nav-close').onclick = () => {
+    document.getElementById('pdf-nav-sidebar').style.display = 'none';
   };
+  document.querySelectorAll('#pdf-nav-sidebar .pdf-nav-tab').forEach(tab => {
+    tab.onclick = () => {
+      document.querySelectorAll('#pdf-nav-sidebar .pdf-nav-tab').forEach(other => {
+        other.classList.toggle('active', other === tab);
+        document.getElementById(other.dataset.panel).style.display = other === tab ? 'block' : 'none';
+      });
+      if (tab.dataset.panel === 'pdf-thumb-list') markCurrentThumb(currentPage);
+    };
+  });
 
-  function applyZoom() {
-    document.querySelectorAll('.pdf-page-canvas').forEach(canvas => {
-      const baseWidth = parseInt(canvas.dataset.baseWidth);
-      canvas.style.width = Math.floor(baseWidth * currentZoom) + 'px';
+  document.getElementById('current-page').onchange = (e) => {
+    const pageNum = Math.min(Math.max(parseInt(e.target.value, 10) || currentPage, 1), pageSlots.length || 1);
+    e.target.value = pageNum;
+    goToPage(pageNum);
+    e.target.blur();
+  };
+
+  // 7. Keyboard, touch and display settings
+  let pinch = null;
+  let tapStart = null;
+  let lastTap = null;
+
+  // Arrows and PgUp/PgDn move around the note, +/- zoom. Keys typed into the viewer's own
+  // boxes (search, go to page) and browser shortcuts are left alone.
+  function handleViewerKeys(e) {
+    if (e.ctrlKey || e.metaKey || e.altKey || pageSlots.length === 0) return;
+    if (e.target && e.target.closest && e.target.closest('input, textarea, select')) return;
+    const container = document.getElementById('pdf-render-container');
+    const single = viewerSettings.layout === 'single';
+    const lastPage = pageSlots.length;
+
+    switch (e.key) {
+      case 'ArrowRight': goToPage(Math.min(currentPage + 1, lastPage)); break;
+      case 'ArrowLeft': goToPage(Math.max(currentPage - 1, 1)); break;
+      case 'ArrowDown': container.scrollTop += 60; break;
+      case 'ArrowUp': container.scrollTop -= 60; break;
+      case 'PageDown':
+        if (single) goToPage(Math.min(currentPage + 1, lastPage));
+        else container.scrollTop += container.clientHeight * 0.9;
+        break;
+      case 'PageUp':
+        if (single) goToPage(Math.max(currentPage - 1, 1));
+        else container.scrollTop -= container.clientHeight * 0.9;
+        break;
+      case 'Home': goToPage(1); break;
+      case 'End': goToPage(lastPage); break;
+      case '+':
+      case '=': zoomTo(currentZoom + 0.25); break;
+      case '-':
+      case '_': zoomTo(currentZoom - 0.25); break;
+      default: return;
+    }
+    e.preventDefault();
+  }
+
+  function touchDistance(touches) {
+    return Math.hypot(touches[0].clientX - touches[1].clientX, touches[0].clientY - touches[1].clientY);
+  }
+
+  // The container's touch-action keeps the browser's own zoom out of the way; two fingers
+  // pinch-zoom the note and a double tap switches between 1x and 2x
+  const renderContainer = document.getElementById('pdf-render-container');
+  renderContainer.addEventListener('touchstart', (e) => {
+    if (e.touches.length === 2) {
+      currentStroke = null; // the first finger may have started a pen stroke
+      pinch = { distance: touchDistance(e.touches), zoom: currentZoom };
+      tapStart = null;
+      lastTap = null;
+    } else if (e.touches.length === 1 && !pinch) {
+      tapStart = { x: e.touches[0].clientX, y: e.touches[0].clientY };
+    }
+  }, { passive: true });
+  renderContainer.addEventListener('touchmove', (e) => {
+    if (tapStart && e.touches.length === 1 && Math.hypot(e.touches[0].clientX - tapStart.x, e.touches[0].clientY - tapStart.y) > 10) {
+      tapStart = null; // a scroll, not a tap
+    }
+    if (!pinch || e.touches.length !== 2) return;
+    e.preventDefault();
+    zoomTo(pinch.zoom * touchDistance(e.touches) / pinch.distance);
+  }, { passive: false });
+  renderContainer.addEventListener('touchend', (e) => {
+    if (pinch) {
+      if (e.touches.length === 0) pinch = null;
+      return;
+    }
+    if (!tapStart || e.touches.length > 0 || activeTool) return;
+    tapStart = null;
+    const touch = e.changedTouches[0];
+    const now = Date.now();
+    if (lastTap && now - lastTap.time < 300 && Math.hypot(touch.clientX - lastTap.x, touch.clientY - lastTap.y) < 30) {
+      e.preventDefault();
+      lastTap = null;
+      zoomTo(currentZoom > 1 ? 1 : 2);
+    } else {
+      lastTap = { time: now, x: touch.clientX, y: touch.clientY };
+    }
+  });
+
+  // One-page mode lays out only the current page, so the observers see just that one and
+  // the rest give their canvases back. The preview's unlock card shows after the last page.
+  function applyLayout() {
+    const single = viewerSettings.layout === 'single';
+    pageSlots.forEach(slot => {
+      slot.wrapper.style.display = single && slot.pageNum !== currentPage ? 'none' : 'block';
+    });
+    const previewEnd = document.getElementById('pdf-preview-end');
+    if (previewEnd) previewEnd.style.display = single && currentPage !== pageSlots.length ? 'none' : 'block';
+  }
+
+  // A new fit changes every page's zoom-1 size; the current page stays in view
+  function applyFit() {
+    const pageNum = currentPage;
+    currentZoom = 1;
+    pageSlots.forEach(slot => {
+      fitSlot(slot);
+      slot.zoom = null;
+    });
+    goToPage(pageNum);
+    clearTimeout(zoomTimer);
+    zoomTimer = setTimeout(() => {
+      pageSlots.forEach(slot => { if (slot.near) renderSlot(slot); });
+    }, 200);
+  }
+
+  // Reading themes are CSS filters over the page canvases; the watermark is recoloured
+  // with the page, and annotations keep their own colours
+  function applyTheme() {
+    const overlay = document.getElementById('pdf-viewer-overlay');
+    ['light', 'sepia', 'night'].forEach(theme => overlay.classList.toggle(`theme-${theme}`, viewerSettings.theme === theme));
+  }
+
+  function updateDisplayMenu() {
+    document.querySelectorAll('#pdf-display-menu .pdf-option-btn').forEach(btn => {
+      btn.classList.toggle('active', viewerSettings[btn.dataset.setting] === btn.dataset.value);
     });
   }
 
+  document.querySelectorAll('#pdf-display-menu .pdf-option-btn').forEach(btn => {
+    btn.onclick = () => {
+      const { setting, value } = btn.dataset;
+      if (viewerSettings[setting] === value) return;
+      viewerSettings[setting] = value;
+      saveViewerSettings(viewerSettings);
+      updateDisplayMenu();
+      if (setting === 'fit') applyFit();
+      else if (setting === 'layout') {
+        applyLayout();
+        goToPage(currentPage);
+      } else applyTheme();
+    };
+  });
+  document.getElementById('pdf-display-btn').onclick = (e) => {
+    const menu = document.getElementById('pdf-display-menu');
+    menu.style.top = (e.currentTarget.getBoundingClientRect().bottom + 8) + 'px';
+    menu.style.display = menu.style.display === 'block' ? 'none' : 'block';
+  };
+  document.getElementById('pdf-prev-page').onclick = () => goToPage(Math.max(currentPage - 1, 1));
+  document.getElementById('pdf-next-page').onclick = () => goToPage(Math.min(currentPage + 1, pageSlots.length));
+  applyTheme();
+  updateDisplayMenu();
+
   // 3. Dynamically load the PDF.js library
   if (typeof pdfjsLib === 'undefined') {
     const script = document.createElement('script');
@@ -166,22 +1220,24 @@ function openInAppViewer(pdfUrl, title) {
     renderPDF(pdfUrl);
   }
 
-  // 4. The actual rendering logic with Watermarks & Observers
+  // 4. The actual rendering logic with Placeholders & Observers
   function renderPDF(url) {
     pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js';
 
-    const userName = localStorage.getItem('userName') || 'Authorized Student';
-    const userEmail = localStorage.getItem('userEmail') || 'SayHeyShubh Viewer';
-    const watermarkText = `${userName} | ${userEmail}`;
-
     const loadingTask = pdfjsLib.getDocument(url);
     loadingTask.promise.then(async function(pdf) {
+      if (viewerClosed) return pdf.destroy();
+      pdfDoc = pdf;
       const container = document.getElementById('pdf-render-container');
       const loader = document.getElementById('pdf-loading');
       if (loader) loader.remove();
 
+      // A preview file should only hold the sample pages, but never show more than promised
+      const lastPage = preview && preview.pages ? Math.min(pdf.numPages, preview.pages) : pdf.numPages;
+
       // Show Page Counter
-      document.getElementById('total-pages').textContent = pdf.numPages;
+      document.getElementById('total-pages').textContent = lastPage;
+      document.getElementById('current-page').max = lastPage;
       document.getElementById('page-indicator').style.display = 'block';
 
       // Set up the Intersection Observer to track which page is on screen
@@ -192,78 +1248,75 @@ function openInAppViewer(pdfUrl, title) {
       };
       const pageObserver = new IntersectionObserver((entries) => {
         entries.forEach(entry => {
-          if (entry.isIntersecting) {
-            document.getElementById('current-page').textContent = entry.target.dataset.pageNumber;
-          }
+          if (entry.isIntersecting) setCurrentPage(Number(entry.target.dataset.pageNumber));
         });
       }, observerOptions);
 
-      for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
-        const page = await pdf.getPage(pageNum);
-
-        const containerWidth = container.clientWidth - 30; 
-        let unscaledViewport = page.getViewport({ scale: 1 });
-        let scale = containerWidth / unscaledViewport.width;
-        if (scale > 1.5) scale = 1.5; 
-
-        const viewport = page.getViewport({ scale: scale });
-        const outputScale = window.devicePixelRatio || 1;
-
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-
-        canvas.width = Math.floor(viewport.width * outputScale);
-        canvas.height = Math.floor(viewport.height * outputScale);
-
-        const baseCssWidth = Math.floor(viewport.width);
-        canvas.dataset.baseWidth = baseCssWidth;
-        canvas.dataset.pageNumber = pageNum; 
-
-        canvas.style.width = baseCssWidth + "px";
-        canvas.style.height = "auto"; 
-        canvas.classList.add('pdf-page-canvas');
-
-        const transform = outputScale !== 1 ? [outputScale, 0, 0, outputScale, 0, 0] : null;
-
-        canvas.style.display = 'block';
-        canvas.style.margin = '0 auto 20px auto';
-        canvas.style.boxShadow = '0 4px 15px rgba(0,0,0,0.1)';
-        canvas.style.borderRadius = '8px';
-        canvas.style.maxWidth = 'none'; 
-
-        // PC & Mobile Security Properties
-        canvas.style.userSelect = 'none';
-        canvas.style.webkitUserSelect = 'none';
-        canvas.style.webkitTouchCallout = 'none';
-        canvas.oncontextmenu = () => false; 
-        canvas.ondragstart = () => false; // Stops users from dragging the image to desktop
-
-        container.appendChild(canvas);
-
-        pageObserver.observe(canvas);
+      // Pages within a screen of the viewport are rendered; pages three screens away give
+      // their canvas back, so memory stays flat however long the unit is
+      const renderObserver = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+          const slot = pageSlots[entry.target.dataset.pageNumber - 1];
+          slot.near = entry.isIntersecting;
+          if (slot.near) renderSlot(slot);
+        });
+      }, { root: container, rootMargin: '100% 0px', threshold: 0 });
+      const releaseObserver = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+          if (!entry.isIntersecting) releaseSlot(pageSlots[entry.target.dataset.pageNumber - 1]);
+        });
+      }, { root: container, rootMargin: '300% 0px', threshold: 0 });
+      pageObservers = [pageObserver, renderObserver, releaseObserver];
 
-        const renderContext = { canvasContext: ctx, transform: transform, viewport: viewport };
-        await page.render(renderContext).promise;
+      // Every placeholder starts at page 1's size and is corrected as its own page loads
+      const firstPage = await pdf.getPage(1);
+      if (viewerClosed) return;
+      for (let pageNum = 1; pageNum <= lastPage; pageNum++) {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'pdf-page';
+        wrapper.dataset.pageNumber = pageNum;
+        wrapper.style.position = 'relative';
+        wrapper.style.margin = '0 auto 20px auto';
+        wrapper.style.background = 'white';
+        wrapper.style.boxShadow = '0 4px 15px rgba(0,0,0,0.1)';
+        wrapper.style.borderRadius = '8px';
+        wrapper.style.overflow = 'hidden';
+        wrapper.style.maxWidth = 'none';
+        wrapper.oncontextmenu = () => false;
+        container.appendChild(wrapper);
 
-        // Draw Watermarks
-        ctx.save();
-        ctx.translate(canvas.width / 2, canvas.height / 2);
-        ctx.rotate(-Math.PI / 4);
+        const slot = { pageNum, wrapper, near: false, zoom: null, renderToken: 0, renderTask: null, canvas: null, page: null, layer: null, searchLayer: null, measured: false };
+        measureSlot(slot, firstPage);
+        slot.measured = pageNum === 1;
+        if (annotationStore) attachAnnotationLayer(slot);
+        pageSlots.push(slot);
+      }
 
-        // Responsive Font Size: Checks if screen is mobile to shrink the font appropriately
-        const baseFontSize = window.innerWidth < 768 ? 14 : 26; 
-        ctx.font = `bold ${Math.floor(baseFontSize * outputScale)}px Arial`;
-        ctx.fillStyle = "rgba(100, 116, 139, 0.20)"; 
-        ctx.textAlign = "center";
-        ctx.textBaseline = "middle";
+      // Resume where the reader left off, before the observers pick their first pages
+      applyLayout();
+      const startPage = Math.min(Math.max(parseInt(options.startPage, 10) || 1, 1), lastPage);
+      if (startPage > 1) goToPage(startPage);
 
-        // Removed the center text! Now it only stamps in the 4 quadrants.
-        ctx.fillText(watermarkText, 0, -canvas.height / 2.5);
-        ctx.fillText(watermarkText, 0, canvas.height / 2.5);
-        ctx.fillText(watermarkText, -canvas.width / 2.5, 0);
-        ctx.fillText(watermarkText, canvas.width / 2.5, 0);
+      pageSlots.forEach(slot => {
+        pageObserver.observe(slot.wrapper);
+        renderObserver.observe(slot.wrapper);
+        releaseObserver.observe(slot.wrapper);
+      });
+      if (annotationStore) loadAnnotations();
+      buildThumbnails();
+      loadOutline();
+      const query = document.getElementById('pdf-search-input').value;
+      if (query.trim()) runSearch(query);
 
-        ctx.restore();
+      if (preview) {
+        container.insertAdjacentHTML('beforeend', `
+          <div id="pdf-preview-end" style="max-width: 480px; margin: 10px auto 40px; padding: 25px; background: white; border-radius: 12px; box-shadow: 0 4px 15px rgba(0,0,0,0.1); color: #0f172a;">
+            <h3 style="margin: 0 0 8px;">That's the end of the free preview</h3>
+            <p style="margin: 0 0 16px; color: #475569;">Unlock ${title} to read the rest.</p>
+            <button class="pdf-preview-cart-btn" style="background: #f59e0b; color: white; border: none; padding: 10px 22px; border-radius: 50px; cursor: pointer; font-weight: 700;">${previewButtonLabel()}</button>
+          </div>`);
+        bindPreviewButtons();
+        applyLayout();
       }
     }).catch(function(error) {
       console.error('Error rendering PDF:', error);
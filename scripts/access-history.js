@@ -0,0 +1,70 @@
+// Prints a user's secure-notes access history (netlify/functions/lib/access-log.js) as JSON,
+// newest first — the follow-up to a "Possible notes sharing" alert.
+//
+//   node scripts/access-history.js --user=<uid> | --email=<address> [--limit=100]
+//
+// Uses the same FIREBASE_* env vars as the functions, or the emulator when
+// FIRESTORE_EMULATOR_HOST is set.
+//
+// Report shape: { userId, email, entries, distinctIps, distinctDevices, alerts, history }
+
+const admin = require('firebase-admin');
+const { getAccessHistory } = require('../netlify/functions/lib/access-log');
+
+function parseArgs(argv) {
+  const args = {};
+  argv.forEach(arg => {
+    const match = /^--([^=]+)(?:=(.*))?$/.exec(arg);
+    if (match) args[match[1]] = match[2] === undefined ? true : match[2];
+  });
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.user && !args.email) throw new Error('Pass --user=<uid> or --email=<address>');
+
+  if (!admin.apps.length) {
+    if (process.env.FIREBASE_PROJECT_ID && process.env.FIREBASE_CLIENT_EMAIL && process.env.FIREBASE_PRIVATE_KEY) {
+      admin.initializeApp({
+        credential: admin.credential.cert({
+          projectId: process.env.FIREBASE_PROJECT_ID,
+          clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+          privateKey: process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n')
+        }),
+        projectId: process.env.FIREBASE_PROJECT_ID
+      });
+    } else {
+      admin.initializeApp({ projectId: 'sayheyshubh-7051c' });
+    }
+  }
+  const db = admin.firestore();
+
+  const userRecord = args.user ? await admin.auth().getUser(args.user) : await admin.auth().getUserByEmail(args.email);
+  const history = await getAccessHistory(db, userRecord.uid, { limit: args.limit ? Number(args.limit) : undefined });
+  const alertsSnapshot = await db.collection('accessAlerts').where('userId', '==', userRecord.uid).get();
+
+  const report = {
+    userId: userRecord.uid,
+    email: userRecord.email || null,
+    entries: history.length,
+    distinctIps: new Set(history.map(entry => entry.ipHash).filter(Boolean)).size,
+    distinctDevices: new Set(history.map(entry => entry.deviceId).filter(Boolean)).size,
+    alerts: alertsSnapshot.docs.map(doc => {
+      const alert = doc.data();
+      return { rule: alert.rule, message: alert.message, createdAt: alert.createdAt ? alert.createdAt.toDate().toISOString() : null };
+    }),
+    history
+  };
+  console.log(JSON.stringify(report, null, 2));
+  return report;
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('💥 Access history failed:', error.message);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,92 @@
+// Runs the abandoned-order reconciliation (netlify/functions/lib/reconcile.js) from the
+// command line and prints the summary report as JSON.
+//
+//   node scripts/reconcile-orders.js [--dry-run] [--stale-minutes=60] [--limit=100]
+//                                    [--fake-payments=path/to/payments.json]
+//
+// Firestore: uses the same FIREBASE_* env vars as the functions, or the emulator when
+// FIRESTORE_EMULATOR_HOST is set. Razorpay: the real API from RAZORPAY_KEY_ID /
+// RAZORPAY_KEY_SECRET, unless --fake-payments points at a JSON file mapping order IDs
+// to the payments Razorpay would return, e.g.
+//   { "order_ABC": [{ "id": "pay_123", "status": "captured", "amount": 2551 }] }
+// Orders missing from that file are treated as having no payments.
+
+const fs = require('fs');
+const path = require('path');
+const admin = require('firebase-admin');
+const Razorpay = require('razorpay');
+const { reconcileOrders } = require('../netlify/functions/lib/reconcile');
+
+function parseArgs(argv) {
+  const args = {};
+  argv.forEach(arg => {
+    const match = /^--([^=]+)(?:=(.*))?$/.exec(arg);
+    if (match) args[match[1]] = match[2] === undefined ? true : match[2];
+  });
+  return args;
+}
+
+// Mimics the one Razorpay call reconcileOrders makes.
+function createFakeRazorpay(paymentsByOrder) {
+  return {
+    orders: {
+      fetchPayments: async (orderId) => {
+        const items = paymentsByOrder[orderId] || [];
+        return { entity: 'collection', count: items.length, items };
+      }
+    }
+  };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!admin.apps.length) {
+    if (process.env.FIREBASE_PROJECT_ID && process.env.FIREBASE_CLIENT_EMAIL && process.env.FIREBASE_PRIVATE_KEY) {
+      admin.initializeApp({
+        credential: admin.credential.cert({
+          projectId: process.env.FIREBASE_PROJECT_ID,
+          clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+          privateKey: process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n')
+        }),
+        projectId: process.env.FIREBASE_PROJECT_ID
+      });
+    } else {
+      admin.initializeApp({ projectId: 'sayheyshubh-7051c' });
+    }
+  }
+
+  let razorpay;
+  if (args['fake-payments']) {
+    const fixturePath = path.resolve(args['fake-payments']);
+    razorpay = createFakeRazorpay(JSON.parse(fs.readFileSync(fixturePath, 'utf8')));
+  } else {
+    if (!process.env.RAZORPAY_KEY_ID || !process.env.RAZORPAY_KEY_SECRET) {
+      throw new Error('Set RAZORPAY_KEY_ID / RAZORPAY_KEY_SECRET, or pass --fake-payments=<file>');
+    }
+    razorpay = new Razorpay({ key_id: process.env.RAZORPAY_KEY_ID, key_secret: process.env.RAZORPAY_KEY_SECRET });
+  }
+
+  const report = await reconcileOrders({
+    db: admin.firestore(),
+    admin,
+    razorpay,
+    dryRun: !!args['dry-run'],
+    staleAfterMinutes: args['stale-minutes'] ? Number(args['stale-minutes']) : undefined,
+    limit: args.limit ? Number(args.limit) : undefined
+  });
+
+  console.log(JSON.stringify(report, null, 2));
+  return report;
+}
+
+if (require.main === module) {
+  main()
+    .then((report) => process.exit(report.errors.length > 0 ? 1 : 0))
+    .catch((error) => {
+      console.error('💥 Reconcile failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { createFakeRazorpay };
@@ -0,0 +1,60 @@
+// Gives an account the `admin` custom claim that admin-access (manual grants and revokes,
+// netlify/functions/lib/grants.js) requires, or takes it away.
+//
+//   node scripts/set-admin.js --user=<uid> | --email=<address> [--remove]
+//
+// Other custom claims on the account are kept. The change reaches the account's ID token
+// the next time it refreshes (within an hour, or straight away after signing in again).
+// Uses the same FIREBASE_* env vars as the functions.
+//
+// Report shape: { userId, email, admin }
+
+const admin = require('firebase-admin');
+
+function parseArgs(argv) {
+  const args = {};
+  argv.forEach(arg => {
+    const match = /^--([^=]+)(?:=(.*))?$/.exec(arg);
+    if (match) args[match[1]] = match[2] === undefined ? true : match[2];
+  });
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.user && !args.email) throw new Error('Pass --user=<uid> or --email=<address>');
+
+  if (!admin.apps.length) {
+    if (process.env.FIREBASE_PROJECT_ID && process.env.FIREBASE_CLIENT_EMAIL && process.env.FIREBASE_PRIVATE_KEY) {
+      admin.initializeApp({
+        credential: admin.credential.cert({
+          projectId: process.env.FIREBASE_PROJECT_ID,
+          clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+          privateKey: process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n')
+        }),
+        projectId: process.env.FIREBASE_PROJECT_ID
+      });
+    } else {
+      admin.initializeApp({ projectId: 'sayheyshubh-7051c' });
+    }
+  }
+
+  const userRecord = args.user ? await admin.auth().getUser(args.user) : await admin.auth().getUserByEmail(args.email);
+  const claims = { ...(userRecord.customClaims || {}) };
+  if (args.remove) delete claims.admin;
+  else claims.admin = true;
+  await admin.auth().setCustomUserClaims(userRecord.uid, claims);
+
+  const report = { userId: userRecord.uid, email: userRecord.email || null, admin: !args.remove };
+  console.log(JSON.stringify(report, null, 2));
+  return report;
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('💥 Set admin failed:', error.message);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,244 @@
+// Audits netlify/functions/data/catalog.json and prints the findings as JSON. Exits 1 if
+// any problem was found, so it can gate a deploy.
+//
+//   node scripts/validate-catalog.js [--storage-dir=path/to/bucket-copy] [--s3] [--bucket=name]
+//                                    [--pages-dir=.]
+//
+// Checks, per catalog entry:
+// - the entry itself: known subject, paper, status and price band; sane unit and page count;
+//   a revised note (version > 1) has an updatedAt date and a changelog
+// - storage keys: no URLs or "YOUR_..._HERE" placeholders, no key used by two notes, and
+//   `available` notes must have one while the others must not
+// - pages: every handleViewNotes('<id>', ...) call in the HTML pages names a sellable
+//   catalog note, every `.catalog-units` box (filled from get-catalog) names a known paper,
+//   and every sellable note shows up on at least one page one way or the other
+// - storage (optional): every `available` note's object, and its previews/ sample if it
+//   has previewPages, exists — either as a file under --storage-dir (a local stand-in
+//   laid out like the bucket, same as STORAGE_DRIVER=local) or, with --s3, in the B2 bucket
+//   using the same B2_* env vars as secure-notes.
+//
+// Report shape: { ok, checkedAt, notes, storage, problems: [{ noteId, check, message }] }
+
+const fs = require('fs');
+const path = require('path');
+const catalogData = require('../netlify/functions/data/catalog.json');
+const priceCatalog = require('../netlify/functions/data/price-catalog.json');
+const { STATUSES, PLACEHOLDER_PATTERN, isValidStorageKey, getPreviewKey } = require('../netlify/functions/lib/catalog');
+const { createStorage } = require('../netlify/functions/lib/storage');
+const { STAMPED_PREFIX } = require('../netlify/functions/lib/watermark');
+
+const LINK_KINDS = ['video', 'questions', 'intro'];
+const VIEW_CALL_PATTERN = /handleViewNotes\(\s*'([A-Za-z0-9-]+)'\s*,/g; // literal IDs only, not template strings
+const RESERVED_PREFIXES = ['previews/', STAMPED_PREFIX];
+const UNITS_BOX_PATTERN = /class="catalog-units" data-paper="([a-z0-9-]+)"/g;
+
+function parseArgs(argv) {
+  const args = {};
+  argv.forEach(arg => {
+    const match = /^--([^=]+)(?:=(.*))?$/.exec(arg);
+    if (match) args[match[1]] = match[2] === undefined ? true : match[2];
+  });
+  return args;
+}
+
+function checkEntries(notes, problems) {
+  const seenIds = new Set();
+  notes.forEach(note => {
+    const add = (check, message) => problems.push({ noteId: note.id || null, check, message });
+
+    if (!note.id || typeof note.id !== 'string') return add('entry', 'Missing id');
+    if (seenIds.has(note.id)) add('duplicate-id', `Note ID ${note.id} appears more than once`);
+    seenIds.add(note.id);
+
+    if (!catalogData.subjects[note.subject]) add('entry', `Unknown subject "${note.subject}"`);
+    const paper = catalogData.papers[note.paper];
+    if (!paper) {
+      add('entry', `Unknown paper "${note.paper}"`);
+    } else if (paper.subject !== note.subject || paper.semester !== note.semester) {
+      add('entry', `Subject/semester don't match paper ${note.paper} (${paper.subject}, semester ${paper.semester})`);
+    }
+    if (!Number.isInteger(note.unit) || note.unit < 1) add('entry', 'Unit must be a positive whole number');
+    if (note.throughUnit !== undefined && !(Number.isInteger(note.throughUnit) && note.throughUnit > note.unit)) {
+      add('entry', 'throughUnit must be greater than unit');
+    }
+    if (!note.title || typeof note.title !== 'string') add('entry', 'Missing title');
+    if (!STATUSES.includes(note.status)) add('entry', `Unknown status "${note.status}"`);
+    if (note.pageCount !== null && !(Number.isInteger(note.pageCount) && note.pageCount > 0)) {
+      add('entry', 'pageCount must be null or a positive whole number');
+    }
+    if (note.previewPages !== undefined) {
+      if (!(Number.isInteger(note.previewPages) && note.previewPages > 0)) {
+        add('preview', 'previewPages must be a positive whole number');
+      } else if (note.pageCount && note.previewPages >= note.pageCount) {
+        add('preview', `A ${note.previewPages}-page preview gives away the whole ${note.pageCount}-page note`);
+      } else if (note.status !== 'available') {
+        add('preview', `previewPages is set but a ${note.status} note can't serve a preview`);
+      }
+    }
+    if (note.version !== undefined && !(Number.isInteger(note.version) && note.version > 0)) {
+      add('version', 'version must be a positive whole number');
+    } else if (note.version > 1) {
+      if (!note.updatedAt || isNaN(Date.parse(note.updatedAt))) add('version', `Version ${note.version} needs an updatedAt date`);
+      if (!note.changelog || typeof note.changelog !== 'string') add('version', `Version ${note.version} needs a changelog line for buyers`);
+    }
+    if (!priceCatalog.bands[note.priceBand]) add('entry', `Unknown price band "${note.priceBand}"`);
+    if (!Array.isArray(note.links) || note.links.some(link => !LINK_KINDS.includes(link.kind) || !link.href)) {
+      add('entry', `links must be a list of { kind: ${LINK_KINDS.join('|')}, href }`);
+    }
+
+    Object.keys(note).forEach(field => {
+      if (typeof note[field] === 'string' && PLACEHOLDER_PATTERN.test(note[field])) {
+        add('placeholder', `${field} is still a placeholder: ${note[field]}`);
+      }
+    });
+
+    if (note.status === 'available') {
+      if (!isValidStorageKey(note.storageKey)) {
+        add('storage-key', `Available note needs a B2 object key, got ${JSON.stringify(note.storageKey)}`);
+      } else if (RESERVED_PREFIXES.some(prefix => note.storageKey.startsWith(prefix))) {
+        add('storage-key', `"${note.storageKey}" is under ${RESERVED_PREFIXES.join(' / ')}, which hold generated copies`);
+      }
+    } else if (note.storageKey !== null) {
+      add('storage-key', `A ${note.status} note shouldn't have a storage key — mark it available or clear the key`);
+    }
+    if (note.status === 'drive_only' && !/^https:\/\/drive\.google\.com\//.test(note.driveUrl || '')) {
+      add('drive-url', 'drive_only note needs a Google Drive link');
+    }
+  });
+}
+
+function checkDuplicateKeys(notes, problems) {
+  const byKey = new Map();
+  notes.forEach(note => {
+    if (!note.storageKey) return;
+    if (!byKey.has(note.storageKey)) byKey.set(note.storageKey, []);
+    byKey.get(note.storageKey).push(note.id);
+  });
+  byKey.forEach((noteIds, key) => {
+    if (noteIds.length < 2) return;
+    noteIds.forEach(noteId => problems.push({
+      noteId,
+      check: 'duplicate-key',
+      message: `Storage key "${key}" is shared by ${noteIds.join(', ')}`
+    }));
+  });
+}
+
+function collect(pattern, html, file, into) {
+  let match;
+  pattern.lastIndex = 0;
+  while ((match = pattern.exec(html))) {
+    if (!into[match[1]]) into[match[1]] = [];
+    if (!into[match[1]].includes(file)) into[match[1]].push(file);
+  }
+}
+
+// Returns { notes: { noteId: [pages] }, papers: { paperCode: [pages] } } — literal
+// handleViewNotes('<id>', ...) calls, and the paper boxes rendered from the catalog.
+function findPageReferences(pagesDir) {
+  const references = { notes: {}, papers: {} };
+  fs.readdirSync(pagesDir)
+    .filter(file => file.endsWith('.html'))
+    .forEach(file => {
+      const html = fs.readFileSync(path.join(pagesDir, file), 'utf8');
+      collect(VIEW_CALL_PATTERN, html, file, references.notes);
+      collect(UNITS_BOX_PATTERN, html, file, references.papers);
+    });
+  return references;
+}
+
+function checkPages(notes, pageReferences, problems) {
+  const notesById = new Map(notes.map(note => [note.id, note]));
+  const references = pageReferences.notes;
+  Object.keys(pageReferences.papers).forEach(paperCode => {
+    if (!catalogData.papers[paperCode]) {
+      problems.push({ noteId: null, check: 'page-unknown-paper', message: `${pageReferences.papers[paperCode].join(', ')} lists units for unknown paper "${paperCode}"` });
+    }
+  });
+  Object.keys(references).forEach(noteId => {
+    const note = notesById.get(noteId);
+    if (!note) {
+      problems.push({ noteId, check: 'page-unknown-note', message: `Linked from ${references[noteId].join(', ')} but not in the catalog` });
+    } else if (note.status === 'coming_soon') {
+      problems.push({ noteId, check: 'page-coming-soon', message: `Linked from ${references[noteId].join(', ')} but marked coming_soon` });
+    }
+  });
+  notes
+    .filter(note => note.status !== 'coming_soon' && !references[note.id] && !pageReferences.papers[note.paper])
+    .forEach(note => problems.push({ noteId: note.id, check: 'page-missing', message: 'Sellable note isn\'t linked from any page' }));
+}
+
+// Both stores come from lib/storage.js, so this checks exactly what secure-notes will sign
+function createDirectoryStore(dir) {
+  return createStorage('local', { dir });
+}
+
+function createS3Store(bucket) {
+  return createStorage('b2', bucket ? { bucket } : {});
+}
+
+async function checkStorage(notes, store, problems) {
+  for (const note of notes) {
+    if (note.status !== 'available' || !isValidStorageKey(note.storageKey)) continue;
+    const keys = [note.storageKey, getPreviewKey(note.id)].filter(Boolean);
+    for (const key of keys) {
+      try {
+        if (!(await store.exists(key))) {
+          problems.push({ noteId: note.id, check: 'storage-missing', message: `No object at "${key}"` });
+        }
+      } catch (error) {
+        problems.push({ noteId: note.id, check: 'storage-error', message: error.message });
+      }
+    }
+  }
+}
+
+async function validateCatalog({ pagesDir, store, storageLabel }) {
+  const notes = catalogData.notes;
+  const problems = [];
+
+  checkEntries(notes, problems);
+  checkDuplicateKeys(notes, problems);
+  checkPages(notes, findPageReferences(pagesDir), problems);
+  if (store) await checkStorage(notes, store, problems);
+
+  return {
+    ok: problems.length === 0,
+    checkedAt: new Date().toISOString(),
+    notes: notes.length,
+    storage: store ? storageLabel : 'skipped',
+    problems
+  };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const pagesDir = path.resolve(args['pages-dir'] || path.join(__dirname, '..'));
+
+  let store = null;
+  let storageLabel = 'skipped';
+  if (args['storage-dir']) {
+    const dir = path.resolve(args['storage-dir']);
+    if (!fs.existsSync(dir)) throw new Error(`No such directory: ${dir}`);
+    store = createDirectoryStore(dir);
+    storageLabel = store.name;
+  } else if (args.s3) {
+    store = createS3Store(args.bucket);
+    storageLabel = store.name;
+  }
+
+  const report = await validateCatalog({ pagesDir, store, storageLabel });
+  console.log(JSON.stringify(report, null, 2));
+  return report;
+}
+
+if (require.main === module) {
+  main()
+    .then((report) => process.exit(report.ok ? 0 : 1))
+    .catch((error) => {
+      console.error('💥 Catalog validation failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { validateCatalog, findPageReferences, createDirectoryStore };
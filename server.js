@@ -322,6 +322,23 @@ app.get('/.netlify/functions/check-purchases', async (req, res) => {
   }
 });
 
+// Local notes storage (STORAGE_DRIVER=local, see netlify/functions/lib/storage.js): serves
+// files from NOTES_STORAGE_DIR behind the short-lived HMAC-signed URLs secure-notes hands out
+const { LOCAL_ROUTE, verifyLocalUrl } = require('./netlify/functions/lib/storage');
+
+app.get(`${LOCAL_ROUTE}*`, (req, res) => {
+  const result = verifyLocalUrl({ key: req.params[0], expires: req.query.expires, sig: req.query.sig });
+  if (result.error) {
+    return res.status(result.status).json({ success: false, error: result.error });
+  }
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': 'inline', // Forces browser to VIEW instead of download
+    'Cache-Control': 'no-cache'
+  });
+  res.sendFile(result.filePath);
+});
+
 // Clean URL handling and redirects - only for non-API routes
 app.use((req, res, next) => {
   if (req.path.startsWith('/api/') || req.path.startsWith('/.netlify/') || req.path.startsWith('/secure-notes/')) {
@@ -362,8 +379,8 @@ app.use((req, res, next) => {
   res.sendFile(path.join(__dirname, 'index.html'));
 });
 
-// Secure notes data (in a real app, this would be in a database)
-const secureNotesData = require('./notes-data.json');
+// Secure notes data comes from the same catalog the Netlify functions use
+const { getNoteLocation } = require('./netlify/functions/lib/catalog');
 
 // Secure PDF viewer endpoint with session-based access control
 app.get('/secure-notes/:noteId', async (req, res) => {
@@ -374,8 +391,8 @@ app.get('/secure-notes/:noteId', async (req, res) => {
     
     const { noteId } = req.params;
     
-    // Get the actual Google Drive URL from the secure data store
-    const noteUrl = secureNotesData[noteId];
+    // Get the actual Google Drive URL from the catalog
+    const noteUrl = getNoteLocation(noteId);
     
     if (!noteUrl) {
       return res.status(404).json({ 
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeFirestore } = require('./helpers/fake-firestore');
+const { validateCoupon, reserveCoupon, redeemCoupon, releaseCoupon } = require('../netlify/functions/lib/coupons');
+const { cartSubject } = require('../netlify/functions/lib/bundles');
+const { listNotes } = require('../netlify/functions/lib/catalog');
+
+const cart = { subject: 'zoology', itemCount: 2, notesTotalPaise: 20000 };
+
+function seedCoupon(db, fields = {}) {
+  db.seed('coupons/SAVE10', { type: 'percent', value: 10, active: true, subjects: ['zoology'], ...fields });
+}
+
+test('validateCoupon checks the code against the cart', async () => {
+  const { db } = createFakeFirestore();
+  seedCoupon(db, { minItems: 3 });
+
+  assert.deepEqual(await validateCoupon(db, { code: 'nope!', userId: 'u1', ...cart }), { ok: false, error: 'That coupon code doesn\'t look right' });
+  assert.equal((await validateCoupon(db, { code: 'save10', userId: 'u1', ...cart })).error, 'Add at least 3 units to use this coupon');
+  assert.equal((await validateCoupon(db, { code: 'save10', userId: 'u1', ...cart, itemCount: 3, subject: 'botany' })).error, 'This coupon only works for zoology notes');
+
+  const result = await validateCoupon(db, { code: ' save10 ', userId: 'u1', ...cart, itemCount: 3 });
+  assert.equal(result.ok, true);
+  assert.equal(result.code, 'SAVE10');
+  assert.equal(result.discountPaise, 2000);
+});
+
+test('the cart subject comes from the catalog and mixed carts have none', () => {
+  const zoology = listNotes({ subject: 'zoology' })[0];
+  assert.equal(cartSubject([{ noteId: zoology.id }, { bundleId: 'bundle-dsc-1' }]), 'zoology');
+  assert.equal(cartSubject([{ noteId: zoology.id }, { noteId: 'not-a-note' }]), null);
+});
+
+test('only one of two racing checkouts gets the last redemption', async () => {
+  const { db, admin } = createFakeFirestore();
+  seedCoupon(db, { maxRedemptions: 1, redemptionCount: 0 });
+
+  const results = await Promise.all([
+    reserveCoupon(db, admin, { code: 'SAVE10', orderId: 'order_a', userId: 'u1', ...cart }),
+    reserveCoupon(db, admin, { code: 'SAVE10', orderId: 'order_b', userId: 'u2', ...cart })
+  ]);
+  assert.deepEqual(results.map(result => result.ok), [true, false]);
+  assert.equal(results[1].error, 'This coupon has been fully redeemed');
+  assert.equal(db.dump('coupons/SAVE10').redemptionCount, 1);
+  assert.equal(db.dump('coupons/SAVE10/redemptions/order_a').status, 'reserved');
+});
+
+test('a user can only hold one use, and gets it back when the order is released', async () => {
+  const { db, admin } = createFakeFirestore();
+  seedCoupon(db);
+
+  assert.equal((await reserveCoupon(db, admin, { code: 'SAVE10', orderId: 'order_a', userId: 'u1', ...cart })).ok, true);
+  assert.equal((await reserveCoupon(db, admin, { code: 'SAVE10', orderId: 'order_a', userId: 'u1', ...cart })).ok, true); // same order again
+  const second = await reserveCoupon(db, admin, { code: 'SAVE10', orderId: 'order_b', userId: 'u1', ...cart });
+  assert.equal(second.error, 'You\'ve already used this coupon');
+  assert.equal(db.dump('coupons/SAVE10').redemptionCount, 1);
+
+  assert.equal(await releaseCoupon(db, admin, { couponCode: 'SAVE10', orderId: 'order_a' }), true);
+  assert.equal(await releaseCoupon(db, admin, { couponCode: 'SAVE10', orderId: 'order_a' }), false);
+  assert.equal(db.dump('coupons/SAVE10').redemptionCount, 0);
+  assert.equal((await validateCoupon(db, { code: 'SAVE10', userId: 'u1', ...cart })).ok, true);
+});
+
+test('redeeming turns the reservation into a redemption once', async () => {
+  const { db, admin } = createFakeFirestore();
+  seedCoupon(db);
+  await reserveCoupon(db, admin, { code: 'SAVE10', orderId: 'order_a', userId: 'u1', ...cart });
+
+  const order = { orderId: 'order_a', userId: 'u1', couponCode: 'SAVE10', discountAmount: 2000 };
+  assert.equal(await redeemCoupon(db, admin, order, 'pay_1'), true);
+  assert.equal(await redeemCoupon(db, admin, order, 'pay_1'), false);
+  assert.equal(db.dump('coupons/SAVE10/redemptions/order_a').status, 'redeemed');
+  assert.equal(db.dump('coupons/SAVE10').redemptionCount, 1);
+});
+
+test('a payment that arrives after the reservation was released still counts', async () => {
+  const { db, admin } = createFakeFirestore();
+  seedCoupon(db);
+  await reserveCoupon(db, admin, { code: 'SAVE10', orderId: 'order_a', userId: 'u1', ...cart });
+  const order = { orderId: 'order_a', userId: 'u1', couponCode: 'SAVE10', discountAmount: 2000 };
+  await releaseCoupon(db, admin, order);
+
+  assert.equal(await redeemCoupon(db, admin, order, 'pay_1'), true);
+  assert.equal(db.dump('coupons/SAVE10/redemptions/order_a').status, 'redeemed');
+  assert.equal(db.dump('coupons/SAVE10').redemptionCount, 1);
+});
@@ -0,0 +1,336 @@
+// An in-memory stand-in for the parts of firebase-admin's Firestore the functions use:
+// documents and subcollections, where/orderBy/limit/count queries, merge writes with
+// FieldValue sentinels, batches and transactions (run one at a time, reads before
+// writes), plus the numeric error codes the code checks (5 NOT_FOUND, 6 ALREADY_EXISTS).
+//
+//   const { db, admin } = createFakeFirestore();
+//   await lib.someFunction(db, admin, ...);
+//   db.dump('orders/order_1')  -> the stored data
+
+class Timestamp {
+  constructor(millis) {
+    this.millis = millis;
+  }
+
+  static fromDate(date) { return new Timestamp(date.getTime()); }
+  static fromMillis(millis) { return new Timestamp(millis); }
+  static now() { return new Timestamp(Date.now()); }
+
+  toDate() { return new Date(this.millis); }
+  toMillis() { return this.millis; }
+  get seconds() { return Math.floor(this.millis / 1000); }
+}
+
+class Sentinel {
+  constructor(kind, value) {
+    this.kind = kind;
+    this.value = value;
+  }
+}
+
+const FieldValue = {
+  serverTimestamp: () => new Sentinel('serverTimestamp'),
+  increment: (n) => new Sentinel('increment', n),
+  delete: () => new Sentinel('delete'),
+  arrayUnion: (...values) => new Sentinel('arrayUnion', values),
+  arrayRemove: (...values) => new Sentinel('arrayRemove', values)
+};
+
+class FieldPath {
+  constructor(...segments) {
+    this.segments = segments;
+  }
+}
+
+function firestoreError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    !(value instanceof Timestamp) && !(value instanceof Sentinel);
+}
+
+function clone(value) {
+  if (Array.isArray(value)) return value.map(clone);
+  if (isPlainObject(value)) {
+    const out = {};
+    Object.keys(value).forEach(key => { out[key] = clone(value[key]); });
+    return out;
+  }
+  return value;
+}
+
+function comparable(value) {
+  return value instanceof Timestamp ? value.millis : value;
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(comparable(a)) === JSON.stringify(comparable(b));
+}
+
+// The value a sentinel leaves behind, given what was stored before
+function resolve(value, previous, now) {
+  if (value instanceof Sentinel) {
+    if (value.kind === 'serverTimestamp') return new Timestamp(now());
+    if (value.kind === 'increment') return (typeof previous === 'number' ? previous : 0) + value.value;
+    if (value.kind === 'arrayUnion') {
+      const list = Array.isArray(previous) ? previous.slice() : [];
+      value.value.forEach(item => { if (!list.some(existing => sameValue(existing, item))) list.push(item); });
+      return list;
+    }
+    if (value.kind === 'arrayRemove') {
+      return (Array.isArray(previous) ? previous : []).filter(existing => !value.value.some(item => sameValue(existing, item)));
+    }
+  }
+  if (isPlainObject(value)) {
+    const out = {};
+    Object.keys(value).forEach(key => {
+      if (value[key] instanceof Sentinel && value[key].kind === 'delete') return;
+      out[key] = resolve(value[key], undefined, now);
+    });
+    return out;
+  }
+  return clone(value);
+}
+
+function mergeInto(target, data, now) {
+  Object.keys(data).forEach(key => {
+    const value = data[key];
+    if (value instanceof Sentinel && value.kind === 'delete') delete target[key];
+    else if (isPlainObject(value) && isPlainObject(target[key])) mergeInto(target[key], value, now);
+    else target[key] = resolve(value, target[key], now);
+  });
+}
+
+function setPath(target, segments, value, now) {
+  let node = target;
+  segments.slice(0, -1).forEach(segment => {
+    if (!isPlainObject(node[segment])) node[segment] = {};
+    node = node[segment];
+  });
+  const last = segments[segments.length - 1];
+  if (value instanceof Sentinel && value.kind === 'delete') delete node[last];
+  else node[last] = resolve(value, node[last], now);
+}
+
+function getPath(data, field) {
+  const segments = field instanceof FieldPath ? field.segments : String(field).split('.');
+  return segments.reduce((node, segment) => (node && typeof node === 'object' ? node[segment] : undefined), data);
+}
+
+function matches(data, [field, op, expected]) {
+  const actual = comparable(getPath(data, field));
+  const value = Array.isArray(expected) ? expected.map(comparable) : comparable(expected);
+  switch (op) {
+    case '==': return sameValue(actual, value);
+    case '!=': return actual !== undefined && !sameValue(actual, value);
+    case '<': return actual !== undefined && actual < value;
+    case '<=': return actual !== undefined && actual <= value;
+    case '>': return actual !== undefined && actual > value;
+    case '>=': return actual !== undefined && actual >= value;
+    case 'in': return value.some(item => sameValue(actual, item));
+    case 'not-in': return actual !== undefined && !value.some(item => sameValue(actual, item));
+    case 'array-contains': return Array.isArray(actual) && actual.some(item => sameValue(item, value));
+    default: throw new Error(`Unsupported operator in fake Firestore: ${op}`);
+  }
+}
+
+function createFakeFirestore({ now = () => Date.now() } = {}) {
+  const docs = new Map(); // full path -> data
+  let lock = Promise.resolve();
+
+  function snapshot(path) {
+    const id = path.split('/').pop();
+    const exists = docs.has(path);
+    const data = exists ? clone(docs.get(path)) : undefined;
+    return {
+      id,
+      exists,
+      ref: docRef(path),
+      data: () => data,
+      get: (field) => (data ? getPath(data, field) : undefined)
+    };
+  }
+
+  const writes = {
+    create(path, data) {
+      if (docs.has(path)) throw firestoreError(6, `ALREADY_EXISTS: ${path}`);
+      docs.set(path, resolve(data, undefined, now));
+    },
+    set(path, data, options) {
+      if (options && options.merge && docs.has(path)) {
+        const target = clone(docs.get(path));
+        mergeInto(target, data, now);
+        docs.set(path, target);
+      } else {
+        const target = {};
+        mergeInto(target, data, now);
+        docs.set(path, target);
+      }
+    },
+    update(path, args) {
+      if (!docs.has(path)) throw firestoreError(5, `NOT_FOUND: ${path}`);
+      const target = clone(docs.get(path));
+      if (args.length === 1 && isPlainObject(args[0])) {
+        Object.keys(args[0]).forEach(key => setPath(target, key.split('.'), args[0][key], now));
+      } else {
+        for (let i = 0; i < args.length; i += 2) {
+          const field = args[i];
+          setPath(target, field instanceof FieldPath ? field.segments : String(field).split('.'), args[i + 1], now);
+        }
+      }
+      docs.set(path, target);
+    },
+    delete(path) {
+      docs.delete(path);
+    }
+  };
+
+  function docRef(path) {
+    return {
+      id: path.split('/').pop(),
+      path,
+      collection: (name) => collectionRef(`${path}/${name}`),
+      get: async () => snapshot(path),
+      create: async (data) => writes.create(path, data),
+      set: async (data, options) => writes.set(path, data, options),
+      update: async (...args) => writes.update(path, args),
+      delete: async () => writes.delete(path)
+    };
+  }
+
+  function query(collectionPath, filters = [], order = [], max = null) {
+    function run() {
+      const depth = collectionPath.split('/').length + 1;
+      let results = Array.from(docs.keys())
+        .filter(path => path.startsWith(collectionPath + '/') && path.split('/').length === depth)
+        .filter(path => filters.every(filter => matches(docs.get(path), filter)))
+        .map(snapshot);
+      if (order.length > 0) {
+        results.sort((a, b) => {
+          for (const [field, direction] of order) {
+            const x = comparable(getPath(a.data(), field));
+            const y = comparable(getPath(b.data(), field));
+            if (x === y) continue;
+            const result = x === undefined ? -1 : y === undefined ? 1 : (x < y ? -1 : 1);
+            return direction === 'desc' ? -result : result;
+          }
+          return 0;
+        });
+      }
+      if (max !== null) results = results.slice(0, max);
+      return { docs: results, empty: results.length === 0, size: results.length, forEach: (fn) => results.forEach(fn) };
+    }
+
+    return {
+      isQuery: true,
+      where: (field, op, value) => query(collectionPath, [...filters, [field, op, value]], order, max),
+      orderBy: (field, direction = 'asc') => query(collectionPath, filters, [...order, [field, direction]], max),
+      limit: (n) => query(collectionPath, filters, order, n),
+      count: () => ({ get: async () => { const size = run().size; return { data: () => ({ count: size }) }; } }),
+      get: async () => run(),
+      run
+    };
+  }
+
+  function collectionRef(path) {
+    let autoId = 0;
+    return {
+      ...query(path),
+      id: path.split('/').pop(),
+      doc: (id) => docRef(`${path}/${id || `auto_${Date.now().toString(36)}_${++autoId}`}`),
+      add: async (data) => {
+        const ref = docRef(`${path}/auto_${Date.now().toString(36)}_${++autoId}`);
+        writes.create(ref.path, data);
+        return ref;
+      }
+    };
+  }
+
+  // Writes are held back until the callback (or commit) finishes, like the real thing
+  function writeBuffer() {
+    const pending = [];
+    return {
+      pending,
+      create(ref, data) { pending.push(() => writes.create(ref.path, data)); return this; },
+      set(ref, data, options) { pending.push(() => writes.set(ref.path, data, options)); return this; },
+      update(ref, ...args) { pending.push(() => writes.update(ref.path, args)); return this; },
+      delete(ref) { pending.push(() => writes.delete(ref.path)); return this; }
+    };
+  }
+
+  const db = {
+    collection: (path) => collectionRef(path),
+    doc: (path) => docRef(path),
+    batch() {
+      const buffer = writeBuffer();
+      return {
+        ...buffer,
+        commit: async () => {
+          // All or nothing: apply to a copy first so a failing write leaves no trace
+          const before = new Map(Array.from(docs.entries(), ([key, value]) => [key, clone(value)]));
+          try {
+            buffer.pending.forEach(write => write());
+          } catch (error) {
+            docs.clear();
+            before.forEach((value, key) => docs.set(key, value));
+            throw error;
+          }
+        }
+      };
+    },
+    async getAll(...refs) {
+      return refs.map(ref => snapshot(ref.path));
+    },
+    runTransaction(fn) {
+      const run = lock.then(async () => {
+        const buffer = writeBuffer();
+        const tx = {
+          async get(target) {
+            if (buffer.pending.length > 0) throw new Error('Firestore transactions require all reads to be executed before all writes');
+            return target.isQuery ? target.run() : snapshot(target.path);
+          },
+          async getAll(...refs) {
+            if (buffer.pending.length > 0) throw new Error('Firestore transactions require all reads to be executed before all writes');
+            return refs.map(ref => snapshot(ref.path));
+          },
+          create: buffer.create.bind(buffer),
+          set: buffer.set.bind(buffer),
+          update: buffer.update.bind(buffer),
+          delete: buffer.delete.bind(buffer)
+        };
+        const result = await fn(tx);
+        const before = new Map(Array.from(docs.entries(), ([key, value]) => [key, clone(value)]));
+        try {
+          buffer.pending.forEach(write => write());
+        } catch (error) {
+          docs.clear();
+          before.forEach((value, key) => docs.set(key, value));
+          throw error;
+        }
+        return result;
+      });
+      lock = run.catch(() => {});
+      return run;
+    },
+
+    // Test helpers
+    seed(path, data) {
+      docs.set(path, resolve(data, undefined, now));
+    },
+    dump(path) {
+      return docs.has(path) ? clone(docs.get(path)) : undefined;
+    },
+    paths(prefix = '') {
+      return Array.from(docs.keys()).filter(path => path.startsWith(prefix)).sort();
+    }
+  };
+
+  const admin = { firestore: { FieldValue, FieldPath, Timestamp } };
+  return { db, admin, Timestamp };
+}
+
+module.exports = { createFakeFirestore, Timestamp };
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PDFDocument, StandardFonts } = require('pdf-lib');
+const { buildReceipt, renderReceiptPdf } = require('../netlify/functions/lib/invoices');
+const { drawableText, PAGE_WIDTH, PAGE_HEIGHT } = require('../netlify/functions/lib/pdf');
+
+const order = {
+  orderId: 'order_1',
+  paymentId: 'pay_1',
+  userName: 'Ānanya शर्मा',
+  userEmail: 'ananya@example.com',
+  items: [
+    { noteId: 'unit-1-dsc-1', noteTitle: 'Unit 1 – Cell Biology', price: 49 },
+    { bundleId: 'bundle-dsc-2', noteTitle: 'All of DSC-2', price: 99 }
+  ],
+  couponCode: 'SAVE10',
+  discountAmount: 1000,
+  amount: 14100,
+  platformFee: 300
+};
+const invoice = { invoiceNumber: 'SHS/2026-27/00001', issuedAt: new Date('2026-10-19T06:30:00Z') };
+
+test('the receipt PDF is a single A4 page that pdf-lib can load back', async () => {
+  const pdf = await renderReceiptPdf(buildReceipt(order, invoice));
+  assert.ok(Buffer.isBuffer(pdf));
+
+  const loaded = await PDFDocument.load(pdf);
+  assert.equal(loaded.getPageCount(), 1);
+  assert.deepEqual(loaded.getPage(0).getSize(), { width: PAGE_WIDTH, height: PAGE_HEIGHT });
+});
+
+test('characters the built-in fonts cannot draw are substituted, the rest are kept', async () => {
+  const doc = await PDFDocument.create();
+  const font = await doc.embedFont(StandardFonts.Helvetica);
+  assert.equal(drawableText(font, '₹49 – Ānanya café €5'), 'Rs.49 – ?nanya café €5');
+  assert.equal(drawableText(font, undefined), '');
+});
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeFirestore } = require('./helpers/fake-firestore');
+const { saveProgress, getNoteProgress } = require('../netlify/functions/lib/progress');
+
+test('two devices saving at once keep the furthest page either reached', async () => {
+  const { db, admin } = createFakeFirestore();
+  db.seed('users/user_1', { readingProgress: { 'unit-1': { page: 5, totalPages: 50, furthestPage: 5, percent: 10 } } });
+
+  await Promise.all([
+    saveProgress(db, admin, 'user_1', 'unit-1', { page: 40, totalPages: 50 }), // laptop, read ahead
+    saveProgress(db, admin, 'user_1', 'unit-1', { page: 8, totalPages: 50 }) // phone, a stale position
+  ]);
+
+  const stored = db.dump('users/user_1').readingProgress['unit-1'];
+  assert.equal(stored.page, 8);
+  assert.equal(stored.furthestPage, 40);
+  assert.equal(stored.percent, 80);
+  assert.equal((await getNoteProgress(db, 'user_1', 'unit-1')).percent, 80);
+});
+
+test('a note with a new page count starts its furthest mark over', async () => {
+  const { db, admin } = createFakeFirestore();
+  db.seed('users/user_1', { readingProgress: { 'unit-1': { page: 40, totalPages: 50, furthestPage: 40, percent: 80 } } });
+
+  const entry = await saveProgress(db, admin, 'user_1', 'unit-1', { page: 3, totalPages: 60 });
+  assert.deepEqual(entry, { page: 3, totalPages: 60, furthestPage: 3, percent: 5 });
+});
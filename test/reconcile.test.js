@@ -0,0 +1,150 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeFirestore, Timestamp } = require('./helpers/fake-firestore');
+const { reconcileOrders } = require('../netlify/functions/lib/reconcile');
+const { fulfilOrder } = require('../netlify/functions/lib/fulfilment');
+const { debitForOrder } = require('../netlify/functions/lib/wallet');
+const { reserveCoupon } = require('../netlify/functions/lib/coupons');
+
+delete process.env.TELEGRAM_BOT_TOKEN;
+delete process.env.GOOGLE_SHEET_ID;
+
+const now = new Date('2026-03-01T12:00:00Z');
+const twoHoursAgo = Timestamp.fromDate(new Date(now.getTime() - 2 * 60 * 60 * 1000));
+
+// Razorpay's orders.fetchPayments, answering from a { orderId: [payments] } map
+function fakeRazorpay(paymentsByOrder) {
+  return { orders: { fetchPayments: async (orderId) => ({ items: paymentsByOrder[orderId] || [] }) } };
+}
+
+function seedOrder(db, orderId, fields = {}) {
+  db.seed(`orders/${orderId}`, {
+    orderId,
+    userId: 'user_1',
+    items: [{ noteId: 'unit-1-dsc-1', noteUrl: 'notes/unit-1-dsc-1.pdf', noteTitle: 'Unit 1', price: 49 }],
+    subject: 'zoology',
+    amount: 5000,
+    status: 'created',
+    createdAt: twoHoursAgo,
+    ...fields
+  });
+}
+
+test('stale orders are fulfilled, left for the next run or expired by what Razorpay reports', async () => {
+  const { db, admin } = createFakeFirestore();
+  seedOrder(db, 'order_paid');
+  seedOrder(db, 'order_authorized');
+  seedOrder(db, 'order_abandoned');
+  seedOrder(db, 'order_fresh', { createdAt: Timestamp.fromDate(new Date(now.getTime() - 5 * 60 * 1000)) });
+
+  const razorpay = fakeRazorpay({
+    order_paid: [{ id: 'pay_1', status: 'captured', amount: 5000 }],
+    order_authorized: [{ id: 'pay_2', status: 'authorized' }],
+    order_abandoned: [{ id: 'pay_3', status: 'failed' }]
+  });
+  const report = await reconcileOrders({ db, admin, razorpay, now });
+
+  assert.equal(report.scanned, 3);
+  assert.deepEqual(report.fulfilled.map(entry => entry.orderId), ['order_paid']);
+  assert.deepEqual(report.pending.map(entry => entry.orderId), ['order_authorized']);
+  assert.deepEqual(report.expired.map(entry => entry.orderId), ['order_abandoned']);
+  assert.deepEqual(report.errors, []);
+
+  assert.equal(db.dump('orders/order_paid').status, 'paid');
+  assert.equal(db.dump('transactions/pay_1_unit-1-dsc-1').status, 'completed');
+  assert.equal(db.dump('orders/order_authorized').status, 'created');
+  assert.equal(db.dump('orders/order_abandoned').status, 'expired');
+  assert.equal(db.dump('orders/order_fresh').status, 'created');
+});
+
+test('a dry run reports without writing', async () => {
+  const { db, admin } = createFakeFirestore();
+  seedOrder(db, 'order_paid');
+  seedOrder(db, 'order_abandoned');
+
+  const razorpay = fakeRazorpay({ order_paid: [{ id: 'pay_1', status: 'captured', amount: 5000 }] });
+  const report = await reconcileOrders({ db, admin, razorpay, now, dryRun: true });
+
+  assert.equal(report.fulfilled.length, 1);
+  assert.equal(report.expired.length, 1);
+  assert.equal(db.dump('orders/order_paid').status, 'created');
+  assert.equal(db.dump('orders/order_abandoned').status, 'created');
+  assert.equal(db.dump('transactions/pay_1_unit-1-dsc-1'), undefined);
+});
+
+test('expiring an order gives back its wallet credit and coupon', async () => {
+  const { db, admin } = createFakeFirestore();
+  seedOrder(db, 'order_1', { walletAmount: 1000, couponCode: 'SAVE10', discountAmount: 500 });
+  db.seed('wallets/user_1', { userId: 'user_1', balance: 1000 });
+  db.seed('coupons/SAVE10', { type: 'flat', value: 5, maxRedemptions: 1 });
+  await debitForOrder(db, admin, 'user_1', 'order_1', 1000);
+  await reserveCoupon(db, admin, { code: 'SAVE10', orderId: 'order_1', userId: 'user_1', subject: 'zoology', itemCount: 1, notesTotalPaise: 4900 });
+
+  await reconcileOrders({ db, admin, razorpay: fakeRazorpay({}), now });
+  await reconcileOrders({ db, admin, razorpay: fakeRazorpay({}), now }); // nothing left to do
+
+  assert.equal(db.dump('orders/order_1').status, 'expired');
+  assert.equal(db.dump('wallets/user_1').balance, 1000);
+  assert.equal(db.dump('coupons/SAVE10').redemptionCount, 0);
+  assert.equal(db.dump('coupons/SAVE10/redemptions/order_1').status, 'released');
+});
+
+test('an order the webhook fulfils while reconcile is looking is not expired', async () => {
+  const { db, admin } = createFakeFirestore();
+  seedOrder(db, 'order_1', { walletAmount: 1000, couponCode: 'SAVE10', discountAmount: 500 });
+  db.seed('wallets/user_1', { userId: 'user_1', balance: 1000 });
+  db.seed('coupons/SAVE10', { type: 'flat', value: 5 });
+  await debitForOrder(db, admin, 'user_1', 'order_1', 1000);
+  await reserveCoupon(db, admin, { code: 'SAVE10', orderId: 'order_1', userId: 'user_1', subject: 'zoology', itemCount: 1, notesTotalPaise: 4900 });
+
+  // Razorpay's answer predates the capture, which the webhook fulfils before reconcile writes
+  const razorpay = {
+    orders: {
+      fetchPayments: async (orderId) => {
+        await fulfilOrder(db, admin, { orderId, ...db.dump(`orders/${orderId}`) }, 'pay_1');
+        return { items: [] };
+      }
+    }
+  };
+  const report = await reconcileOrders({ db, admin, razorpay, now });
+
+  assert.deepEqual(report.expired, []);
+  assert.equal(db.dump('orders/order_1').status, 'paid');
+  assert.equal(db.dump('wallets/user_1').balance, 0);
+  assert.equal(db.dump('walletLedger/return_order_1'), undefined);
+  assert.equal(db.dump('coupons/SAVE10/redemptions/order_1').status, 'redeemed');
+  assert.equal(db.dump('coupons/SAVE10').redemptionCount, 1);
+});
+
+test('a payment captured after expiry takes the wallet credit again and marks the order paid', async () => {
+  const { db, admin } = createFakeFirestore();
+  seedOrder(db, 'order_1', { walletAmount: 1000 });
+  db.seed('wallets/user_1', { userId: 'user_1', balance: 1000 });
+  await debitForOrder(db, admin, 'user_1', 'order_1', 1000);
+  await reconcileOrders({ db, admin, razorpay: fakeRazorpay({}), now });
+  assert.equal(db.dump('wallets/user_1').balance, 1000);
+
+  const order = { orderId: 'order_1', ...db.dump('orders/order_1') };
+  await fulfilOrder(db, admin, order, 'pay_late');
+  await fulfilOrder(db, admin, order, 'pay_late'); // webhook and frontend both see it
+
+  const stored = db.dump('orders/order_1');
+  assert.equal(stored.status, 'paid');
+  assert.equal(stored.paidAfter, 'expired');
+  assert.equal(stored.needsReview, undefined);
+  assert.equal(db.dump('wallets/user_1').balance, 0);
+  assert.equal(db.dump('transactions/pay_late_unit-1-dsc-1').status, 'completed');
+});
+
+test('a late payment whose credit has been spent is flagged for review', async () => {
+  const { db, admin } = createFakeFirestore();
+  seedOrder(db, 'order_1', { walletAmount: 1000, status: 'expired' });
+  db.seed('wallets/user_1', { userId: 'user_1', balance: 300 });
+
+  await fulfilOrder(db, admin, { orderId: 'order_1', ...db.dump('orders/order_1') }, 'pay_late');
+
+  const stored = db.dump('orders/order_1');
+  assert.equal(stored.status, 'paid');
+  assert.equal(stored.needsReview, true);
+  assert.equal(db.dump('wallets/user_1').balance, 300);
+});
@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeFirestore } = require('./helpers/fake-firestore');
+const { processRefund } = require('../netlify/functions/lib/refunds');
+const { fulfilOrder } = require('../netlify/functions/lib/fulfilment');
+const { reserveCoupon } = require('../netlify/functions/lib/coupons');
+
+delete process.env.TELEGRAM_BOT_TOKEN;
+delete process.env.GOOGLE_SHEET_ID;
+
+// One paid order for two units (₹100 each) with ₹20 of store credit applied
+function seedOrder(db) {
+  db.seed('orders/order_1', {
+    userId: 'user_1', userName: 'Asha', userEmail: 'asha@example.com',
+    amount: 20000, walletAmount: 2000, status: 'paid', paymentId: 'pay_1'
+  });
+  db.seed('transactions/pay_1_unit-1', { userId: 'user_1', noteId: 'unit-1', paymentId: 'pay_1', status: 'completed' });
+  db.seed('transactions/pay_1_unit-2', { userId: 'user_1', noteId: 'unit-2', paymentId: 'pay_1', status: 'completed' });
+  db.seed('users/user_1', { unlockedNotes: { 'unit-1': true, 'unit-2': true } });
+  db.seed('wallets/user_1', { userId: 'user_1', balance: 0 });
+  db.seed('walletLedger/redeem_order_1', { userId: 'user_1', type: 'redeem', amount: -2000, orderId: 'order_1' });
+}
+
+const payment = { id: 'pay_1', order_id: 'order_1', amount: 20000 };
+
+function refund(id, amount, notes = {}) {
+  return { id, payment_id: 'pay_1', amount, status: 'processed', notes };
+}
+
+test('a full refund revokes everything once, however often the webhook arrives', async () => {
+  const { db, admin } = createFakeFirestore();
+  seedOrder(db);
+
+  const summary = await processRefund(db, admin, { refund: refund('rfnd_1', 20000), payment });
+  assert.equal(summary.isFullRefund, true);
+  assert.deepEqual(summary.revokedNoteIds.sort(), ['unit-1', 'unit-2']);
+  assert.equal(summary.walletReturned, true);
+
+  assert.equal(await processRefund(db, admin, { refund: refund('rfnd_1', 20000), payment }), null);
+  assert.equal(db.dump('orders/order_1').status, 'refunded');
+  assert.equal(db.dump('orders/order_1').refundedAmount, 20000);
+  assert.equal(db.dump('wallets/user_1').balance, 2000);
+  assert.deepEqual(db.dump('users/user_1').unlockedNotes, {});
+});
+
+test('a webhook that failed after the revocation is finished on retry', async () => {
+  const { db, admin } = createFakeFirestore();
+  seedOrder(db);
+
+  // The wallet step throws the first time, as if Firestore had a hiccup
+  const wallets = db.collection.bind(db);
+  let failWallet = true;
+  db.collection = (path) => {
+    if (path === 'walletLedger' && failWallet) {
+      failWallet = false;
+      throw new Error('deadline exceeded');
+    }
+    return wallets(path);
+  };
+
+  await assert.rejects(processRefund(db, admin, { refund: refund('rfnd_1', 20000), payment }), /deadline exceeded/);
+  assert.equal(db.dump('refunds/rfnd_1').processed, undefined);
+  assert.equal(db.dump('transactions/pay_1_unit-1').status, 'refunded');
+
+  const summary = await processRefund(db, admin, { refund: refund('rfnd_1', 20000), payment });
+  assert.equal(summary.walletReturned, true);
+  assert.equal(db.dump('refunds/rfnd_1').processed, true);
+  assert.equal(db.dump('orders/order_1').refundedAmount, 20000);
+  assert.equal(db.dump('wallets/user_1').balance, 2000);
+});
+
+test('partial refunds add up to a full refund', async () => {
+  const { db, admin } = createFakeFirestore();
+  seedOrder(db);
+
+  const first = await processRefund(db, admin, { refund: refund('rfnd_1', 10000, { noteIds: 'unit-1' }), payment });
+  assert.equal(first.isFullRefund, false);
+  assert.deepEqual(first.revokedNoteIds, ['unit-1']);
+  assert.equal(db.dump('orders/order_1').status, 'partially_refunded');
+  assert.equal(db.dump('transactions/pay_1_unit-2').status, 'completed');
+
+  const second = await processRefund(db, admin, { refund: refund('rfnd_2', 10000), payment });
+  assert.equal(second.isFullRefund, true);
+  assert.deepEqual(second.revokedNoteIds, ['unit-2']);
+  assert.equal(db.dump('orders/order_1').status, 'refunded');
+  assert.equal(db.dump('orders/order_1').refundedAmount, 20000);
+  assert.equal(db.dump('wallets/user_1').balance, 2000);
+});
+
+test('a partial refund without noteIds revokes nothing and is flagged for review', async () => {
+  const { db, admin } = createFakeFirestore();
+  seedOrder(db);
+
+  const summary = await processRefund(db, admin, { refund: refund('rfnd_1', 5000), payment });
+  assert.equal(summary.needsReview, true);
+  assert.deepEqual(summary.revokedNoteIds, []);
+  assert.equal(db.dump('transactions/pay_1_unit-1').status, 'completed');
+  assert.equal(db.dump('refunds/rfnd_1').needsReview, true);
+});
+
+test('fulfilling a refunded order again unlocks nothing and leaves the coupon released', async () => {
+  const { db, admin } = createFakeFirestore();
+  db.seed('coupons/SAVE10', { type: 'flat', value: 10 });
+  db.seed('orders/order_2', {
+    orderId: 'order_2', userId: 'user_2', amount: 8900, status: 'created', subject: 'zoology',
+    items: [{ bundleId: 'bundle-dsc-1', noteTitle: 'All of DSC-1', price: 99 }],
+    couponCode: 'SAVE10', discountAmount: 1000
+  });
+  await reserveCoupon(db, admin, { code: 'SAVE10', orderId: 'order_2', userId: 'user_2', subject: 'zoology', itemCount: 1, notesTotalPaise: 9900 });
+  await fulfilOrder(db, admin, { orderId: 'order_2', ...db.dump('orders/order_2') }, 'pay_2');
+  const granted = db.paths('transactions/pay_2_');
+  assert.ok(granted.length > 0);
+
+  const summary = await processRefund(db, admin, {
+    refund: { id: 'rfnd_2', payment_id: 'pay_2', amount: 8900, status: 'processed', notes: {} },
+    payment: { id: 'pay_2', order_id: 'order_2', amount: 8900 }
+  });
+  assert.equal(summary.isFullRefund, true);
+  assert.equal(db.dump('coupons/SAVE10').redemptionCount, 0);
+
+  // A replayed verify-payment call carrying the refunded order
+  const unlocked = await fulfilOrder(db, admin, { orderId: 'order_2', ...db.dump('orders/order_2') }, 'pay_2');
+  assert.deepEqual(unlocked, []);
+  assert.deepEqual(db.dump('users/user_2').unlockedNotes, {});
+  assert.ok(granted.every(path => db.dump(path).status === 'refunded'));
+  assert.equal(db.dump('bundlePasses/pay_2_bundle-dsc-1').status, 'refunded');
+  assert.equal(db.dump('coupons/SAVE10').redemptionCount, 0);
+  assert.equal(db.dump('coupons/SAVE10/redemptions/order_2').status, 'released');
+  assert.equal(db.dump('orders/order_2').status, 'refunded');
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LOCAL_ROUTE, createStorage, verifyLocalUrl } = require('../netlify/functions/lib/storage');
+
+const secret = 'test-secret';
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'notes-storage-'));
+fs.mkdirSync(path.join(dir, 'zoology'));
+fs.writeFileSync(path.join(dir, 'zoology', 'unit 1.pdf'), '%PDF-1.4');
+fs.writeFileSync(path.join(os.tmpdir(), 'outside-notes-storage.pdf'), '%PDF-1.4');
+
+test.after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+  fs.rmSync(path.join(os.tmpdir(), 'outside-notes-storage.pdf'), { force: true });
+});
+
+// What server.js hands verifyLocalUrl for a signed URL
+function requestFor(url) {
+  const parsed = new URL(url);
+  const key = parsed.pathname.slice(LOCAL_ROUTE.length).split('/').map(decodeURIComponent).join('/');
+  return { key, expires: parsed.searchParams.get('expires'), sig: parsed.searchParams.get('sig') };
+}
+
+test('a URL signed by the local driver opens its file', async () => {
+  const storage = createStorage('local', { dir, secret, baseUrl: 'http://localhost:5000/' });
+  const url = await storage.signedUrl('zoology/unit 1.pdf', 300);
+  assert.match(url, /^http:\/\/localhost:5000\/local-storage\/zoology\/unit%201\.pdf\?expires=\d+&sig=[0-9a-f]{64}$/);
+
+  assert.deepEqual(verifyLocalUrl(requestFor(url), { dir, secret }), { filePath: path.join(dir, 'zoology', 'unit 1.pdf') });
+});
+
+test('forged, tampered and expired links are refused', async () => {
+  const storage = createStorage('local', { dir, secret });
+  const request = requestFor(await storage.signedUrl('zoology/unit 1.pdf', 300));
+
+  assert.deepEqual(verifyLocalUrl(request, { dir, secret: 'other-secret' }), { status: 403, error: 'Invalid link' });
+  assert.deepEqual(verifyLocalUrl({ ...request, expires: String(Number(request.expires) + 1) }, { dir, secret }), { status: 403, error: 'Invalid link' });
+  assert.deepEqual(verifyLocalUrl({ ...request, sig: 'abc' }, { dir, secret }), { status: 403, error: 'Invalid link' });
+  assert.deepEqual(verifyLocalUrl({ key: request.key }, { dir, secret }), { status: 403, error: 'Invalid link' });
+
+  const expired = requestFor(await storage.signedUrl('zoology/unit 1.pdf', -60));
+  assert.deepEqual(verifyLocalUrl(expired, { dir, secret }), { status: 403, error: 'This link has expired' });
+});
+
+test('signed keys outside the directory or without a file are not found', async () => {
+  const storage = createStorage('local', { dir, secret });
+  // Validly signed, but the key climbs out of the directory (taken as-is: URL parsing would
+  // already collapse the '..')
+  const escapingKey = '../outside-notes-storage.pdf';
+  const escaping = { ...requestFor(await storage.signedUrl(escapingKey, 300)), key: escapingKey };
+  assert.deepEqual(verifyLocalUrl(escaping, { dir, secret }), { status: 404, error: 'File not found' });
+
+  const missing = requestFor(await storage.signedUrl('zoology/unit 2.pdf', 300));
+  assert.deepEqual(verifyLocalUrl(missing, { dir, secret }), { status: 404, error: 'File not found' });
+});
+
+test('local storage is off without a directory and secret', () => {
+  assert.deepEqual(verifyLocalUrl({ key: 'a.pdf', expires: '1', sig: 'a'.repeat(64) }, { dir: '', secret }), { status: 404, error: 'Local storage is not enabled' });
+  assert.deepEqual(verifyLocalUrl({ key: 'a.pdf', expires: '1', sig: 'a'.repeat(64) }, { dir, secret: '' }), { status: 404, error: 'Local storage is not enabled' });
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validateCatalog, findPageReferences } = require('../scripts/validate-catalog');
+const { listNotes } = require('../netlify/functions/lib/catalog');
+
+const repoRoot = path.join(__dirname, '..');
+const tempDirs = [];
+
+test.after(() => tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+function pagesDirWith(html) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'catalog-pages-'));
+  tempDirs.push(dir);
+  fs.writeFileSync(path.join(dir, 'page.html'), html);
+  return dir;
+}
+
+test('the catalog and the site\'s pages pass', async () => {
+  const report = await validateCatalog({ pagesDir: repoRoot });
+  assert.deepEqual(report.problems, []);
+  assert.equal(report.ok, true);
+  assert.equal(report.storage, 'skipped');
+});
+
+test('page links are read from literal handleViewNotes calls and catalog-units boxes', () => {
+  const dir = pagesDirWith(`
+    <button onclick="handleViewNotes('unit-1-dsc-1', 'Unit 1')"></button>
+    <button onclick="handleViewNotes(\`\${id}\`, 'Dynamic')"></button>
+    <div class="catalog-units" data-paper="dsc-2"></div>`);
+  assert.deepEqual(findPageReferences(dir), {
+    notes: { 'unit-1-dsc-1': ['page.html'] },
+    papers: { 'dsc-2': ['page.html'] }
+  });
+});
+
+test('unknown notes and papers on a page, and sellable notes no page shows, are reported', async () => {
+  const dir = pagesDirWith(`
+    <button onclick="handleViewNotes('unit-9-nope-1', 'Missing')"></button>
+    <div class="catalog-units" data-paper="nope-1"></div>`);
+  const report = await validateCatalog({ pagesDir: dir });
+  const checks = new Set(report.problems.map(problem => problem.check));
+
+  assert.equal(report.ok, false);
+  assert.ok(checks.has('page-unknown-note'));
+  assert.ok(checks.has('page-unknown-paper'));
+  const missing = report.problems.filter(problem => problem.check === 'page-missing').map(problem => problem.noteId);
+  assert.equal(missing.length, listNotes().filter(note => note.status !== 'coming_soon').length);
+});
+
+test('storage objects are checked through the store it is given', async () => {
+  const available = listNotes().filter(note => note.status === 'available');
+  const missingKey = available[0].storageKey;
+  const store = { exists: async (key) => key !== missingKey };
+
+  const report = await validateCatalog({ pagesDir: repoRoot, store, storageLabel: 'fake' });
+  assert.equal(report.storage, 'fake');
+  assert.deepEqual(report.problems, [{ noteId: available[0].id, check: 'storage-missing', message: `No object at "${missingKey}"` }]);
+
+  const failing = { exists: async () => { throw new Error('bucket unreachable'); } };
+  const failed = await validateCatalog({ pagesDir: repoRoot, store: failing, storageLabel: 'fake' });
+  assert.ok(failed.problems.length >= available.length);
+  assert.ok(failed.problems.every(problem => problem.check === 'storage-error' && problem.message === 'bucket unreachable'));
+});